@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "ApplicationStatusChange" (
+    "id" SERIAL NOT NULL,
+    "fromStatus" "ApplicationStatus",
+    "toStatus" "ApplicationStatus" NOT NULL,
+    "note" TEXT,
+    "changedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "jobApplicationId" INTEGER NOT NULL,
+
+    CONSTRAINT "ApplicationStatusChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ApplicationStatusChange_jobApplicationId_changedAt_idx" ON "ApplicationStatusChange"("jobApplicationId", "changedAt");
+
+-- AddForeignKey
+ALTER TABLE "ApplicationStatusChange" ADD CONSTRAINT "ApplicationStatusChange_jobApplicationId_fkey" FOREIGN KEY ("jobApplicationId") REFERENCES "JobApplication"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: seed the timeline of existing applications with their current status
+INSERT INTO "ApplicationStatusChange" ("fromStatus", "toStatus", "changedAt", "jobApplicationId")
+SELECT NULL, "status", "appliedAt", "id" FROM "JobApplication";
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "ApplicationNote" (
+    "id" SERIAL NOT NULL,
+    "body" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "jobApplicationId" INTEGER NOT NULL,
+
+    CONSTRAINT "ApplicationNote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ApplicationNote_jobApplicationId_createdAt_idx" ON "ApplicationNote"("jobApplicationId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ApplicationNote" ADD CONSTRAINT "ApplicationNote_jobApplicationId_fkey" FOREIGN KEY ("jobApplicationId") REFERENCES "JobApplication"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- Full-text search over applications and their notes.
+-- Both columns are generated by PostgreSQL; Prisma only sees them as Unsupported("tsvector").
+
+-- AlterTable: position and company weigh more than the URL host.
+-- The host is indexed both whole and split on dots so "acme" matches "jobs.acme.com".
+ALTER TABLE "JobApplication" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("position", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("company", '')), 'A') ||
+    setweight(
+        to_tsvector(
+            'english',
+            coalesce(substring("url" from '^[A-Za-z][A-Za-z0-9+.-]*://([^/:?#]+)'), '') || ' ' ||
+            replace(coalesce(substring("url" from '^[A-Za-z][A-Za-z0-9+.-]*://([^/:?#]+)'), ''), '.', ' ')
+        ),
+        'B'
+    )
+) STORED;
+
+-- AlterTable
+ALTER TABLE "ApplicationNote" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    to_tsvector('english', coalesce("body", ''))
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "JobApplication_searchVector_idx" ON "JobApplication" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "ApplicationNote_searchVector_idx" ON "ApplicationNote" USING GIN ("searchVector");
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "ApplicationFile" (
+    "fileId" INTEGER NOT NULL,
+    "jobApplicationId" INTEGER NOT NULL,
+    "linkedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ApplicationFile_pkey" PRIMARY KEY ("fileId","jobApplicationId")
+);
+
+-- Backfill: keep the links of existing files before the column is dropped
+INSERT INTO "ApplicationFile" ("fileId", "jobApplicationId", "linkedAt")
+SELECT "id", "jobApplicationId", "uploadedAt" FROM "File" WHERE "jobApplicationId" IS NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE "File" DROP CONSTRAINT "File_jobApplicationId_fkey";
+
+-- AlterTable
+ALTER TABLE "File" DROP COLUMN "jobApplicationId";
+ALTER TABLE "File" RENAME COLUMN "url" TO "storageKey";
+ALTER TABLE "File" ADD COLUMN "mimeType" TEXT NOT NULL DEFAULT 'application/octet-stream',
+ADD COLUMN "size" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "File" ALTER COLUMN "mimeType" DROP DEFAULT,
+ALTER COLUMN "size" DROP DEFAULT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "File_storageKey_key" ON "File"("storageKey");
+
+-- CreateIndex
+CREATE INDEX "File_userId_uploadedAt_idx" ON "File"("userId", "uploadedAt");
+
+-- CreateIndex
+CREATE INDEX "ApplicationFile_jobApplicationId_idx" ON "ApplicationFile"("jobApplicationId");
+
+-- AddForeignKey
+ALTER TABLE "ApplicationFile" ADD CONSTRAINT "ApplicationFile_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "File"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ApplicationFile" ADD CONSTRAINT "ApplicationFile_jobApplicationId_fkey" FOREIGN KEY ("jobApplicationId") REFERENCES "JobApplication"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN "documentId" TEXT,
+ADD COLUMN "version" INTEGER NOT NULL DEFAULT 1;
+
+-- Backfill: every existing file starts its own document at version 1
+UPDATE "File" SET "documentId" = gen_random_uuid()::text WHERE "documentId" IS NULL;
+
+ALTER TABLE "File" ALTER COLUMN "documentId" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "File_documentId_version_key" ON "File"("documentId", "version");
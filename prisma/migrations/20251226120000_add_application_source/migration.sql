@@ -0,0 +1,5 @@
+-- CreateEnum
+CREATE TYPE "ApplicationSource" AS ENUM ('JOB_BOARD', 'REFERRAL', 'RECRUITER', 'COMPANY_SITE', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "JobApplication" ADD COLUMN "source" "ApplicationSource";
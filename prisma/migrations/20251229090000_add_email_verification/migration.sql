@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "emailVerifiedAt" TIMESTAMP(3);
+
+-- Accounts created before verification existed are treated as verified
+UPDATE "User" SET "emailVerifiedAt" = "createdAt";
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "RefreshToken" ADD COLUMN "ipAddress" TEXT,
+ADD COLUMN "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN "sessionId" TEXT,
+ADD COLUMN "userAgent" TEXT;
+
+-- Backfill: every existing refresh token becomes its own session
+UPDATE "RefreshToken" SET "sessionId" = gen_random_uuid()::text WHERE "sessionId" IS NULL;
+
+ALTER TABLE "RefreshToken" ALTER COLUMN "sessionId" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "RefreshToken_userId_sessionId_idx" ON "RefreshToken"("userId", "sessionId");
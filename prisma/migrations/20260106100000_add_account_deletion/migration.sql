@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "deletionScheduledAt" TIMESTAMP(3);
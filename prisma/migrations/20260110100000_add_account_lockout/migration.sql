@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "OneTimeTokenPurpose" ADD VALUE 'ACCOUNT_UNLOCK';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "lockedUntil" TIMESTAMP(3);
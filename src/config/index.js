@@ -1,4 +1,5 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const dotenv = require('dotenv');
 
@@ -38,6 +39,54 @@ const parseOrigins = (value) => {
     .filter(Boolean);
 };
 
+// Application status workflow: each status maps to the statuses a regular update can move it to
+// (terminal statuses map to []). STATUS_TRANSITIONS replaces it with a JSON object of the same shape.
+const DEFAULT_STATUS_TRANSITIONS = {
+  APPLIED: ['INTERVIEWING', 'OFFER', 'REJECTED'],
+  INTERVIEWING: ['OFFER', 'REJECTED'],
+  OFFER: ['ACCEPTED', 'REJECTED'],
+  REJECTED: [],
+  ACCEPTED: [],
+};
+
+// Backward moves, only reachable through the explicit reopen action; REOPEN_TRANSITIONS replaces it
+const DEFAULT_REOPEN_TRANSITIONS = {
+  APPLIED: [],
+  INTERVIEWING: ['APPLIED'],
+  OFFER: ['APPLIED', 'INTERVIEWING'],
+  REJECTED: ['APPLIED', 'INTERVIEWING', 'OFFER'],
+  ACCEPTED: ['OFFER'],
+};
+
+const parseTransitions = (name, value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON: ${error.message}`);
+  }
+};
+
+// OIDC_PROVIDERS=google,github lists the enabled sign-in providers; each one is configured with
+// OIDC_<NAME>_CLIENT_ID, OIDC_<NAME>_CLIENT_SECRET and, for providers without a preset, OIDC_<NAME>_ISSUER
+const OIDC_PRESET_PROVIDERS = ['google', 'microsoft', 'github'];
+
+const oidcEnvPrefix = (name) => `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+
+const parseOidcProviders = (value) => {
+  return parseOrigins(value).reduce((providers, name) => {
+    const key = name.toLowerCase();
+    const prefix = oidcEnvPrefix(key);
+    providers[key] = {
+      clientId: process.env[`${prefix}CLIENT_ID`],
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+      issuer: process.env[`${prefix}ISSUER`],
+      scopes: process.env[`${prefix}SCOPES`],
+    };
+    return providers;
+  }, {});
+};
+
 /**
  * Validate configuration values on startup
  * Throws errors if critical security settings are invalid
@@ -63,6 +112,21 @@ const validateConfig = () => {
     errors.push('BCRYPT_SALT_ROUNDS should not exceed 15 to prevent DoS');
   }
 
+  // Validate password length limits
+  const passwordMinLength = numberOrDefault(process.env.PASSWORD_MIN_LENGTH, 8);
+  const passwordMaxBytes = numberOrDefault(process.env.PASSWORD_MAX_BYTES, 72);
+  if (passwordMinLength < 8) {
+    errors.push('PASSWORD_MIN_LENGTH must be at least 8');
+  }
+  if (passwordMaxBytes > 72) {
+    errors.push('PASSWORD_MAX_BYTES must not exceed 72 (bcrypt ignores anything longer)');
+  } else if (passwordMaxBytes < passwordMinLength) {
+    errors.push('PASSWORD_MAX_BYTES must not be lower than PASSWORD_MIN_LENGTH');
+  }
+  if (process.env.PASSWORD_BLOCKLIST_FILE && !fs.existsSync(process.env.PASSWORD_BLOCKLIST_FILE)) {
+    errors.push('PASSWORD_BLOCKLIST_FILE does not exist');
+  }
+
   // Validate JWT_EXPIRES_IN
   const jwtExpiresIn = parseInt(process.env.JWT_EXPIRES_IN, 10);
   if (process.env.JWT_EXPIRES_IN && !isNaN(jwtExpiresIn)) {
@@ -86,11 +150,88 @@ const validateConfig = () => {
     errors.push('CORS_ORIGINS (comma-separated) is required in production');
   }
 
+  // Validate email verification mode
+  const verificationMode = process.env.EMAIL_VERIFICATION_MODE;
+  if (verificationMode && !['block', 'flag'].includes(verificationMode)) {
+    errors.push('EMAIL_VERIFICATION_MODE must be either block or flag');
+  }
+
+  // Validate mail driver (console and file drivers never deliver, so production must use SMTP)
+  if (environment === 'production' && process.env.MAIL_DRIVER !== 'smtp') {
+    errors.push('MAIL_DRIVER=smtp is required in production');
+  }
+
+  // Validate SMTP settings when email goes out over SMTP
+  if (process.env.MAIL_DRIVER === 'smtp' && !process.env.SMTP_HOST) {
+    errors.push('SMTP_HOST is required when MAIL_DRIVER is smtp');
+  }
+
+  // Validate OIDC providers (presets know their endpoints; any other provider needs an issuer)
+  const oidcProviders = parseOidcProviders(process.env.OIDC_PROVIDERS);
+  Object.entries(oidcProviders).forEach(([name, provider]) => {
+    const prefix = oidcEnvPrefix(name);
+    if (!provider.clientId) {
+      errors.push(`${prefix}CLIENT_ID is required when ${name} is listed in OIDC_PROVIDERS`);
+    }
+    if (!provider.issuer && !OIDC_PRESET_PROVIDERS.includes(name)) {
+      errors.push(`${prefix}ISSUER is required for the ${name} OIDC provider`);
+    }
+  });
+
+  // Validate the status workflow: both graphs cover every status, targets are known statuses,
+  // and no edge is both a forward and a reopen transition
+  const statuses = Object.keys(DEFAULT_STATUS_TRANSITIONS);
+  const graphs = {
+    STATUS_TRANSITIONS: parseTransitions(
+      'STATUS_TRANSITIONS',
+      process.env.STATUS_TRANSITIONS,
+      DEFAULT_STATUS_TRANSITIONS
+    ),
+    REOPEN_TRANSITIONS: parseTransitions(
+      'REOPEN_TRANSITIONS',
+      process.env.REOPEN_TRANSITIONS,
+      DEFAULT_REOPEN_TRANSITIONS
+    ),
+  };
+  const validGraphs = Object.entries(graphs).filter(([name, transitions]) => {
+    if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+      errors.push(`${name} must be a JSON object mapping each status to an array of statuses`);
+      return false;
+    }
+    const errorCount = errors.length;
+    Object.keys(transitions)
+      .filter((status) => !statuses.includes(status))
+      .forEach((status) => errors.push(`${name} lists unknown status ${status}`));
+    statuses.forEach((from) => {
+      const targets = transitions[from];
+      if (!Array.isArray(targets)) {
+        errors.push(`${name} must map ${from} to an array of statuses`);
+        return;
+      }
+      targets
+        .filter((to) => !statuses.includes(to) || to === from)
+        .forEach((to) => errors.push(`${name} has an invalid transition ${from} -> ${to}`));
+    });
+    return errors.length === errorCount;
+  });
+  if (validGraphs.length === 2) {
+    statuses.forEach((from) => {
+      graphs.STATUS_TRANSITIONS[from]
+        .filter((to) => graphs.REOPEN_TRANSITIONS[from].includes(to))
+        .forEach((to) =>
+          errors.push(`${from} -> ${to} cannot be in both STATUS_TRANSITIONS and REOPEN_TRANSITIONS`)
+        );
+    });
+  }
+
   if (errors.length > 0) {
     throw new Error(`Configuration validation failed:\n${errors.join('\n')}`);
   }
 };
 
+// Frontend base URL used to build links sent by email and the OIDC redirect URI
+const appUrl = (process.env.APP_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
 const config = {
   env: environment,
   isDevelopment: environment === 'development',
@@ -115,6 +256,85 @@ const config = {
   rateLimitMaxApplicationsRead: numberOrDefault(process.env.RATE_LIMIT_MAX_APP_READ, 200),
   rateLimitMaxApplicationsWrite: numberOrDefault(process.env.RATE_LIMIT_MAX_APP_WRITE, 50),
   rateLimitMaxRefresh: numberOrDefault(process.env.RATE_LIMIT_MAX_REFRESH, 20),
+  rateLimitMaxPasswordReset: numberOrDefault(process.env.RATE_LIMIT_MAX_PASSWORD_RESET, 5),
+  rateLimitMaxEmailVerification: numberOrDefault(process.env.RATE_LIMIT_MAX_EMAIL_VERIFICATION, 5),
+  rateLimitMaxDataExport: numberOrDefault(process.env.RATE_LIMIT_MAX_DATA_EXPORT, 3),
+  // CSV import limits
+  importMaxFileSizeBytes: numberOrDefault(process.env.IMPORT_MAX_FILE_SIZE_BYTES, 1024 * 1024), // 1 MB
+  importMaxRows: numberOrDefault(process.env.IMPORT_MAX_ROWS, 1000),
+  // File uploads (CVs, cover letters)
+  fileStorageDriver: process.env.FILE_STORAGE_DRIVER || 'local',
+  fileStorageDir: path.resolve(
+    process.env.FILE_STORAGE_DIR ||
+      (environment === 'test'
+        ? path.join(os.tmpdir(), 'jtracker-test-files')
+        : path.join(process.cwd(), 'storage', 'files'))
+  ),
+  fileMaxSizeBytes: numberOrDefault(process.env.FILE_MAX_SIZE_BYTES, 5 * 1024 * 1024), // 5 MB
+  // Outgoing email: smtp, or file/console for development and tests
+  mailDriver: process.env.MAIL_DRIVER || (environment === 'test' ? 'file' : 'console'),
+  mailFrom: process.env.MAIL_FROM || 'JTracker <no-reply@jtracker.local>',
+  mailOutboxDir: path.resolve(
+    process.env.MAIL_OUTBOX_DIR ||
+      (environment === 'test'
+        ? path.join(os.tmpdir(), 'jtracker-test-mail')
+        : path.join(process.cwd(), 'storage', 'mail'))
+  ),
+  smtpHost: process.env.SMTP_HOST,
+  smtpPort: numberOrDefault(process.env.SMTP_PORT, 587),
+  smtpSecure: process.env.SMTP_SECURE === 'true',
+  smtpUser: process.env.SMTP_USER,
+  smtpPass: process.env.SMTP_PASS,
+  appUrl,
+  // Password policy (see src/modules/auth/passwordPolicy.js); the maximum is in bytes, capped by bcrypt at 72
+  passwordMinLength: numberOrDefault(process.env.PASSWORD_MIN_LENGTH, 8),
+  passwordMaxBytes: numberOrDefault(process.env.PASSWORD_MAX_BYTES, 72),
+  passwordRequireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  passwordRequireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+  passwordRequireDigit: process.env.PASSWORD_REQUIRE_DIGIT === 'true',
+  passwordRequireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL !== 'false',
+  // Passwords at least this long skip the character-class rules (0 turns passphrases off)
+  passwordPassphraseLength: numberOrDefault(process.env.PASSWORD_PASSPHRASE_LENGTH, 20),
+  // Extra newline-separated blocklist, checked together with the bundled common-password list
+  passwordBlocklistFile: process.env.PASSWORD_BLOCKLIST_FILE,
+  passwordResetTokenMinutes: numberOrDefault(process.env.PASSWORD_RESET_TOKEN_MINUTES, 30),
+  // Passwordless sign-in links (POST /auth/magic-link)
+  magicLinkTokenMinutes: numberOrDefault(process.env.MAGIC_LINK_TOKEN_MINUTES, 15),
+  // Per-account login throttling: after LOGIN_BACKOFF_THRESHOLD failures each attempt waits twice
+  // as long as the previous one; at LOGIN_LOCKOUT_THRESHOLD the account locks and an unlock link is emailed
+  loginBackoffThreshold: numberOrDefault(process.env.LOGIN_BACKOFF_THRESHOLD, 3),
+  loginBackoffBaseSeconds: numberOrDefault(process.env.LOGIN_BACKOFF_BASE_SECONDS, 1),
+  loginLockoutThreshold: numberOrDefault(process.env.LOGIN_LOCKOUT_THRESHOLD, 10),
+  loginLockoutMinutes: numberOrDefault(process.env.LOGIN_LOCKOUT_MINUTES, 15),
+  accountUnlockTokenMinutes: numberOrDefault(process.env.ACCOUNT_UNLOCK_TOKEN_MINUTES, 60),
+  // TOTP two-factor authentication
+  totpIssuer: process.env.TOTP_ISSUER || 'JTracker',
+  // Key for TOTP secrets at rest; derived from JWT_SECRET when unset
+  totpEncryptionKey: process.env.TOTP_ENCRYPTION_KEY,
+  twoFactorChallengeSeconds: numberOrDefault(process.env.TWO_FACTOR_CHALLENGE_SECONDS, 5 * 60),
+  // Bad codes a single challenge accepts; they also count as failed logins for the throttling above
+  twoFactorChallengeMaxAttempts: numberOrDefault(process.env.TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS, 5),
+  emailVerificationTokenHours: numberOrDefault(process.env.EMAIL_VERIFICATION_TOKEN_HOURS, 24),
+  // block: unverified users get 403 on /applications; flag: allowed, marked with X-Email-Verified: false
+  emailVerificationMode: process.env.EMAIL_VERIFICATION_MODE || 'flag',
+  // Application status workflow (forward updates and the reopen action), checked by validateConfig
+  statusTransitions: parseTransitions(
+    'STATUS_TRANSITIONS',
+    process.env.STATUS_TRANSITIONS,
+    DEFAULT_STATUS_TRANSITIONS
+  ),
+  reopenTransitions: parseTransitions(
+    'REOPEN_TRANSITIONS',
+    process.env.REOPEN_TRANSITIONS,
+    DEFAULT_REOPEN_TRANSITIONS
+  ),
+  // OpenID Connect / OAuth2 sign-in; the frontend page at oidcRedirectUri posts code and state to /auth/oidc/callback
+  oidcProviders: parseOidcProviders(process.env.OIDC_PROVIDERS),
+  oidcRedirectUri: process.env.OIDC_REDIRECT_URI || `${appUrl}/oidc/callback`,
+  oidcFlowMinutes: numberOrDefault(process.env.OIDC_FLOW_MINUTES, 10),
+  // Account deletion: days before a deleted account is erased, and how often the purge runs
+  accountDeletionGraceDays: numberOrDefault(process.env.ACCOUNT_DELETION_GRACE_DAYS, 30),
+  accountPurgeIntervalMinutes: numberOrDefault(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 60),
 };
 
 // Validate configuration (skip in test environment to allow flexibility)
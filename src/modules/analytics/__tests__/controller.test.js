@@ -0,0 +1,355 @@
+const { expect } = require('chai');
+const supertest = require('supertest');
+const prisma = require('../../../utils/prisma');
+const tokenBlacklist = require('../../auth/tokenBlacklist');
+const { app } = require('../../../server');
+
+describe('Analytics Controller (HTTP Layer)', () => {
+    const HOUR_MS = 60 * 60 * 1000;
+
+    const testUser = {
+        email: 'analyst@example.com',
+        password: 'Testpass123!',
+        name: 'Analyst',
+    };
+
+    const buildAuthToken = async (user = testUser) => {
+        await supertest(app).post('/auth/register').send(user);
+        const login = await supertest(app)
+            .post('/auth/login')
+            .send({ email: user.email, password: user.password });
+        return login.body.token;
+    };
+
+    const createApplication = async (token, position, statuses = []) => {
+        const created = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ position, company: 'Acme', url: 'https://acme.example/job' });
+
+        for (const status of statuses) {
+            await supertest(app)
+                .patch(`/applications/${created.body.id}`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ status });
+        }
+        return created.body;
+    };
+
+    beforeEach(async () => {
+        await prisma.jobApplication.deleteMany();
+        await prisma.user.deleteMany();
+        await tokenBlacklist.clearBlacklist();
+    });
+
+    after(async () => {
+        await prisma.jobApplication.deleteMany();
+        await prisma.user.deleteMany();
+        await prisma.$disconnect();
+    });
+
+    describe('GET /analytics/funnel', () => {
+        it('returns counts per status and stage-to-stage conversions', async () => {
+            const token = await buildAuthToken();
+            await createApplication(token, 'Waiting');
+            await createApplication(token, 'Rejected after interview', ['INTERVIEWING', 'REJECTED']);
+            await createApplication(token, 'Offer', ['INTERVIEWING', 'OFFER']);
+
+            const response = await supertest(app)
+                .get('/analytics/funnel')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(200);
+            expect(response.body.total).to.equal(3);
+            expect(response.body.byStatus).to.include({
+                APPLIED: 1,
+                INTERVIEWING: 0,
+                OFFER: 1,
+                REJECTED: 1,
+                ACCEPTED: 0,
+            });
+            expect(response.body.stages.map((stage) => stage.reached)).to.deep.equal([3, 2, 1, 0]);
+            const rates = response.body.conversions.map((conversion) => conversion.rate);
+            expect(rates).to.deep.equal([66.7, 50, 0]);
+        });
+
+        it('filters applications by appliedAt range', async () => {
+            const token = await buildAuthToken();
+            const old = await createApplication(token, 'Old');
+            await createApplication(token, 'Recent');
+            await prisma.jobApplication.update({
+                where: { id: old.id },
+                data: { appliedAt: new Date('2020-01-15T12:00:00.000Z') },
+            });
+
+            const response = await supertest(app)
+                .get('/analytics/funnel?from=2020-01-01&to=2020-01-31')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(200);
+            expect(response.body.range).to.deep.equal({ from: '2020-01-01', to: '2020-01-31' });
+            expect(response.body.total).to.equal(1);
+        });
+
+        it('rejects an inverted date range', async () => {
+            const token = await buildAuthToken();
+
+            const response = await supertest(app)
+                .get('/analytics/funnel?from=2025-02-01&to=2025-01-01')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(400);
+            expect(response.body.error).to.equal('from must be before or equal to to');
+        });
+
+        it('requires authentication', async () => {
+            const response = await supertest(app).get('/analytics/funnel');
+
+            expect(response.status).to.equal(401);
+        });
+    });
+
+    describe('GET /analytics/breakdown', () => {
+        const apply = async (token, company, source) => {
+            const created = await supertest(app)
+                .post('/applications')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ position: 'Engineer', company, source, url: 'https://jobs.example/1' });
+            return created.body;
+        };
+
+        it('groups companies case-insensitively with their own conversion rates', async () => {
+            const token = await buildAuthToken();
+            const interviewed = await apply(token, 'Acme', 'REFERRAL');
+            await apply(token, 'acme', 'JOB_BOARD');
+            await apply(token, 'Globex', 'JOB_BOARD');
+            await supertest(app)
+                .patch(`/applications/${interviewed.id}`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ status: 'INTERVIEWING' });
+
+            const response = await supertest(app)
+                .get('/analytics/breakdown?by=company')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(200);
+            expect(response.body.by).to.equal('company');
+            expect(response.body.items.map((item) => item.total)).to.deep.equal([2, 1]);
+            expect(response.body.items[0].value.toLowerCase()).to.equal('acme');
+            expect(response.body.items[0].conversions[0]).to.deep.equal({
+                from: 'APPLIED',
+                to: 'INTERVIEWING',
+                rate: 50,
+            });
+        });
+
+        it('groups by source and reports a missing source as null', async () => {
+            const token = await buildAuthToken();
+            await apply(token, 'Acme', 'JOB_BOARD');
+            await apply(token, 'Globex', 'JOB_BOARD');
+            await apply(token, 'Initech');
+
+            const response = await supertest(app)
+                .get('/analytics/breakdown?by=source&limit=5')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(200);
+            expect(response.body.items.map((item) => [item.value, item.total])).to.deep.equal([
+                ['JOB_BOARD', 2],
+                [null, 1],
+            ]);
+        });
+
+        it('requires a supported grouping', async () => {
+            const token = await buildAuthToken();
+
+            const response = await supertest(app)
+                .get('/analytics/breakdown?by=position')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(400);
+            expect(response.body.error).to.equal('by must be either company or source');
+        });
+
+        it('caps the limit at 100', async () => {
+            const token = await buildAuthToken();
+
+            const response = await supertest(app)
+                .get('/analytics/breakdown?by=company&limit=101')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(400);
+            expect(response.body.error).to.equal('limit must be at most 100');
+        });
+    });
+
+    // Rewrites appliedAt and the status history so durations are deterministic
+    const backdate = async (applicationId, start, offsetsInHours) => {
+        await prisma.jobApplication.update({
+            where: { id: applicationId },
+            data: { appliedAt: start },
+        });
+        const changes = await prisma.applicationStatusChange.findMany({
+            where: { jobApplicationId: applicationId },
+            orderBy: [{ changedAt: 'asc' }, { id: 'asc' }],
+        });
+        for (const [index, change] of changes.entries()) {
+            await prisma.applicationStatusChange.update({
+                where: { id: change.id },
+                data: { changedAt: new Date(start.getTime() + offsetsInHours[index] * HOUR_MS) },
+            });
+        }
+    };
+
+    describe('GET /analytics/response-time and /analytics/time-in-stage', () => {
+        const start = new Date('2025-03-01T09:00:00.000Z');
+        let token;
+
+        beforeEach(async () => {
+            token = await buildAuthToken();
+            const offer = await createApplication(token, 'Offer', ['INTERVIEWING', 'OFFER']);
+            const waiting = await createApplication(token, 'Waiting');
+            const rejected = await createApplication(token, 'Rejected', ['REJECTED']);
+            await backdate(offer.id, start, [0, 48, 72]);
+            await backdate(waiting.id, start, [0]);
+            await backdate(rejected.id, start, [0, 24]);
+        });
+
+        it('returns median and p90 time to first response', async () => {
+            const response = await supertest(app)
+                .get('/analytics/response-time')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(200);
+            expect(response.body).to.include({
+                applications: 3,
+                responded: 2,
+                pending: 1,
+                medianHours: 36,
+                p90Hours: 45.6,
+            });
+        });
+
+        it('returns the average time spent in each status', async () => {
+            const response = await supertest(app)
+                .get('/analytics/time-in-stage')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(200);
+            const byStatus = Object.fromEntries(response.body.items.map((item) => [item.status, item]));
+            expect(byStatus.APPLIED).to.deep.equal({
+                status: 'APPLIED',
+                completedStays: 2,
+                ongoing: 1,
+                averageHours: 36,
+            });
+            expect(byStatus.INTERVIEWING).to.include({ completedStays: 1, averageHours: 24 });
+            expect(byStatus.OFFER).to.include({ completedStays: 0, ongoing: 1, averageHours: null });
+            expect(byStatus.REJECTED).to.include({ ongoing: 1 });
+        });
+
+        it('returns empty statistics outside the date window', async () => {
+            const response = await supertest(app)
+                .get('/analytics/response-time?from=2024-01-01&to=2024-12-31')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(200);
+            expect(response.body).to.include({
+                applications: 0,
+                responded: 0,
+                medianHours: null,
+                p90Hours: null,
+            });
+        });
+    });
+
+    describe('GET /analytics/activity', () => {
+        it('counts created applications and status changes per bucket', async () => {
+            const token = await buildAuthToken();
+            await createApplication(token, 'First', ['INTERVIEWING']);
+            await createApplication(token, 'Second');
+
+            const response = await supertest(app)
+                .get('/analytics/activity?granularity=day')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(200);
+            expect(response.body.granularity).to.equal('day');
+            expect(response.body.items).to.have.lengthOf(30);
+            const today = response.body.items[response.body.items.length - 1];
+            expect(today).to.deep.equal({
+                period: new Date().toISOString().slice(0, 10),
+                applicationsCreated: 2,
+                statusChanges: 1,
+            });
+            expect(response.body.items[0]).to.include({ applicationsCreated: 0, statusChanges: 0 });
+        });
+
+        it('rejects ranges with too many buckets', async () => {
+            const token = await buildAuthToken();
+
+            const response = await supertest(app)
+                .get('/analytics/activity?granularity=day&from=2020-01-01&to=2024-12-31')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(400);
+        });
+
+        it('rejects days outside the supported years', async () => {
+            const token = await buildAuthToken();
+
+            const response = await supertest(app)
+                .get('/analytics/activity?granularity=month&from=0001-01-01')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).to.equal(400);
+            expect(response.body.error).to.equal('from must be between 1970-01-01 and 2099-12-31');
+        });
+    });
+
+    describe('/analytics/goal', () => {
+        it('stores a weekly target and reports progress for the current week', async () => {
+            const token = await buildAuthToken();
+            await createApplication(token, 'First');
+
+            const updated = await supertest(app)
+                .put('/analytics/goal')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ weeklyTarget: 2 });
+
+            expect(updated.status).to.equal(200);
+            expect(updated.body.weeklyTarget).to.equal(2);
+            expect(updated.body.currentWeek).to.include({ applications: 1, progress: 50 });
+            expect(updated.body.streak).to.equal(0);
+
+            await createApplication(token, 'Second');
+
+            const goal = await supertest(app)
+                .get('/analytics/goal')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(goal.status).to.equal(200);
+            expect(goal.body.currentWeek).to.include({ applications: 2, progress: 100 });
+            expect(goal.body.streak).to.equal(1);
+        });
+
+        it('clears the goal with null and validates the target', async () => {
+            const token = await buildAuthToken();
+
+            const cleared = await supertest(app)
+                .put('/analytics/goal')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ weeklyTarget: null });
+            expect(cleared.status).to.equal(200);
+            expect(cleared.body).to.include({ weeklyTarget: null, streak: 0 });
+            expect(cleared.body.currentWeek.progress).to.equal(null);
+
+            const invalid = await supertest(app)
+                .put('/analytics/goal')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ weeklyTarget: 0 });
+            expect(invalid.status).to.equal(400);
+            expect(invalid.body.error).to.equal('weeklyTarget must be at least 1');
+        });
+    });
+});
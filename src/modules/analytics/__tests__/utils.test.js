@@ -0,0 +1,226 @@
+const { expect } = require('chai');
+const {
+    toDateBounds,
+    percentage,
+    buildFunnel,
+    buildBreakdown,
+    toHours,
+    buildTimeInStage,
+    truncateDate,
+    resolveActivityRange,
+    countBuckets,
+    listBuckets,
+    fillActivity,
+    computeStreak,
+} = require('../utils');
+
+describe('Analytics utils', () => {
+    describe('toDateBounds', () => {
+        it('turns an inclusive day range into an exclusive end bound', () => {
+            //Execution
+            const bounds = toDateBounds({ from: '2025-01-01', to: '2025-01-31' });
+            //Assertion
+            expect(bounds.start.toISOString()).to.equal('2025-01-01T00:00:00.000Z');
+            expect(bounds.end.toISOString()).to.equal('2025-02-01T00:00:00.000Z');
+        });
+
+        it('leaves missing ends open', () => {
+            //Assertion
+            expect(toDateBounds({})).to.deep.equal({ start: null, end: null });
+        });
+    });
+
+    describe('percentage', () => {
+        it('rounds to one decimal and returns null without a base', () => {
+            //Assertion
+            expect(percentage(1, 3)).to.equal(33.3);
+            expect(percentage(0, 0)).to.equal(null);
+        });
+    });
+
+    describe('buildFunnel', () => {
+        it('counts every stage an application went through', () => {
+            //Definition
+            const statusCounts = [
+                { status: 'APPLIED', count: 4 },
+                { status: 'REJECTED', count: 3 },
+                { status: 'OFFER', count: 1 },
+                { status: 'ACCEPTED', count: 2 },
+            ];
+            // 5 never got past APPLIED, 2 stopped at INTERVIEWING, 1 at OFFER, 2 accepted
+            const stageCounts = [
+                { stage: 0, count: 5 },
+                { stage: 1, count: 2 },
+                { stage: 2, count: 1 },
+                { stage: 3, count: 2 },
+            ];
+
+            //Execution
+            const funnel = buildFunnel(statusCounts, stageCounts);
+
+            //Assertion
+            expect(funnel.total).to.equal(10);
+            expect(funnel.byStatus).to.deep.equal({
+                APPLIED: 4,
+                INTERVIEWING: 0,
+                OFFER: 1,
+                REJECTED: 3,
+                ACCEPTED: 2,
+            });
+            expect(funnel.stages).to.deep.equal([
+                { status: 'APPLIED', reached: 10 },
+                { status: 'INTERVIEWING', reached: 5 },
+                { status: 'OFFER', reached: 3 },
+                { status: 'ACCEPTED', reached: 2 },
+            ]);
+            expect(funnel.conversions).to.deep.equal([
+                { from: 'APPLIED', to: 'INTERVIEWING', rate: 50 },
+                { from: 'INTERVIEWING', to: 'OFFER', rate: 60 },
+                { from: 'OFFER', to: 'ACCEPTED', rate: 66.7 },
+            ]);
+        });
+
+        it('reports null rates for an empty funnel', () => {
+            //Execution
+            const funnel = buildFunnel([], []);
+            //Assertion
+            expect(funnel.total).to.equal(0);
+            expect(funnel.conversions.map((c) => c.rate)).to.deep.equal([null, null, null]);
+        });
+    });
+
+    describe('buildBreakdown', () => {
+        it('builds one funnel per group, largest first', () => {
+            //Definition
+            const rows = [
+                { key: 'acme', label: 'Acme', stage: 0, count: 1 },
+                { key: 'acme', label: 'Acme', stage: 2, count: 1 },
+                { key: 'globex', label: 'Globex', stage: 1, count: 3 },
+                { key: 'initech', label: 'Initech', stage: 0, count: 1 },
+            ];
+            //Execution
+            const items = buildBreakdown(rows, 2);
+            //Assertion
+            expect(items.map((item) => [item.value, item.total])).to.deep.equal([
+                ['Globex', 3],
+                ['Acme', 2],
+            ]);
+            expect(items[1].stages.map((stage) => stage.reached)).to.deep.equal([2, 1, 1, 0]);
+            expect(items[1].conversions.map((c) => c.rate)).to.deep.equal([50, 100, 0]);
+        });
+    });
+
+    describe('buildTimeInStage', () => {
+        it('lists every status in workflow order with durations in hours', () => {
+            //Definition
+            const rows = [
+                { status: 'INTERVIEWING', completedStays: 1, ongoing: 0, averageSeconds: 5400 },
+                { status: 'APPLIED', completedStays: 2, ongoing: 1, averageSeconds: 86400 },
+            ];
+
+            //Execution
+            const items = buildTimeInStage(rows);
+
+            //Assertion
+            expect(items.map((item) => item.status)).to.deep.equal([
+                'APPLIED',
+                'INTERVIEWING',
+                'OFFER',
+                'REJECTED',
+                'ACCEPTED',
+            ]);
+            expect(items[0]).to.deep.equal({
+                status: 'APPLIED',
+                completedStays: 2,
+                ongoing: 1,
+                averageHours: 24,
+            });
+            expect(items[1].averageHours).to.equal(1.5);
+            expect(items[2]).to.deep.equal({
+                status: 'OFFER',
+                completedStays: 0,
+                ongoing: 0,
+                averageHours: null,
+            });
+        });
+
+        it('keeps missing durations as null', () => {
+            //Assertion
+            expect(toHours(null)).to.equal(null);
+            expect(toHours(7200)).to.equal(2);
+        });
+    });
+
+    describe('activity buckets', () => {
+        it('truncates dates like date_trunc (UTC, weeks start on Monday)', () => {
+            //Definition
+            const sunday = new Date('2025-03-09T23:30:00.000Z');
+            //Assertion
+            expect(truncateDate(sunday, 'day').toISOString()).to.equal('2025-03-09T00:00:00.000Z');
+            expect(truncateDate(sunday, 'week').toISOString()).to.equal('2025-03-03T00:00:00.000Z');
+            expect(truncateDate(sunday, 'month').toISOString()).to.equal('2025-03-01T00:00:00.000Z');
+        });
+
+        it('defaults to a fixed number of buckets ending today', () => {
+            //Definition
+            const now = new Date('2025-03-20T10:00:00.000Z');
+            //Execution
+            const weeks = resolveActivityRange({}, 'week', now);
+            const months = resolveActivityRange({}, 'month', now);
+            //Assertion
+            expect(weeks).to.deep.equal({ from: '2024-12-30', to: '2025-03-20' });
+            expect(listBuckets(weeks.from, weeks.to, 'week')).to.have.lengthOf(12);
+            expect(months.from).to.equal('2024-04-01');
+        });
+
+        it('counts buckets without listing them', () => {
+            //Assertion
+            expect(countBuckets('2025-01-30', '2025-02-01', 'day')).to.equal(3);
+            expect(countBuckets('2024-12-30', '2025-03-20', 'week')).to.equal(12);
+            expect(countBuckets('2024-04-15', '2025-03-20', 'month')).to.equal(12);
+            expect(countBuckets('2024-03-09', '2024-03-11', 'week')).to.equal(2);
+            expect(countBuckets('1970-01-01', '2099-12-31', 'day')).to.equal(47482);
+        });
+
+        it('fills buckets without activity with zeros', () => {
+            //Definition
+            const buckets = listBuckets('2025-01-30', '2025-02-01', 'day');
+            const rows = [{ bucket: new Date('2025-01-31T00:00:00.000Z'), created: 2, statusChanges: 3 }];
+            //Execution
+            const items = fillActivity(buckets, rows);
+            //Assertion
+            expect(items).to.deep.equal([
+                { period: '2025-01-30', applicationsCreated: 0, statusChanges: 0 },
+                { period: '2025-01-31', applicationsCreated: 2, statusChanges: 3 },
+                { period: '2025-02-01', applicationsCreated: 0, statusChanges: 0 },
+            ]);
+        });
+    });
+
+    describe('computeStreak', () => {
+        const currentWeek = new Date('2025-03-17T00:00:00.000Z');
+
+        it('counts consecutive weeks meeting the target', () => {
+            //Definition
+            const counts = new Map([
+                ['2025-03-17', 5],
+                ['2025-03-10', 5],
+                ['2025-03-03', 6],
+                ['2025-02-17', 9],
+            ]);
+            //Assertion
+            expect(computeStreak(counts, 5, currentWeek)).to.equal(3);
+        });
+
+        it('keeps the streak while the current week is still in progress', () => {
+            //Definition
+            const counts = new Map([
+                ['2025-03-17', 1],
+                ['2025-03-10', 5],
+            ]);
+            //Assertion
+            expect(computeStreak(counts, 5, currentWeek)).to.equal(1);
+            expect(computeStreak(new Map(), 5, currentWeek)).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+const config = require('../../config');
+const service = require('./service');
+
+const isValidationError = (message = '') =>
+    message.toLowerCase().includes('required') ||
+    message.toLowerCase().includes('must be') ||
+    message.toLowerCase().includes('invalid');
+
+const errorResponse = (res, error) => {
+    const message = error.message || 'Internal server error';
+    let status = error.status || 500;
+
+    if (!error.status && isValidationError(message)) {
+        status = 400;
+    }
+
+    const responseMessage =
+        config.isProduction && status >= 500 ? 'Internal server error' : message;
+
+    return res.status(status).json({ error: responseMessage });
+};
+
+const getFunnel = async (req, res) => {
+    try {
+        const funnel = await service.getFunnel(req.user.id, req.query);
+        return res.status(200).json(funnel);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const getBreakdown = async (req, res) => {
+    try {
+        const breakdown = await service.getBreakdown(req.user.id, req.query);
+        return res.status(200).json(breakdown);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const getResponseTime = async (req, res) => {
+    try {
+        const stats = await service.getResponseTime(req.user.id, req.query);
+        return res.status(200).json(stats);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const getTimeInStage = async (req, res) => {
+    try {
+        const stats = await service.getTimeInStage(req.user.id, req.query);
+        return res.status(200).json(stats);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const getActivity = async (req, res) => {
+    try {
+        const activity = await service.getActivity(req.user.id, req.query);
+        return res.status(200).json(activity);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const getGoal = async (req, res) => {
+    try {
+        const goal = await service.getGoal(req.user.id);
+        return res.status(200).json(goal);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const updateGoal = async (req, res) => {
+    try {
+        const goal = await service.updateGoal(req.user.id, req.body);
+        return res.status(200).json(goal);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+module.exports = {
+    getFunnel,
+    getBreakdown,
+    getResponseTime,
+    getTimeInStage,
+    getActivity,
+    getGoal,
+    updateGoal,
+};
@@ -0,0 +1,208 @@
+const { Prisma } = require('../../generated');
+const prisma = require('../../utils/prisma');
+
+// Applications are placed in a date window by appliedAt (end exclusive)
+const appliedAtWhere = ({ start, end }) => ({
+    ...(start || end
+        ? {
+              appliedAt: {
+                  ...(start ? { gte: start } : {}),
+                  ...(end ? { lt: end } : {}),
+              },
+          }
+        : {}),
+});
+
+const appliedAtFilter = ({ start, end }) => Prisma.sql`
+    ${start ? Prisma.sql`AND ja."appliedAt" >= ${start}` : Prisma.empty}
+    ${end ? Prisma.sql`AND ja."appliedAt" < ${end}` : Prisma.empty}
+`;
+
+// Index of a status in the funnel (APPLIED 0 ... ACCEPTED 3); REJECTED is not a stage
+const stageIndex = (column) => Prisma.sql`
+    CASE ${column}
+        WHEN 'APPLIED' THEN 0
+        WHEN 'INTERVIEWING' THEN 1
+        WHEN 'OFFER' THEN 2
+        WHEN 'ACCEPTED' THEN 3
+    END
+`;
+
+const countByStatus = async (userId, bounds) => {
+    const rows = await prisma.jobApplication.groupBy({
+        by: ['status'],
+        where: {
+            userId,
+            ...appliedAtWhere(bounds),
+        },
+        _count: { _all: true },
+    });
+    return rows.map((row) => ({ status: row.status, count: row._count._all }));
+};
+
+// Furthest stage each application ever reached (from its status history), counted per stage
+const countByFurthestStage = async (userId, bounds) => {
+    return prisma.$queryRaw`
+        SELECT reached."stage"::int AS "stage", COUNT(*)::int AS "count"
+        FROM (
+            SELECT COALESCE(
+                GREATEST(MAX(${stageIndex(Prisma.sql`sc."toStatus"`)}), MAX(${stageIndex(Prisma.sql`ja."status"`)})),
+                0
+            ) AS "stage"
+            FROM "JobApplication" ja
+            LEFT JOIN "ApplicationStatusChange" sc ON sc."jobApplicationId" = ja."id"
+            WHERE ja."userId" = ${userId}
+            ${appliedAtFilter(bounds)}
+            GROUP BY ja."id"
+        ) reached
+        GROUP BY reached."stage"
+    `;
+};
+
+// Time from applying to the first status change, as median and p90 over responded applications
+const responseTimeStats = async (userId, bounds) => {
+    const [row] = await prisma.$queryRaw`
+        SELECT
+            COUNT(*)::int AS "applications",
+            COUNT(first_change."changedAt")::int AS "responded",
+            percentile_cont(0.5) WITHIN GROUP (
+                ORDER BY EXTRACT(EPOCH FROM (first_change."changedAt" - ja."appliedAt"))
+            )::float8 AS "medianSeconds",
+            percentile_cont(0.9) WITHIN GROUP (
+                ORDER BY EXTRACT(EPOCH FROM (first_change."changedAt" - ja."appliedAt"))
+            )::float8 AS "p90Seconds"
+        FROM "JobApplication" ja
+        LEFT JOIN LATERAL (
+            SELECT sc."changedAt"
+            FROM "ApplicationStatusChange" sc
+            WHERE sc."jobApplicationId" = ja."id" AND sc."fromStatus" IS NOT NULL
+            ORDER BY sc."changedAt" ASC, sc."id" ASC
+            LIMIT 1
+        ) first_change ON TRUE
+        WHERE ja."userId" = ${userId}
+        ${appliedAtFilter(bounds)}
+    `;
+    return row;
+};
+
+// Each history entry opens a stay that the next entry of the same application closes
+const timeInStageStats = async (userId, bounds) => {
+    return prisma.$queryRaw`
+        SELECT
+            stay."status"::text AS "status",
+            COUNT(*) FILTER (WHERE stay."leftAt" IS NOT NULL)::int AS "completedStays",
+            COUNT(*) FILTER (WHERE stay."leftAt" IS NULL)::int AS "ongoing",
+            AVG(EXTRACT(EPOCH FROM (stay."leftAt" - stay."enteredAt")))::float8 AS "averageSeconds"
+        FROM (
+            SELECT
+                sc."toStatus" AS "status",
+                sc."changedAt" AS "enteredAt",
+                LEAD(sc."changedAt") OVER (
+                    PARTITION BY sc."jobApplicationId"
+                    ORDER BY sc."changedAt" ASC, sc."id" ASC
+                ) AS "leftAt"
+            FROM "ApplicationStatusChange" sc
+            JOIN "JobApplication" ja ON ja."id" = sc."jobApplicationId"
+            WHERE ja."userId" = ${userId}
+            ${appliedAtFilter(bounds)}
+        ) stay
+        GROUP BY stay."status"
+    `;
+};
+
+// Companies are grouped regardless of case; sources by their enum value (NULL when unset)
+const BREAKDOWN_GROUPS = {
+    company: { key: Prisma.sql`lower(ja."company")`, label: Prisma.sql`ja."company"` },
+    source: { key: Prisma.sql`ja."source"::text`, label: Prisma.sql`ja."source"::text` },
+};
+
+// Furthest stage per application, counted per group
+const countByGroupAndStage = async (userId, by, bounds) => {
+    const group = BREAKDOWN_GROUPS[by];
+    return prisma.$queryRaw`
+        SELECT reached."key", MIN(reached."label") AS "label", reached."stage"::int AS "stage", COUNT(*)::int AS "count"
+        FROM (
+            SELECT
+                ${group.key} AS "key",
+                ${group.label} AS "label",
+                COALESCE(
+                    GREATEST(MAX(${stageIndex(Prisma.sql`sc."toStatus"`)}), MAX(${stageIndex(Prisma.sql`ja."status"`)})),
+                    0
+                ) AS "stage"
+            FROM "JobApplication" ja
+            LEFT JOIN "ApplicationStatusChange" sc ON sc."jobApplicationId" = ja."id"
+            WHERE ja."userId" = ${userId}
+            ${appliedAtFilter(bounds)}
+            GROUP BY ja."id"
+        ) reached
+        GROUP BY reached."key", reached."stage"
+    `;
+};
+
+// Applications created (by appliedAt) and status changes (initial entries excluded) per bucket.
+// Timestamps are stored in UTC, so date_trunc buckets are UTC days, ISO weeks and months.
+const activityBuckets = async (userId, granularity, { start, end }) => {
+    return prisma.$queryRaw`
+        SELECT
+            activity."bucket",
+            SUM(activity."created")::int AS "created",
+            SUM(activity."statusChanges")::int AS "statusChanges"
+        FROM (
+            SELECT date_trunc(${granularity}, ja."appliedAt") AS "bucket", 1 AS "created", 0 AS "statusChanges"
+            FROM "JobApplication" ja
+            WHERE ja."userId" = ${userId}
+                AND ja."appliedAt" >= ${start}
+                AND ja."appliedAt" < ${end}
+            UNION ALL
+            SELECT date_trunc(${granularity}, sc."changedAt") AS "bucket", 0 AS "created", 1 AS "statusChanges"
+            FROM "ApplicationStatusChange" sc
+            JOIN "JobApplication" ja ON ja."id" = sc."jobApplicationId"
+            WHERE ja."userId" = ${userId}
+                AND sc."fromStatus" IS NOT NULL
+                AND sc."changedAt" >= ${start}
+                AND sc."changedAt" < ${end}
+        ) activity
+        GROUP BY activity."bucket"
+        ORDER BY activity."bucket" ASC
+    `;
+};
+
+const weeklyApplicationCounts = async (userId, since) => {
+    return prisma.$queryRaw`
+        SELECT week."start", COUNT(*)::int AS "count"
+        FROM (
+            SELECT date_trunc('week', ja."appliedAt") AS "start"
+            FROM "JobApplication" ja
+            WHERE ja."userId" = ${userId} AND ja."appliedAt" >= ${since}
+        ) week
+        GROUP BY week."start"
+    `;
+};
+
+const findWeeklyGoal = async (userId) => {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { weeklyApplicationGoal: true },
+    });
+    return user ? user.weeklyApplicationGoal : null;
+};
+
+const updateWeeklyGoal = async (userId, weeklyApplicationGoal) => {
+    return prisma.user.update({
+        where: { id: userId },
+        data: { weeklyApplicationGoal },
+        select: { weeklyApplicationGoal: true },
+    });
+};
+
+module.exports = {
+    countByStatus,
+    countByFurthestStage,
+    countByGroupAndStage,
+    responseTimeStats,
+    timeInStageStats,
+    activityBuckets,
+    weeklyApplicationCounts,
+    findWeeklyGoal,
+    updateWeeklyGoal,
+};
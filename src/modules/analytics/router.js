@@ -0,0 +1,52 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const config = require('../../config');
+const authMiddleware = require('../../utils/authMiddleware');
+const {
+    getFunnel,
+    getBreakdown,
+    getResponseTime,
+    getTimeInStage,
+    getActivity,
+    getGoal,
+    updateGoal,
+} = require('./controller');
+
+const router = express.Router();
+
+const createLimiter = (options) => {
+    if (config.isTest) {
+        return (req, res, next) => next();
+    }
+    return rateLimit(options);
+};
+
+// Analytics are mostly read-only views over applications
+const readLimiter = createLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitMaxApplicationsRead,
+    message: 'Too many requests, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const writeLimiter = createLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitMaxApplicationsWrite,
+    message: 'Too many requests, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// All routes require authentication; personal access tokens with analytics:read may only read
+router.use(authMiddleware.withScope((req) => (req.method === 'GET' ? 'analytics:read' : null)));
+
+router.get('/funnel', readLimiter, getFunnel);
+router.get('/breakdown', readLimiter, getBreakdown);
+router.get('/response-time', readLimiter, getResponseTime);
+router.get('/time-in-stage', readLimiter, getTimeInStage);
+router.get('/activity', readLimiter, getActivity);
+router.get('/goal', readLimiter, getGoal);
+router.put('/goal', writeLimiter, updateGoal);
+
+module.exports = router;
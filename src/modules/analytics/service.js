@@ -0,0 +1,155 @@
+const model = require('./model');
+const {
+    toDateBounds,
+    buildFunnel,
+    buildBreakdown,
+    toHours,
+    buildTimeInStage,
+    formatDay,
+    truncateDate,
+    addBuckets,
+    resolveActivityRange,
+    countBuckets,
+    listBuckets,
+    fillActivity,
+    computeStreak,
+    percentage,
+} = require('./utils');
+const {
+    dateRangeSchema,
+    activitySchema,
+    breakdownSchema,
+    goalSchema,
+    parseWithErrorHandling,
+} = require('./validations');
+
+// Upper bound on buckets per activity response (a year of days)
+const MAX_ACTIVITY_BUCKETS = 366;
+
+// Weeks of history looked at when computing the goal streak
+const STREAK_LOOKBACK_WEEKS = 104;
+
+const parseRange = (query) => parseWithErrorHandling(dateRangeSchema, query || {});
+
+const getFunnel = async (userId, query) => {
+    if (!userId) throw new Error('User context is required');
+    const range = parseRange(query);
+    const bounds = toDateBounds(range);
+
+    const statusCounts = await model.countByStatus(userId, bounds);
+    const stageCounts = await model.countByFurthestStage(userId, bounds);
+
+    return {
+        range: { from: range.from || null, to: range.to || null },
+        ...buildFunnel(statusCounts, stageCounts),
+    };
+};
+
+// Which companies or channels turn applications into interviews and offers
+const getBreakdown = async (userId, query) => {
+    if (!userId) throw new Error('User context is required');
+    const { by, limit, ...range } = parseWithErrorHandling(breakdownSchema, query || {});
+
+    const rows = await model.countByGroupAndStage(userId, by, toDateBounds(range));
+    return {
+        by,
+        range: { from: range.from || null, to: range.to || null },
+        items: buildBreakdown(rows, limit),
+    };
+};
+
+// Only applications that already moved past APPLIED count towards the statistics
+const getResponseTime = async (userId, query) => {
+    if (!userId) throw new Error('User context is required');
+    const range = parseRange(query);
+
+    const stats = await model.responseTimeStats(userId, toDateBounds(range));
+    return {
+        range: { from: range.from || null, to: range.to || null },
+        applications: stats.applications,
+        responded: stats.responded,
+        pending: stats.applications - stats.responded,
+        medianHours: toHours(stats.medianSeconds),
+        p90Hours: toHours(stats.p90Seconds),
+    };
+};
+
+// Averages only cover finished stays; time in the current status is still running
+const getTimeInStage = async (userId, query) => {
+    if (!userId) throw new Error('User context is required');
+    const range = parseRange(query);
+
+    const rows = await model.timeInStageStats(userId, toDateBounds(range));
+    return {
+        range: { from: range.from || null, to: range.to || null },
+        items: buildTimeInStage(rows),
+    };
+};
+
+const getActivity = async (userId, query) => {
+    if (!userId) throw new Error('User context is required');
+    const { granularity, ...requested } = parseWithErrorHandling(activitySchema, query || {});
+
+    const range = resolveActivityRange(requested, granularity);
+    // Counted before listing so an oversized range is rejected without building it
+    if (countBuckets(range.from, range.to, granularity) > MAX_ACTIVITY_BUCKETS) {
+        const error = new Error(
+            `Date range must cover at most ${MAX_ACTIVITY_BUCKETS} ${granularity} buckets`
+        );
+        error.status = 400;
+        throw error;
+    }
+    const buckets = listBuckets(range.from, range.to, granularity);
+
+    const rows = await model.activityBuckets(userId, granularity, toDateBounds(range));
+    return {
+        granularity,
+        range,
+        items: fillActivity(buckets, rows),
+    };
+};
+
+const buildGoalProgress = async (userId, weeklyTarget) => {
+    const currentWeekStart = truncateDate(new Date(), 'week');
+    const since = addBuckets(currentWeekStart, 'week', -STREAK_LOOKBACK_WEEKS);
+
+    const rows = await model.weeklyApplicationCounts(userId, since);
+    const weeklyCounts = new Map(rows.map((row) => [formatDay(new Date(row.start)), row.count]));
+    const applications = weeklyCounts.get(formatDay(currentWeekStart)) || 0;
+
+    return {
+        weeklyTarget,
+        currentWeek: {
+            start: formatDay(currentWeekStart),
+            end: formatDay(addBuckets(currentWeekStart, 'day', 6)),
+            applications,
+            // Capped at 100 so an overachieving week does not look like a bug in the UI
+            progress: weeklyTarget ? Math.min(100, percentage(applications, weeklyTarget)) : null,
+        },
+        streak: weeklyTarget ? computeStreak(weeklyCounts, weeklyTarget, currentWeekStart) : 0,
+    };
+};
+
+const getGoal = async (userId) => {
+    if (!userId) throw new Error('User context is required');
+    const weeklyTarget = await model.findWeeklyGoal(userId);
+    return buildGoalProgress(userId, weeklyTarget);
+};
+
+const updateGoal = async (userId, payload) => {
+    if (!userId) throw new Error('User context is required');
+    const { weeklyTarget } = parseWithErrorHandling(goalSchema, payload || {});
+
+    await model.updateWeeklyGoal(userId, weeklyTarget);
+    return buildGoalProgress(userId, weeklyTarget);
+};
+
+module.exports = {
+    getFunnel,
+    getBreakdown,
+    getResponseTime,
+    getTimeInStage,
+    getActivity,
+    getGoal,
+    updateGoal,
+};
@@ -0,0 +1,280 @@
+//Pure helpers turning raw analytics rows into response shapes
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pipeline stages in order; REJECTED ends an application at whatever stage it reached
+const FUNNEL_STAGES = ['APPLIED', 'INTERVIEWING', 'OFFER', 'ACCEPTED'];
+
+const ALL_STATUSES = ['APPLIED', 'INTERVIEWING', 'OFFER', 'REJECTED', 'ACCEPTED'];
+
+/**
+ * Convert an inclusive day range into Date bounds ({ gte, lt })
+ * @param {object} range - { from?: 'YYYY-MM-DD', to?: 'YYYY-MM-DD' }
+ * @returns {object} - { start: Date|null, end: Date|null } with end exclusive
+ */
+const toDateBounds = ({ from, to } = {}) => ({
+    start: from ? new Date(`${from}T00:00:00.000Z`) : null,
+    end: to ? new Date(Date.parse(`${to}T00:00:00.000Z`) + DAY_MS) : null,
+});
+
+/**
+ * Percentage with one decimal, or null when there is nothing to compare against
+ * @param {number} part
+ * @param {number} whole
+ * @returns {number|null}
+ */
+const percentage = (part, whole) => {
+    if (!whole) return null;
+    return Math.round((part / whole) * 1000) / 10;
+};
+
+// An application that reached OFFER also went through APPLIED and INTERVIEWING
+const buildStages = (stageCounts) =>
+    FUNNEL_STAGES.map((status, index) => ({
+        status,
+        reached: stageCounts
+            .filter(({ stage }) => stage >= index)
+            .reduce((sum, { count }) => sum + count, 0),
+    }));
+
+const buildConversions = (stages) =>
+    stages.slice(1).map((stage, index) => ({
+        from: stages[index].status,
+        to: stage.status,
+        rate: percentage(stage.reached, stages[index].reached),
+    }));
+
+/**
+ * Build the funnel from current status counts and the furthest stage each application reached
+ * @param {Array<{ status: string, count: number }>} statusCounts - Applications per current status
+ * @param {Array<{ stage: number, count: number }>} stageCounts - Applications per furthest stage index
+ * @returns {object} - { total, byStatus, stages, conversions }
+ */
+const buildFunnel = (statusCounts, stageCounts) => {
+    const byStatus = Object.fromEntries(ALL_STATUSES.map((status) => [status, 0]));
+    statusCounts.forEach(({ status, count }) => {
+        byStatus[status] = count;
+    });
+    const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+    const stages = buildStages(stageCounts);
+
+    return {
+        total,
+        byStatus,
+        stages,
+        conversions: buildConversions(stages),
+    };
+};
+
+/**
+ * Group furthest-stage counts into one mini funnel per company or source
+ * @param {Array<object>} rows - { key, label, stage, count }, key null for a missing source
+ * @param {number} limit - Maximum number of groups, largest first
+ * @returns {Array<object>} - { value, total, stages, conversions }
+ */
+const buildBreakdown = (rows, limit) => {
+    const groups = new Map();
+    rows.forEach(({ key, label, stage, count }) => {
+        if (!groups.has(key)) {
+            groups.set(key, { value: label, stageCounts: [] });
+        }
+        groups.get(key).stageCounts.push({ stage, count });
+    });
+
+    return [...groups.values()]
+        .map(({ value, stageCounts }) => {
+            const stages = buildStages(stageCounts);
+            return {
+                value,
+                total: stages[0].reached,
+                stages,
+                conversions: buildConversions(stages),
+            };
+        })
+        .sort((a, b) => b.total - a.total || String(a.value).localeCompare(String(b.value)))
+        .slice(0, limit);
+};
+
+/**
+ * Convert a duration in seconds to hours with one decimal
+ * @param {number|null} seconds
+ * @returns {number|null}
+ */
+const toHours = (seconds) => {
+    if (seconds === null || seconds === undefined) return null;
+    return Math.round((seconds / 3600) * 10) / 10;
+};
+
+/**
+ * Shape time-in-stage rows: every status is listed, in workflow order
+ * @param {Array<object>} rows - { status, completedStays, ongoing, averageSeconds }
+ * @returns {Array<object>} - { status, completedStays, ongoing, averageHours }
+ */
+const buildTimeInStage = (rows) => {
+    const byStatus = new Map(rows.map((row) => [row.status, row]));
+    return ALL_STATUSES.map((status) => {
+        const row = byStatus.get(status);
+        return {
+            status,
+            completedStays: row ? row.completedStays : 0,
+            ongoing: row ? row.ongoing : 0,
+            averageHours: row ? toHours(row.averageSeconds) : null,
+        };
+    });
+};
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Buckets returned when no start date is given
+const DEFAULT_BUCKETS = { day: 30, week: 12, month: 12 };
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Start of the UTC day, ISO week (Monday) or month containing a date
+ * Mirrors PostgreSQL date_trunc on UTC timestamps.
+ * @param {Date} date
+ * @param {string} granularity - day, week or month
+ * @returns {Date}
+ */
+const truncateDate = (date, granularity) => {
+    const truncated = new Date(
+        Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+    );
+    if (granularity === 'week') {
+        const daysSinceMonday = (truncated.getUTCDay() + 6) % 7;
+        truncated.setUTCDate(truncated.getUTCDate() - daysSinceMonday);
+    } else if (granularity === 'month') {
+        truncated.setUTCDate(1);
+    }
+    return truncated;
+};
+
+/**
+ * Move a bucket start forward (or back, with a negative step) by whole buckets
+ * @param {Date} date - Bucket start
+ * @param {string} granularity
+ * @param {number} steps
+ * @returns {Date}
+ */
+const addBuckets = (date, granularity, steps) => {
+    const next = new Date(date);
+    if (granularity === 'month') {
+        next.setUTCMonth(next.getUTCMonth() + steps);
+    } else {
+        next.setUTCDate(next.getUTCDate() + steps * (granularity === 'week' ? 7 : 1));
+    }
+    return next;
+};
+
+/**
+ * Resolve the activity window: missing ends default to today and a fixed number of buckets
+ * @param {object} range - { from?, to? } as YYYY-MM-DD
+ * @param {string} granularity
+ * @param {Date} now
+ * @returns {object} - { from, to } as YYYY-MM-DD
+ */
+const resolveActivityRange = ({ from, to }, granularity, now = new Date()) => {
+    const end = to || formatDay(now);
+    if (from) {
+        return { from, to: end };
+    }
+    const lastBucket = truncateDate(new Date(`${end}T00:00:00.000Z`), granularity);
+    const firstBucket = addBuckets(lastBucket, granularity, 1 - DEFAULT_BUCKETS[granularity]);
+    return { from: formatDay(firstBucket), to: end };
+};
+
+/**
+ * Number of buckets between two days (inclusive), computed without listing them
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {string} granularity
+ * @returns {number}
+ */
+const countBuckets = (from, to, granularity) => {
+    const first = truncateDate(new Date(`${from}T00:00:00.000Z`), granularity);
+    const last = truncateDate(new Date(`${to}T00:00:00.000Z`), granularity);
+    if (granularity === 'month') {
+        return (last.getUTCFullYear() - first.getUTCFullYear()) * 12
+            + (last.getUTCMonth() - first.getUTCMonth()) + 1;
+    }
+    const bucketMs = granularity === 'week' ? 7 * DAY_MS : DAY_MS;
+    return Math.round((last - first) / bucketMs) + 1;
+};
+
+/**
+ * List every bucket start between two days (inclusive)
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {string} granularity
+ * @returns {Array<string>} - Bucket starts as YYYY-MM-DD
+ */
+const listBuckets = (from, to, granularity) => {
+    const buckets = [];
+    const last = truncateDate(new Date(`${to}T00:00:00.000Z`), granularity);
+    let current = truncateDate(new Date(`${from}T00:00:00.000Z`), granularity);
+    while (current <= last) {
+        buckets.push(formatDay(current));
+        current = addBuckets(current, granularity, 1);
+    }
+    return buckets;
+};
+
+/**
+ * Merge SQL bucket rows into a complete series, empty buckets included
+ * @param {Array<string>} buckets - From listBuckets
+ * @param {Array<object>} rows - { bucket: Date, created: number, statusChanges: number }
+ * @returns {Array<object>} - { period, applicationsCreated, statusChanges }
+ */
+const fillActivity = (buckets, rows) => {
+    const byBucket = new Map(rows.map((row) => [formatDay(new Date(row.bucket)), row]));
+    return buckets.map((period) => {
+        const row = byBucket.get(period);
+        return {
+            period,
+            applicationsCreated: row ? row.created : 0,
+            statusChanges: row ? row.statusChanges : 0,
+        };
+    });
+};
+
+/**
+ * Consecutive weeks meeting the target, counting back from the current week
+ * The current week only adds to the streak once its target is met; until then
+ * the streak is carried by the weeks before it.
+ * @param {Map<string, number>} weeklyCounts - Week start (YYYY-MM-DD) -> applications
+ * @param {number} target - Weekly target
+ * @param {Date} currentWeekStart
+ * @returns {number}
+ */
+const computeStreak = (weeklyCounts, target, currentWeekStart) => {
+    const met = (week) => (weeklyCounts.get(formatDay(week)) || 0) >= target;
+
+    let streak = met(currentWeekStart) ? 1 : 0;
+    let week = addBuckets(currentWeekStart, 'week', -1);
+    while (met(week)) {
+        streak += 1;
+        week = addBuckets(week, 'week', -1);
+    }
+    return streak;
+};
+
+module.exports = {
+    FUNNEL_STAGES,
+    ALL_STATUSES,
+    toDateBounds,
+    percentage,
+    buildFunnel,
+    buildBreakdown,
+    toHours,
+    buildTimeInStage,
+    GRANULARITIES,
+    formatDay,
+    truncateDate,
+    addBuckets,
+    resolveActivityRange,
+    countBuckets,
+    listBuckets,
+    fillActivity,
+    computeStreak,
+};
@@ -0,0 +1,101 @@
+const { z } = require('zod');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Accepted days (a job search history never leaves this window)
+const MIN_DAY = '1970-01-01';
+const MAX_DAY = '2099-12-31';
+
+// Calendar day (YYYY-MM-DD, UTC) turned into the Date at its start
+const day = (fieldName) =>
+    z
+        .string({
+            invalid_type_error: `${fieldName} must be a string`,
+        })
+        .regex(DATE_PATTERN, `${fieldName} must be a date formatted as YYYY-MM-DD`)
+        // Rejects impossible days such as 2025-02-30 instead of rolling them over
+        .refine((val) => {
+            const parsed = new Date(`${val}T00:00:00.000Z`);
+            return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === val;
+        }, `${fieldName} must be a valid date`)
+        .refine((val) => val >= MIN_DAY && val <= MAX_DAY, `${fieldName} must be between ${MIN_DAY} and ${MAX_DAY}`);
+
+// Both ends are inclusive days; either can be omitted for an open range
+const dateRangeFields = {
+    from: day('from').optional(),
+    to: day('to').optional(),
+};
+
+const orderedRange = (data) => !data.from || !data.to || data.from <= data.to;
+const ORDERED_RANGE_MESSAGE = 'from must be before or equal to to';
+
+const dateRangeSchema = z.object(dateRangeFields).refine(orderedRange, ORDERED_RANGE_MESSAGE);
+
+const activitySchema = z
+    .object({
+        ...dateRangeFields,
+        granularity: z
+            .enum(['day', 'week', 'month'], {
+                message: 'granularity must be one of day, week or month',
+            })
+            .optional()
+            .default('week'),
+    })
+    .refine(orderedRange, ORDERED_RANGE_MESSAGE);
+
+const breakdownSchema = z
+    .object({
+        ...dateRangeFields,
+        by: z.enum(['company', 'source'], {
+            message: 'by must be either company or source',
+        }),
+        limit: z
+            .preprocess(
+                (val) => (val === undefined ? 20 : Number(val)),
+                z
+                    .number({
+                        invalid_type_error: 'limit must be a number',
+                    })
+                    .int('limit must be an integer')
+                    .min(1, 'limit must be at least 1')
+                    .max(100, 'limit must be at most 100')
+            )
+            .default(20),
+    })
+    .refine(orderedRange, ORDERED_RANGE_MESSAGE);
+
+// null clears the goal
+const goalSchema = z.object({
+    weeklyTarget: z
+        .number({
+            message: 'weeklyTarget must be a number or null',
+        })
+        .int('weeklyTarget must be an integer')
+        .min(1, 'weeklyTarget must be at least 1')
+        .max(100, 'weeklyTarget must be at most 100')
+        .nullable(),
+});
+
+const parseWithErrorHandling = (schema, data) => {
+    try {
+        return schema.parse(data);
+    } catch (error) {
+        if (error instanceof z.ZodError) {
+            const issues = error.issues || error.errors || [];
+            if (issues.length > 0) {
+                const first = issues[0];
+                const message = first.message || 'Validation failed';
+                throw new Error(message);
+            }
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    dateRangeSchema,
+    activitySchema,
+    breakdownSchema,
+    goalSchema,
+    parseWithErrorHandling,
+};
@@ -169,6 +169,51 @@ describe('Applications Controller (HTTP Layer)', () => {
         expect(statuses).to.deep.equal(['APPLIED', 'REJECTED']);
     });
 
+    it('records the application source and filters by it', async () => {
+        const token = await buildAuthToken();
+
+        const referral = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Engineer',
+                company: 'Acme',
+                url: 'https://acme.example/job',
+                source: 'REFERRAL',
+            });
+        await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ position: 'Designer', company: 'Beta', url: 'https://beta.example/job' });
+
+        expect(referral.status).to.equal(201);
+        expect(referral.body.source).to.equal('REFERRAL');
+
+        const filtered = await supertest(app)
+            .get('/applications?source=REFERRAL')
+            .set('Authorization', `Bearer ${token}`);
+        expect(filtered.body.total).to.equal(1);
+        expect(filtered.body.items[0].id).to.equal(referral.body.id);
+
+        const cleared = await supertest(app)
+            .patch(`/applications/${referral.body.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ source: null });
+        expect(cleared.status).to.equal(200);
+        expect(cleared.body.source).to.equal(null);
+
+        const invalid = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Engineer',
+                company: 'Acme',
+                url: 'https://acme.example/job',
+                source: 'NEWSPAPER',
+            });
+        expect(invalid.status).to.equal(400);
+    });
+
     it('updates editable fields and keeps URL immutable', async () => {
         const token = await buildAuthToken();
 
@@ -197,6 +242,490 @@ describe('Applications Controller (HTTP Layer)', () => {
         expect(updateResponse.body.url).to.equal('https://theta.example/job');
     });
 
+    it('records status changes on the application timeline', async () => {
+        const token = await buildAuthToken();
+
+        const created = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Timeline Role',
+                company: 'Kappa',
+                url: 'https://kappa.example/job',
+            });
+
+        await supertest(app)
+            .patch(`/applications/${created.body.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ status: 'INTERVIEWING', note: 'Phone screen booked' });
+
+        await supertest(app)
+            .patch(`/applications/${created.body.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ position: 'Timeline Role (Senior)' });
+
+        const timelineResponse = await supertest(app)
+            .get(`/applications/${created.body.id}/timeline`)
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(timelineResponse.status).to.equal(200);
+        expect(timelineResponse.body.applicationId).to.equal(created.body.id);
+        expect(timelineResponse.body.status).to.equal('INTERVIEWING');
+        const items = timelineResponse.body.items;
+        expect(items).to.have.length(2);
+        expect(items[0]).to.include({ fromStatus: null, toStatus: 'APPLIED' });
+        expect(items[1]).to.include({
+            fromStatus: 'APPLIED',
+            toStatus: 'INTERVIEWING',
+            note: 'Phone screen booked',
+        });
+        expect(items[1]).to.have.property('changedAt');
+    });
+
+    it('rejects a note without a status change', async () => {
+        const token = await buildAuthToken();
+
+        const created = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Note Only',
+                company: 'Lambda',
+                url: 'https://lambda.example/note',
+            });
+
+        const response = await supertest(app)
+            .patch(`/applications/${created.body.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ position: 'Note Only', note: 'Just a note' });
+
+        expect(response.status).to.equal(400);
+    });
+
+    it('rejects a note sent with the current status', async () => {
+        const token = await buildAuthToken();
+
+        const created = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Same Status',
+                company: 'Xi',
+                url: 'https://xi.example/job',
+            });
+
+        const response = await supertest(app)
+            .patch(`/applications/${created.body.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ status: 'APPLIED', note: 'Still waiting' });
+
+        expect(response.status).to.equal(400);
+        expect(response.body.error).to.equal('Note can only be recorded with a status change');
+    });
+
+    it('returns 404 for the timeline of an unknown application', async () => {
+        const token = await buildAuthToken();
+
+        const response = await supertest(app)
+            .get('/applications/999999/timeline')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).to.equal(404);
+    });
+
+    it('rejects status changes the workflow does not allow', async () => {
+        const token = await buildAuthToken();
+
+        const created = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Rejected Role',
+                company: 'Mu',
+                url: 'https://mu.example/job',
+                status: 'REJECTED',
+            });
+
+        const response = await supertest(app)
+            .patch(`/applications/${created.body.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ status: 'ACCEPTED' });
+
+        expect(response.status).to.equal(409);
+        expect(response.body.error).to.include('REJECTED');
+    });
+
+    it('reopens an application to an earlier status', async () => {
+        const token = await buildAuthToken();
+
+        const created = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Second Chance',
+                company: 'Nu',
+                url: 'https://nu.example/job',
+                status: 'REJECTED',
+            });
+
+        const response = await supertest(app)
+            .post(`/applications/${created.body.id}/reopen`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ status: 'INTERVIEWING', note: 'Recruiter reached out again' });
+
+        expect(response.status).to.equal(200);
+        expect(response.body.status).to.equal('INTERVIEWING');
+
+        const invalid = await supertest(app)
+            .post(`/applications/${created.body.id}/reopen`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ status: 'OFFER' });
+
+        expect(invalid.status).to.equal(409);
+    });
+
+    it('exposes the status workflow', async () => {
+        const token = await buildAuthToken();
+
+        const response = await supertest(app)
+            .get('/applications/workflow')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).to.equal(200);
+        expect(response.body.transitions.APPLIED).to.include('INTERVIEWING');
+        expect(response.body.reopenTransitions.REJECTED).to.include('APPLIED');
+    });
+
+    it('creates, lists, edits and deletes notes in order', async () => {
+        const token = await buildAuthToken();
+
+        const created = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Noted Role',
+                company: 'Xi',
+                url: 'https://xi.example/job',
+            });
+        const notesPath = `/applications/${created.body.id}/notes`;
+
+        const first = await supertest(app)
+            .post(notesPath)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ body: '## Recruiter call\n- Salary range discussed' });
+        expect(first.status).to.equal(201);
+        expect(first.body).to.have.property('createdAt');
+
+        await supertest(app)
+            .post(notesPath)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ body: 'Second note' });
+
+        const edited = await supertest(app)
+            .patch(`${notesPath}/${first.body.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ body: '## Recruiter call\n- Salary range agreed' });
+        expect(edited.status).to.equal(200);
+        expect(edited.body.body).to.include('agreed');
+
+        const list = await supertest(app)
+            .get(notesPath)
+            .set('Authorization', `Bearer ${token}`);
+        expect(list.status).to.equal(200);
+        expect(list.body.items).to.have.length(2);
+        expect(list.body.items[0].id).to.equal(first.body.id);
+        expect(list.body.items[1].body).to.equal('Second note');
+
+        const removed = await supertest(app)
+            .delete(`${notesPath}/${first.body.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(removed.status).to.equal(204);
+
+        const missing = await supertest(app)
+            .patch(`${notesPath}/${first.body.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ body: 'Too late' });
+        expect(missing.status).to.equal(404);
+    });
+
+    it('sanitizes note Markdown when returning it', async () => {
+        const token = await buildAuthToken();
+
+        const created = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Unsafe Notes',
+                company: 'Omicron',
+                url: 'https://omicron.example/job',
+            });
+
+        const response = await supertest(app)
+            .post(`/applications/${created.body.id}/notes`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ body: 'Hi <img src=x onerror=alert(1)> [link](javascript:alert(1))' });
+
+        expect(response.status).to.equal(201);
+        expect(response.body.body).to.equal('Hi  [link](#)');
+    });
+
+    it('searches position, company, URL host and notes by relevance', async () => {
+        const token = await buildAuthToken();
+
+        const byPosition = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Kubernetes Platform Engineer',
+                company: 'Pi Systems',
+                url: 'https://pi.example/jobs/1',
+            });
+
+        const byNote = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Backend Engineer',
+                company: 'Rho',
+                url: 'https://careers.rhotech.example/jobs/2',
+            });
+        await supertest(app)
+            .post(`/applications/${byNote.body.id}/notes`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ body: 'They run everything on Kubernetes' });
+
+        await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Designer',
+                company: 'Sigma',
+                url: 'https://sigma.example/jobs/3',
+            });
+
+        const response = await supertest(app)
+            .get('/applications?q=kubernetes')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).to.equal(200);
+        expect(response.body.total).to.equal(2);
+        expect(response.body.items[0].id).to.equal(byPosition.body.id);
+        expect(response.body.items[0].search.highlights.position).to.include(
+            '<mark>Kubernetes</mark>'
+        );
+        expect(response.body.items[1].id).to.equal(byNote.body.id);
+        expect(response.body.items[1].search.highlights.note).to.include('<mark>');
+
+        const byHost = await supertest(app)
+            .get('/applications?q=rhotech')
+            .set('Authorization', `Bearer ${token}`);
+        expect(byHost.body.items.map((item) => item.id)).to.deep.equal([byNote.body.id]);
+    });
+
+    it('returns tags and filters by tag names with any/all semantics', async () => {
+        const token = await buildAuthToken();
+
+        const remote = await supertest(app)
+            .post('/tags')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Remote' });
+        const fintech = await supertest(app)
+            .post('/tags')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Fintech', color: '#0ea5e9' });
+
+        const both = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Both Tags',
+                company: 'Upsilon',
+                url: 'https://upsilon.example/job',
+                tagIds: [remote.body.id, fintech.body.id],
+            });
+        expect(both.status).to.equal(201);
+        expect(both.body.tags.map((tag) => tag.name)).to.deep.equal(['Fintech', 'Remote']);
+        expect(both.body.tags[0].color).to.equal('#0ea5e9');
+
+        const onlyRemote = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Remote Only',
+                company: 'Phi',
+                url: 'https://phi.example/job',
+            });
+        await supertest(app)
+            .patch(`/applications/${onlyRemote.body.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ tagIds: [remote.body.id] });
+
+        const anyResponse = await supertest(app)
+            .get('/applications?tags=remote,fintech')
+            .set('Authorization', `Bearer ${token}`);
+        expect(anyResponse.status).to.equal(200);
+        expect(anyResponse.body.total).to.equal(2);
+
+        const allResponse = await supertest(app)
+            .get('/applications?tags=remote,fintech&tagMatch=all')
+            .set('Authorization', `Bearer ${token}`);
+        expect(allResponse.body.total).to.equal(1);
+        expect(allResponse.body.items[0].id).to.equal(both.body.id);
+    });
+
+    it('rejects tag ids that belong to someone else', async () => {
+        const token = await buildAuthToken();
+
+        const response = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Foreign Tag',
+                company: 'Chi',
+                url: 'https://chi.example/job',
+                tagIds: [999999],
+            });
+
+        expect(response.status).to.equal(404);
+    });
+
+    it('rejects more than 20 tags with 400', async () => {
+        const token = await buildAuthToken();
+        const tagIds = Array.from({ length: 21 }, (_, index) => index + 1);
+        const names = tagIds.map((id) => `tag${id}`).join(',');
+
+        const created = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Many Tags',
+                company: 'Psi',
+                url: 'https://psi.example/many-tags',
+                tagIds,
+            });
+        const listed = await supertest(app)
+            .get(`/applications?tags=${names}`)
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(created.status).to.equal(400);
+        expect(created.body.error).to.equal('tagIds must be at most 20 tags');
+        expect(listed.status).to.equal(400);
+        expect(listed.body.error).to.equal('tags must be at most 20 tag names');
+    });
+
+    it('imports applications from CSV with a dry run first', async () => {
+        const token = await buildAuthToken();
+        const csv = [
+            'Position,Company,URL,Status,Applied At',
+            'Platform Engineer,Psi,https://psi.example/job,INTERVIEWING,2024-02-01',
+            'Missing Company,,https://omega.example/job,,',
+            'Data Engineer,Alpha Two,https://alpha2.example/job,,',
+        ].join('\n');
+
+        const dryRun = await supertest(app)
+            .post('/applications/import')
+            .set('Authorization', `Bearer ${token}`)
+            .field('dryRun', 'true')
+            .attach('file', Buffer.from(csv), 'applications.csv');
+
+        expect(dryRun.status).to.equal(200);
+        expect(dryRun.body).to.include({
+            dryRun: true,
+            totalRows: 3,
+            validRows: 2,
+            invalidRows: 1,
+            imported: 0,
+        });
+        expect(dryRun.body.errors[0].row).to.equal(3);
+        expect(dryRun.body.errors[0].errors[0].field).to.equal('company');
+
+        const afterDryRun = await supertest(app)
+            .get('/applications')
+            .set('Authorization', `Bearer ${token}`);
+        expect(afterDryRun.body.total).to.equal(0);
+
+        const imported = await supertest(app)
+            .post('/applications/import')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('file', Buffer.from(csv), 'applications.csv');
+
+        expect(imported.status).to.equal(201);
+        expect(imported.body.imported).to.equal(2);
+
+        const list = await supertest(app)
+            .get('/applications?sortBy=date&sortOrder=asc')
+            .set('Authorization', `Bearer ${token}`);
+        expect(list.body.total).to.equal(2);
+        expect(list.body.items[0]).to.include({
+            position: 'Platform Engineer',
+            status: 'INTERVIEWING',
+        });
+        expect(new Date(list.body.items[0].appliedAt).toISOString()).to.equal(
+            '2024-02-01T00:00:00.000Z'
+        );
+    });
+
+    it('rejects imports without the required columns', async () => {
+        const token = await buildAuthToken();
+
+        const response = await supertest(app)
+            .post('/applications/import')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('file', Buffer.from('Position,Notes\nEngineer,hello'), 'applications.csv');
+
+        expect(response.status).to.equal(400);
+        expect(response.body.error).to.include('company');
+    });
+
+    it('exports filtered applications as CSV and JSON', async () => {
+        const token = await buildAuthToken();
+
+        await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ position: 'Engineer', company: 'Acme, Inc', url: 'https://acme.example/job' });
+        await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Designer',
+                company: 'Beta',
+                url: 'https://beta.example/job',
+                status: 'INTERVIEWING',
+            });
+
+        const csv = await supertest(app)
+            .get('/applications/export?format=csv&status=APPLIED')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(csv.status).to.equal(200);
+        expect(csv.headers['content-type']).to.include('text/csv');
+        expect(csv.headers['content-disposition']).to.match(/attachment; filename="applications-.+\.csv"/);
+        const lines = csv.text.replace(/^\ufeff/, '').trim().split('\r\n');
+        expect(lines[0]).to.equal('position,company,url,status,source,appliedAt,tags');
+        expect(lines).to.have.lengthOf(2);
+        expect(lines[1]).to.include('Engineer,"Acme, Inc",https://acme.example/job,APPLIED');
+
+        const json = await supertest(app)
+            .get('/applications/export?format=json')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(json.status).to.equal(200);
+        expect(json.headers['content-type']).to.include('application/json');
+        expect(json.body).to.be.an('array').with.lengthOf(2);
+    });
+
+    it('rejects unknown export formats', async () => {
+        const token = await buildAuthToken();
+
+        const response = await supertest(app)
+            .get('/applications/export?format=pdf')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).to.equal(400);
+        expect(response.body.error).to.equal('format must be one of csv, json or xlsx');
+    });
+
     it('deletes an application', async () => {
         const token = await buildAuthToken();
 
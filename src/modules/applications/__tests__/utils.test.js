@@ -0,0 +1,163 @@
+const { expect } = require('chai');
+const {
+    STATUS_TRANSITIONS,
+    REOPEN_TRANSITIONS,
+    canTransition,
+    describeWorkflow,
+    escapeHighlight,
+    parseCsv,
+    resolveColumnMapping,
+    mapCsvRow,
+    toCsvLine,
+} = require('../utils');
+const { ALLOWED_STATUSES } = require('../validations');
+
+describe('Applications Utils', () => {
+    describe('canTransition', () => {
+        it('allows forward transitions of the workflow', () => {
+            //Execution + Assertion
+            expect(canTransition('APPLIED', 'INTERVIEWING')).to.be.true;
+            expect(canTransition('INTERVIEWING', 'OFFER')).to.be.true;
+            expect(canTransition('OFFER', 'ACCEPTED')).to.be.true;
+            expect(canTransition('OFFER', 'REJECTED')).to.be.true;
+        });
+
+        it('rejects jumps out of terminal statuses', () => {
+            //Execution + Assertion
+            expect(canTransition('REJECTED', 'ACCEPTED')).to.be.false;
+            expect(canTransition('ACCEPTED', 'APPLIED')).to.be.false;
+        });
+
+        it('rejects backward transitions unless the reopen graph is used', () => {
+            //Execution + Assertion
+            expect(canTransition('INTERVIEWING', 'APPLIED')).to.be.false;
+            expect(canTransition('INTERVIEWING', 'APPLIED', REOPEN_TRANSITIONS)).to.be.true;
+            expect(canTransition('REJECTED', 'INTERVIEWING', REOPEN_TRANSITIONS)).to.be.true;
+        });
+
+        it('returns false for unknown statuses', () => {
+            //Execution + Assertion
+            expect(canTransition('UNKNOWN', 'APPLIED')).to.be.false;
+            expect(canTransition('APPLIED', 'UNKNOWN')).to.be.false;
+        });
+    });
+
+    describe('describeWorkflow', () => {
+        it('covers every allowed status in both graphs', () => {
+            //Execution
+            const workflow = describeWorkflow();
+            //Assertion
+            expect(workflow.statuses).to.have.members(ALLOWED_STATUSES);
+            expect(Object.keys(STATUS_TRANSITIONS)).to.have.members(ALLOWED_STATUSES);
+            expect(Object.keys(REOPEN_TRANSITIONS)).to.have.members(ALLOWED_STATUSES);
+        });
+
+        it('never lists the same edge as both forward and reopen', () => {
+            //Execution + Assertion
+            ALLOWED_STATUSES.forEach((from) => {
+                REOPEN_TRANSITIONS[from].forEach((to) => {
+                    expect(canTransition(from, to)).to.be.false;
+                });
+            });
+        });
+    });
+
+    describe('escapeHighlight', () => {
+        it('escapes user text but keeps the highlight marks', () => {
+            //Definition
+            const snippet = '<b>Senior</b> <mark>Backend</mark> Engineer';
+            //Execution
+            const result = escapeHighlight(snippet);
+            //Assertion
+            expect(result).to.equal('&lt;b&gt;Senior&lt;&#x2F;b&gt; <mark>Backend</mark> Engineer');
+        });
+
+        it('returns null when the snippet has no match', () => {
+            //Execution + Assertion
+            expect(escapeHighlight('Backend Engineer')).to.be.null;
+            expect(escapeHighlight(null)).to.be.null;
+        });
+    });
+
+    describe('CSV import helpers', () => {
+        it('parses the header and keeps CSV line numbers of data rows', () => {
+            //Definition
+            const csv = '\ufeffPosition,Company\n"Engineer, Backend",Acme\n\nDesigner,Beta\n';
+            //Execution
+            const { headers, rows } = parseCsv(Buffer.from(csv));
+            //Assertion
+            expect(headers).to.deep.equal(['Position', 'Company']);
+            expect(rows).to.deep.equal([
+                { line: 2, values: ['Engineer, Backend', 'Acme'] },
+                { line: 4, values: ['Designer', 'Beta'] },
+            ]);
+        });
+
+        it('recognises common header spellings', () => {
+            //Definition
+            const headers = ['Job Title', 'Employer', 'Link', 'Stage', 'Date Applied'];
+            //Execution
+            const columns = resolveColumnMapping(headers);
+            //Assertion
+            expect(columns).to.deep.equal({
+                position: 0,
+                company: 1,
+                url: 2,
+                status: 3,
+                appliedAt: 4,
+            });
+        });
+
+        it('lets an explicit mapping override aliases', () => {
+            //Definition
+            const headers = ['Title', 'Team', 'Company Name'];
+            //Execution
+            const columns = resolveColumnMapping(headers, { 'Company Name': 'company' });
+            //Assertion
+            expect(columns).to.deep.equal({ company: 2, position: 0 });
+        });
+
+        it('maps row values and drops empty cells', () => {
+            //Definition
+            const columns = { position: 0, company: 1, status: 2 };
+            //Execution
+            const payload = mapCsvRow(['Engineer', '', 'offer'], columns);
+            //Assertion
+            expect(payload).to.deep.equal({ position: 'Engineer', status: 'OFFER' });
+        });
+
+        it('normalises enum cells written in plain words', () => {
+            //Definition
+            const columns = { status: 0, source: 1 };
+            //Execution
+            const payload = mapCsvRow(['interviewing', 'company site'], columns);
+            //Assertion
+            expect(payload).to.deep.equal({ status: 'INTERVIEWING', source: 'COMPANY_SITE' });
+        });
+
+        it('removes the quote an export puts in front of formula-like values', () => {
+            //Definition
+            const columns = { position: 0, company: 1 };
+            //Execution
+            const payload = mapCsvRow(["'=HYPERLINK(\"x\")", "O'Reilly"], columns);
+            //Assertion
+            expect(payload).to.deep.equal({ position: '=HYPERLINK("x")', company: "O'Reilly" });
+        });
+    });
+
+    describe('toCsvLine', () => {
+        it('quotes values containing separators, quotes or newlines', () => {
+            //Execution
+            const line = toCsvLine(['Acme, Inc', 'say "hi"', 'a\nb', null]);
+            //Assertion
+            expect(line).to.equal('"Acme, Inc","say ""hi""","a\nb",\r\n');
+        });
+
+        it('neutralises values a spreadsheet would run as formulas', () => {
+            //Execution
+            const line = toCsvLine(['=HYPERLINK("x")', '@SUM(A1)', 'Engineer']);
+            //Assertion
+            expect(line).to.equal('"\'=HYPERLINK(""x"")",\'@SUM(A1),Engineer\r\n');
+        });
+    });
+});
@@ -1,5 +1,6 @@
 const config = require('../../config');
 const service = require('./service');
+const { streamExport } = require('./export');
 
 const isValidationError = (message = '') =>
     message.toLowerCase().includes('required') ||
@@ -14,7 +15,7 @@ const errorResponse = (res, error) => {
     const message = error.message || 'Internal server error';
     let status = error.status || 500;
 
-    if (status !== 404 && isValidationError(message)) {
+    if (!error.status && isValidationError(message)) {
         status = 400;
     }
 
@@ -33,6 +34,19 @@ const createApplication = async (req, res) => {
     }
 };
 
+const importApplications = async (req, res) => {
+    try {
+        // Options may come as multipart fields or as query parameters
+        const result = await service.importApplications(req.user.id, req.file, {
+            ...req.query,
+            ...req.body,
+        });
+        return res.status(result.imported > 0 ? 201 : 200).json(result);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
 const listApplications = async (req, res) => {
     try {
         const result = await service.listApplications(req.user.id, req.query);
@@ -42,6 +56,26 @@ const listApplications = async (req, res) => {
     }
 };
 
+const exportApplications = async (req, res) => {
+    let exportJob;
+    try {
+        exportJob = await service.exportApplications(req.user.id, req.query);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+
+    try {
+        return await streamExport(res, exportJob.format, exportJob.batches);
+    } catch (error) {
+        // Once streaming has started the status can no longer change; abort instead
+        if (!res.headersSent) {
+            return errorResponse(res, error);
+        }
+        console.error('Export failed:', error);
+        return res.destroy(error);
+    }
+};
+
 const getApplication = async (req, res) => {
     try {
         const application = await service.getApplication(req.user.id, req.params.id);
@@ -73,11 +107,91 @@ const deleteApplication = async (req, res) => {
     }
 };
 
+const reopenApplication = async (req, res) => {
+    try {
+        const reopened = await service.reopenApplication(
+            req.user.id,
+            req.params.id,
+            req.body
+        );
+        return res.status(200).json(reopened);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const getWorkflow = async (req, res) => {
+    try {
+        return res.status(200).json(service.getWorkflow());
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const getApplicationTimeline = async (req, res) => {
+    try {
+        const timeline = await service.getApplicationTimeline(req.user.id, req.params.id);
+        return res.status(200).json(timeline);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const listNotes = async (req, res) => {
+    try {
+        const result = await service.listNotes(req.user.id, req.params.id);
+        return res.status(200).json(result);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const createNote = async (req, res) => {
+    try {
+        const note = await service.createNote(req.user.id, req.params.id, req.body);
+        return res.status(201).json(note);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const updateNote = async (req, res) => {
+    try {
+        const note = await service.updateNote(
+            req.user.id,
+            req.params.id,
+            req.params.noteId,
+            req.body
+        );
+        return res.status(200).json(note);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const deleteNote = async (req, res) => {
+    try {
+        await service.deleteNote(req.user.id, req.params.id, req.params.noteId);
+        return res.status(204).send();
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
 module.exports = {
     createApplication,
+    importApplications,
     listApplications,
+    exportApplications,
     getApplication,
     updateApplication,
     deleteApplication,
+    reopenApplication,
+    getWorkflow,
+    getApplicationTimeline,
+    listNotes,
+    createNote,
+    updateNote,
+    deleteNote,
 };
 
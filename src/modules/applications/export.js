@@ -0,0 +1,110 @@
+//Streams application exports to the response (CSV, JSON, XLSX)
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { EXPORT_COLUMNS, toExportRow, toCsvLine } = require('./utils');
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const closedError = () => new Error('Export aborted: the response was closed');
+
+// A client that disconnects never drains or finishes the response, so waiting on it also
+// ends (with an error) once the response is closed
+const unlessClosed = async (stream, pending) => {
+    if (stream.destroyed) throw closedError();
+    const controller = new AbortController();
+    try {
+        return await Promise.race([
+            pending,
+            once(stream, 'close', { signal: controller.signal }).then(() => {
+                throw closedError();
+            }),
+        ]);
+    } finally {
+        controller.abort();
+    }
+};
+
+// Respect backpressure so large exports never pile up in memory
+const write = async (stream, chunk) => {
+    if (stream.destroyed) throw closedError();
+    if (!stream.write(chunk)) {
+        await unlessClosed(stream, once(stream, 'drain'));
+    }
+};
+
+const writeCsv = async (stream, batches) => {
+    // BOM so spreadsheet apps detect UTF-8
+    await write(stream, `\ufeff${toCsvLine(EXPORT_COLUMNS)}`);
+    for await (const batch of batches) {
+        await write(stream, batch.map((application) => toCsvLine(toExportRow(application))).join(''));
+    }
+    stream.end();
+};
+
+const writeJson = async (stream, batches) => {
+    let first = true;
+    await write(stream, '[');
+    for await (const batch of batches) {
+        for (const application of batch) {
+            await write(stream, `${first ? '' : ','}${JSON.stringify(application)}`);
+            first = false;
+        }
+    }
+    await write(stream, ']');
+    stream.end();
+};
+
+const writeXlsx = async (stream, batches) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream,
+        useStyles: false,
+        useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet('Applications');
+    sheet.addRow(EXPORT_COLUMNS).commit();
+
+    for await (const batch of batches) {
+        // The workbook writer ignores backpressure; stop reading batches once nobody is listening
+        if (stream.destroyed) throw closedError();
+        batch.forEach((application) => {
+            const row = toExportRow(application);
+            // Keep appliedAt as a real date cell
+            row[EXPORT_COLUMNS.indexOf('appliedAt')] = new Date(application.appliedAt);
+            sheet.addRow(row).commit();
+        });
+    }
+
+    sheet.commit();
+    await unlessClosed(stream, workbook.commit());
+};
+
+const WRITERS = {
+    csv: writeCsv,
+    json: writeJson,
+    xlsx: writeXlsx,
+};
+
+/**
+ * Stream an export to an HTTP response
+ * @param {object} res - Express response
+ * @param {string} format - csv, json or xlsx
+ * @param {AsyncIterable<object[]>} batches - Applications, one batch at a time
+ * @returns {Promise<void>}
+ */
+const streamExport = async (res, format, batches) => {
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="applications-${date}.${format}"`);
+
+    await WRITERS[format](res, batches);
+};
+
+module.exports = {
+    streamExport,
+};
@@ -1,49 +1,222 @@
+const { Prisma } = require('../../generated');
 const prisma = require('../../utils/prisma');
 
+const SEARCH_HEADLINE_OPTIONS =
+    'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "';
+
 const baseSelect = {
     id: true,
     position: true,
     company: true,
     url: true,
     status: true,
+    source: true,
     appliedAt: true,
+    tags: {
+        select: { id: true, name: true, color: true },
+        orderBy: { name: 'asc' },
+    },
+};
+
+const statusChangeSelect = {
+    id: true,
+    fromStatus: true,
+    toStatus: true,
+    note: true,
+    changedAt: true,
+};
+
+const noteSelect = {
+    id: true,
+    body: true,
+    createdAt: true,
+    updatedAt: true,
+};
+
+// tags: lower-cased names; 'any' matches one of them, 'all' requires every one
+const buildTagsWhere = (tags, tagMatch) => {
+    if (!tags || tags.length === 0) return {};
+    if (tagMatch === 'all') {
+        return {
+            AND: tags.map((name) => ({
+                tags: { some: { name: { equals: name, mode: 'insensitive' } } },
+            })),
+        };
+    }
+    return {
+        tags: { some: { name: { in: tags, mode: 'insensitive' } } },
+    };
 };
 
-const createApplication = async ({ position, company, url, status, userId }) => {
+const buildWhere = ({ userId, status, source, tags, tagMatch }) => ({
+    userId,
+    ...(status ? { status } : {}),
+    ...(source ? { source } : {}),
+    ...buildTagsWhere(tags, tagMatch),
+});
+
+const toTagConnections = (tagIds) => tagIds.map((id) => ({ id }));
+
+// Creates the application together with the first entry of its timeline
+const createApplication = async ({ position, company, url, status, source, userId, tagIds = [] }) => {
     return prisma.jobApplication.create({
         data: {
             position,
             company,
             url,
             status,
+            source,
             userId,
+            statusChanges: {
+                create: { fromStatus: null, toStatus: status },
+            },
+            ...(tagIds.length > 0 ? { tags: { connect: toTagConnections(tagIds) } } : {}),
         },
         select: baseSelect,
     });
 };
 
-const listApplications = async ({ userId, status, orderBy, skip, take }) => {
+// Valid import rows are written in a single transaction: all of them or none
+const importApplications = async (rows) => {
+    return prisma.$transaction(
+        rows.map(({ position, company, url, status, source, appliedAt, userId }) =>
+            prisma.jobApplication.create({
+                data: {
+                    position,
+                    company,
+                    url,
+                    status,
+                    source,
+                    userId,
+                    ...(appliedAt ? { appliedAt } : {}),
+                    statusChanges: {
+                        create: {
+                            fromStatus: null,
+                            toStatus: status,
+                            ...(appliedAt ? { changedAt: appliedAt } : {}),
+                        },
+                    },
+                },
+                select: { id: true },
+            })
+        )
+    );
+};
+
+// cursor ({ id }) resumes after that row in orderBy order (keyset pagination, used by exports)
+const listApplications = async ({ userId, status, source, tags, tagMatch, orderBy, cursor, skip, take }) => {
     return prisma.jobApplication.findMany({
-        where: {
-            userId,
-            ...(status ? { status } : {}),
-        },
+        where: buildWhere({ userId, status, source, tags, tagMatch }),
         orderBy,
-        skip,
+        ...(cursor ? { cursor, skip: 1 } : { skip }),
         take,
         select: baseSelect,
     });
 };
 
-const countApplications = async ({ userId, status }) => {
+const countApplications = async ({ userId, status, source, tags, tagMatch }) => {
     return prisma.jobApplication.count({
+        where: buildWhere({ userId, status, source, tags, tagMatch }),
+    });
+};
+
+const countTagsForUser = async (ids, userId) => {
+    return prisma.tag.count({
         where: {
+            id: { in: ids },
             userId,
-            ...(status ? { status } : {}),
         },
     });
 };
 
+// Full-text search: the tsquery is built once and reused for matching, ranking and snippets
+const searchTagsFilter = (tags, tagMatch) => {
+    if (!tags || tags.length === 0) return Prisma.empty;
+
+    const matchingTags = Prisma.sql`
+        FROM "_JobApplicationToTag" jt
+        JOIN "Tag" t ON t."id" = jt."B"
+        WHERE jt."A" = ja."id" AND lower(t."name") = ANY(${tags})
+    `;
+    if (tagMatch === 'all') {
+        return Prisma.sql`AND (SELECT COUNT(DISTINCT lower(t."name")) ${matchingTags}) = ${tags.length}`;
+    }
+    return Prisma.sql`AND EXISTS (SELECT 1 ${matchingTags})`;
+};
+
+const searchFilter = ({ userId, status, source, tags, tagMatch }) => Prisma.sql`
+    ja."userId" = ${userId}
+    ${status ? Prisma.sql`AND ja."status" = ${status}::"ApplicationStatus"` : Prisma.empty}
+    ${source ? Prisma.sql`AND ja."source" = ${source}::"ApplicationSource"` : Prisma.empty}
+    ${searchTagsFilter(tags, tagMatch)}
+    AND (ja."searchVector" @@ query.tsq OR note_match.rank IS NOT NULL)
+`;
+
+const bestNoteMatch = Prisma.sql`
+    LEFT JOIN LATERAL (
+        SELECT
+            ts_rank(n."searchVector", query.tsq) AS rank,
+            ts_headline('english', n."body", query.tsq, ${SEARCH_HEADLINE_OPTIONS}) AS snippet
+        FROM "ApplicationNote" n
+        WHERE n."jobApplicationId" = ja."id" AND n."searchVector" @@ query.tsq
+        ORDER BY rank DESC, n."id" ASC
+        LIMIT 1
+    ) note_match ON TRUE
+`;
+
+const searchRank = Prisma.sql`(ts_rank(ja."searchVector", query.tsq) + COALESCE(note_match.rank, 0))::float8`;
+
+// Matches ordered after the given one in (rank, appliedAt, id) descending order
+const searchAfter = (after) => {
+    if (!after) return Prisma.empty;
+    return Prisma.sql`
+        AND (${searchRank}, ja."appliedAt", ja."id")
+            < (${after.rank}, ${after.appliedAt}, ${after.id})
+    `;
+};
+
+// Returns ids with rank and raw snippets; rows are loaded separately with baseSelect.
+// after ({ rank, appliedAt, id } of the last match) resumes after that match instead of using skip.
+const searchApplications = async ({ userId, q, status, source, tags, tagMatch, after, skip = 0, take }) => {
+    return prisma.$queryRaw`
+        SELECT
+            ja."id",
+            ja."appliedAt",
+            ${searchRank} AS "rank",
+            ts_headline('english', ja."position", query.tsq, ${SEARCH_HEADLINE_OPTIONS}) AS "position",
+            ts_headline('english', ja."company", query.tsq, ${SEARCH_HEADLINE_OPTIONS}) AS "company",
+            note_match.snippet AS "note"
+        FROM "JobApplication" ja
+        CROSS JOIN websearch_to_tsquery('english', ${q}) AS query(tsq)
+        ${bestNoteMatch}
+        WHERE ${searchFilter({ userId, status, source, tags, tagMatch })}
+        ${searchAfter(after)}
+        ORDER BY "rank" DESC, ja."appliedAt" DESC, ja."id" DESC
+        LIMIT ${take} OFFSET ${skip}
+    `;
+};
+
+const countSearchResults = async ({ userId, q, status, source, tags, tagMatch }) => {
+    const [row] = await prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "total"
+        FROM "JobApplication" ja
+        CROSS JOIN websearch_to_tsquery('english', ${q}) AS query(tsq)
+        ${bestNoteMatch}
+        WHERE ${searchFilter({ userId, status, source, tags, tagMatch })}
+    `;
+    return row ? row.total : 0;
+};
+
+const findApplicationsByIds = async (ids, userId) => {
+    return prisma.jobApplication.findMany({
+        where: {
+            id: { in: ids },
+            userId,
+        },
+        select: baseSelect,
+    });
+};
+
 const findApplicationByIdForUser = async (id, userId) => {
     return prisma.jobApplication.findFirst({
         where: {
@@ -54,14 +227,27 @@ const findApplicationByIdForUser = async (id, userId) => {
     });
 };
 
-const updateApplication = async (id, data) => {
+// statusChange ({ fromStatus, toStatus, note }) is written in the same query as the update
+const updateApplication = async (id, { tagIds, ...data }, statusChange = null) => {
     return prisma.jobApplication.update({
         where: { id },
-        data,
+        data: {
+            ...data,
+            ...(statusChange ? { statusChanges: { create: statusChange } } : {}),
+            ...(tagIds ? { tags: { set: toTagConnections(tagIds) } } : {}),
+        },
         select: baseSelect,
     });
 };
 
+const listStatusChanges = async (jobApplicationId) => {
+    return prisma.applicationStatusChange.findMany({
+        where: { jobApplicationId },
+        orderBy: [{ changedAt: 'asc' }, { id: 'asc' }],
+        select: statusChangeSelect,
+    });
+};
+
 const deleteApplication = async (id) => {
     return prisma.jobApplication.delete({
         where: { id },
@@ -69,12 +255,67 @@ const deleteApplication = async (id) => {
     });
 };
 
+// Notes
+const createNote = async ({ jobApplicationId, body }) => {
+    return prisma.applicationNote.create({
+        data: {
+            jobApplicationId,
+            body,
+        },
+        select: noteSelect,
+    });
+};
+
+const listNotes = async (jobApplicationId) => {
+    return prisma.applicationNote.findMany({
+        where: { jobApplicationId },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        select: noteSelect,
+    });
+};
+
+const findNoteForApplication = async (id, jobApplicationId) => {
+    return prisma.applicationNote.findFirst({
+        where: {
+            id,
+            jobApplicationId,
+        },
+        select: noteSelect,
+    });
+};
+
+const updateNote = async (id, data) => {
+    return prisma.applicationNote.update({
+        where: { id },
+        data,
+        select: noteSelect,
+    });
+};
+
+const deleteNote = async (id) => {
+    return prisma.applicationNote.delete({
+        where: { id },
+        select: { id: true },
+    });
+};
+
 module.exports = {
     createApplication,
+    importApplications,
     listApplications,
     countApplications,
+    countTagsForUser,
+    searchApplications,
+    countSearchResults,
+    findApplicationsByIds,
     findApplicationByIdForUser,
     updateApplication,
     deleteApplication,
+    listStatusChanges,
+    createNote,
+    listNotes,
+    findNoteForApplication,
+    updateNote,
+    deleteNote,
 };
 
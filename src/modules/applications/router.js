@@ -2,12 +2,24 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const config = require('../../config');
 const authMiddleware = require('../../utils/authMiddleware');
+const { requireVerifiedEmail } = authMiddleware;
+const { singleFileUpload } = require('../../utils/upload');
+const { isCsvFile } = require('./utils');
 const {
     createApplication,
+    importApplications,
     listApplications,
+    exportApplications,
     getApplication,
     updateApplication,
     deleteApplication,
+    reopenApplication,
+    getWorkflow,
+    getApplicationTimeline,
+    listNotes,
+    createNote,
+    updateNote,
+    deleteNote,
 } = require('./controller');
 
 const router = express.Router();
@@ -35,13 +47,32 @@ const readLimiter = createLimiter({
     legacyHeaders: false,
 });
 
-// All routes require authentication
-router.use(authMiddleware);
+const csvUpload = singleFileUpload({
+    field: 'file',
+    maxFileSize: config.importMaxFileSizeBytes,
+    accept: isCsvFile,
+});
+
+// Personal access tokens need applications:read to read and applications:write for anything else
+const applicationsScope = (req) => (req.method === 'GET' ? 'applications:read' : 'applications:write');
+
+// All routes require authentication (and a verified email when EMAIL_VERIFICATION_MODE=block)
+router.use(authMiddleware.withScope(applicationsScope));
+router.use(requireVerifiedEmail);
 
 router.post('/', writeLimiter, createApplication);
+router.post('/import', writeLimiter, csvUpload, importApplications);
 router.get('/', readLimiter, listApplications);
+router.get('/export', readLimiter, exportApplications);
+router.get('/workflow', readLimiter, getWorkflow);
 router.get('/:id', readLimiter, getApplication);
+router.get('/:id/timeline', readLimiter, getApplicationTimeline);
 router.patch('/:id', writeLimiter, updateApplication);
+router.post('/:id/reopen', writeLimiter, reopenApplication);
+router.get('/:id/notes', readLimiter, listNotes);
+router.post('/:id/notes', writeLimiter, createNote);
+router.patch('/:id/notes/:noteId', writeLimiter, updateNote);
+router.delete('/:id/notes/:noteId', writeLimiter, deleteNote);
 router.delete('/:id', writeLimiter, deleteApplication);
 
 module.exports = router;
@@ -1,17 +1,39 @@
+const config = require('../../config');
 const model = require('./model');
+const { sanitizeMarkdown } = require('../../utils/sanitize');
+const {
+    canTransition,
+    REOPEN_TRANSITIONS,
+    describeWorkflow,
+    escapeHighlight,
+    REQUIRED_IMPORT_FIELDS,
+    parseCsv,
+    resolveColumnMapping,
+    mapCsvRow,
+} = require('./utils');
 const {
     createApplicationSchema,
     updateApplicationSchema,
+    reopenApplicationSchema,
+    importRowSchema,
+    importOptionsSchema,
+    noteSchema,
     listApplicationsSchema,
+    exportApplicationsSchema,
     idSchema,
+    noteIdSchema,
     parseWithErrorHandling,
 } = require('./validations');
 
+// Rows fetched per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
 const buildOrderBy = (sortBy, sortOrder) => {
     if (sortBy === 'status') {
         return [
             { status: sortOrder },
             { appliedAt: 'desc' }, // tie-breaker for consistent ordering
+            { id: 'desc' },
         ];
     }
 
@@ -22,9 +44,22 @@ const buildOrderBy = (sortBy, sortOrder) => {
     ];
 };
 
+// Tags can only be attached by their owner
+const ensureTagsBelongToUser = async (tagIds, userId) => {
+    if (!tagIds || tagIds.length === 0) return;
+
+    const owned = await model.countTagsForUser(tagIds, userId);
+    if (owned !== tagIds.length) {
+        const error = new Error('Tag not found');
+        error.status = 404;
+        throw error;
+    }
+};
+
 const createApplication = async (userId, payload) => {
     if (!userId) throw new Error('User context is required');
     const validated = parseWithErrorHandling(createApplicationSchema, payload || {});
+    await ensureTagsBelongToUser(validated.tagIds, userId);
 
     const application = await model.createApplication({
         ...validated,
@@ -35,17 +70,141 @@ const createApplication = async (userId, payload) => {
     return application;
 };
 
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+/**
+ * Import applications from a CSV upload
+ * Every row is validated like a regular create; invalid rows are reported
+ * (by CSV line number) and skipped. In dry-run mode nothing is written.
+ */
+const importApplications = async (userId, file, options) => {
+    if (!userId) throw new Error('User context is required');
+    if (!file || !file.buffer) throw badRequest('CSV file is required');
+
+    const { dryRun, mapping } = parseWithErrorHandling(importOptionsSchema, options || {});
+
+    let parsed;
+    try {
+        parsed = parseCsv(file.buffer);
+    } catch (error) {
+        throw badRequest(`CSV could not be parsed: ${error.message}`);
+    }
+
+    const columns = resolveColumnMapping(parsed.headers, mapping);
+    const missing = REQUIRED_IMPORT_FIELDS.filter((field) => columns[field] === undefined);
+    if (missing.length > 0) {
+        throw badRequest(`CSV is missing required columns: ${missing.join(', ')}`);
+    }
+    if (parsed.rows.length === 0) {
+        throw badRequest('CSV contains no rows to import');
+    }
+    if (parsed.rows.length > config.importMaxRows) {
+        throw badRequest(`CSV must contain at most ${config.importMaxRows} rows`);
+    }
+
+    const validRows = [];
+    const errors = [];
+    parsed.rows.forEach(({ line, values }) => {
+        const result = importRowSchema.safeParse(mapCsvRow(values, columns));
+        if (result.success) {
+            validRows.push({ ...result.data, userId });
+            return;
+        }
+        errors.push({
+            row: line,
+            errors: result.error.issues.map((issue) => ({
+                field: issue.path.length > 0 ? issue.path.join('.') : null,
+                message: issue.message,
+            })),
+        });
+    });
+
+    const imported =
+        dryRun || validRows.length === 0 ? [] : await model.importApplications(validRows);
+
+    return {
+        dryRun,
+        totalRows: parsed.rows.length,
+        validRows: validRows.length,
+        invalidRows: errors.length,
+        imported: imported.length,
+        errors,
+    };
+};
+
+const toSearchCriteria = (userId, filters) => ({
+    userId,
+    q: filters.q,
+    status: filters.status,
+    source: filters.source,
+    tags: filters.tags,
+    tagMatch: filters.tagMatch,
+});
+
+// Load the rows behind search matches, keeping relevance order and adding highlighted snippets
+const withSearchRows = async (userId, matches) => {
+    const rows = await model.findApplicationsByIds(
+        matches.map((match) => match.id),
+        userId
+    );
+    const rowsById = new Map(rows.map((row) => [row.id, row]));
+
+    return matches
+        .filter((match) => rowsById.has(match.id))
+        .map((match) => ({
+            ...rowsById.get(match.id),
+            search: {
+                rank: match.rank,
+                highlights: {
+                    position: escapeHighlight(match.position),
+                    company: escapeHighlight(match.company),
+                    note: escapeHighlight(match.note),
+                },
+            },
+        }));
+};
+
+// Relevance-ordered page of results with highlighted snippets
+const searchApplications = async (userId, filters, skip, take) => {
+    const matches = await model.searchApplications({
+        ...toSearchCriteria(userId, filters),
+        skip,
+        take,
+    });
+    return withSearchRows(userId, matches);
+};
+
 const listApplications = async (userId, query) => {
     if (!userId) throw new Error('User context is required');
     const filters = parseWithErrorHandling(listApplicationsSchema, query || {});
 
-    const orderBy = buildOrderBy(filters.sortBy, filters.sortOrder);
     const skip = (filters.page - 1) * filters.pageSize;
     const take = filters.pageSize;
 
+    if (filters.q) {
+        const items = await searchApplications(userId, filters, skip, take);
+        const total = await model.countSearchResults(toSearchCriteria(userId, filters));
+        return {
+            items,
+            page: filters.page,
+            pageSize: filters.pageSize,
+            total,
+            totalPages: Math.max(1, Math.ceil(total / filters.pageSize)),
+        };
+    }
+
+    const orderBy = buildOrderBy(filters.sortBy, filters.sortOrder);
+
     const items = await model.listApplications({
         userId,
         status: filters.status,
+        source: filters.source,
+        tags: filters.tags,
+        tagMatch: filters.tagMatch,
         orderBy,
         skip,
         take,
@@ -53,6 +212,9 @@ const listApplications = async (userId, query) => {
     const total = await model.countApplications({
         userId,
         status: filters.status,
+        source: filters.source,
+        tags: filters.tags,
+        tagMatch: filters.tagMatch,
     });
     const totalPages = Math.max(1, Math.ceil(total / filters.pageSize));
 
@@ -65,6 +227,64 @@ const listApplications = async (userId, query) => {
     };
 };
 
+// Yields every matching application, one batch at a time
+async function* exportBatches(userId, filters) {
+    const orderBy = buildOrderBy(filters.sortBy, filters.sortOrder);
+    // Keyset pagination: each batch resumes after the last row of the previous one
+    let after = null;
+
+    for (;;) {
+        let batch;
+        let fetched;
+        if (filters.q) {
+            const matches = await model.searchApplications({
+                ...toSearchCriteria(userId, filters),
+                after,
+                take: EXPORT_BATCH_SIZE,
+            });
+            batch = await withSearchRows(userId, matches);
+            fetched = matches;
+        } else {
+            batch = await model.listApplications({
+                userId,
+                status: filters.status,
+                source: filters.source,
+                tags: filters.tags,
+                tagMatch: filters.tagMatch,
+                orderBy,
+                cursor: after,
+                take: EXPORT_BATCH_SIZE,
+            });
+            fetched = batch;
+        }
+
+        if (batch.length > 0) {
+            yield batch;
+        }
+        if (fetched.length < EXPORT_BATCH_SIZE) {
+            return;
+        }
+
+        const last = fetched[fetched.length - 1];
+        after = filters.q ? { rank: last.rank, appliedAt: last.appliedAt, id: last.id } : { id: last.id };
+    }
+}
+
+/**
+ * Prepare an export of the user's applications
+ * Filters are validated up front so errors surface before anything is streamed;
+ * rows are then read lazily through `batches`.
+ */
+const exportApplications = async (userId, query) => {
+    if (!userId) throw new Error('User context is required');
+    const { format, ...filters } = parseWithErrorHandling(exportApplicationsSchema, query || {});
+
+    return {
+        format,
+        batches: exportBatches(userId, filters),
+    };
+};
+
 const getApplication = async (userId, id) => {
     if (!userId) throw new Error('User context is required');
 
@@ -93,11 +313,90 @@ const updateApplication = async (userId, id, payload) => {
         throw error;
     }
 
+    await ensureTagsBelongToUser(validated.tagIds, userId);
+
+    const { note, ...data } = validated;
+    const statusChanged = data.status && data.status !== existing.status;
+
+    // Notes live on the timeline, which only records status changes
+    if (note && !statusChanged) {
+        const error = new Error('Note can only be recorded with a status change');
+        error.status = 400;
+        throw error;
+    }
+
+    // Going backwards is only possible through reopenApplication
+    if (statusChanged && !canTransition(existing.status, data.status)) {
+        const error = new Error(
+            `Cannot change status from ${existing.status} to ${data.status}`
+        );
+        error.status = 409;
+        throw error;
+    }
+
+    const statusChange = statusChanged
+        ? { fromStatus: existing.status, toStatus: data.status, note: note || null }
+        : null;
+
     // URL is immutable by contract (not part of validated data)
-    const updated = await model.updateApplication(applicationId, validated);
+    const updated = await model.updateApplication(applicationId, data, statusChange);
     return updated;
 };
 
+const reopenApplication = async (userId, id, payload) => {
+    if (!userId) throw new Error('User context is required');
+
+    const applicationId = parseWithErrorHandling(idSchema, id);
+    const validated = parseWithErrorHandling(reopenApplicationSchema, payload || {});
+
+    const existing = await model.findApplicationByIdForUser(applicationId, userId);
+    if (!existing) {
+        const error = new Error('Application not found');
+        error.status = 404;
+        throw error;
+    }
+
+    if (!canTransition(existing.status, validated.status, REOPEN_TRANSITIONS)) {
+        const error = new Error(
+            `Cannot reopen application from ${existing.status} to ${validated.status}`
+        );
+        error.status = 409;
+        throw error;
+    }
+
+    const updated = await model.updateApplication(
+        applicationId,
+        { status: validated.status },
+        {
+            fromStatus: existing.status,
+            toStatus: validated.status,
+            note: validated.note || null,
+        }
+    );
+    return updated;
+};
+
+const getWorkflow = () => describeWorkflow();
+
+const getApplicationTimeline = async (userId, id) => {
+    if (!userId) throw new Error('User context is required');
+
+    const applicationId = parseWithErrorHandling(idSchema, id);
+    const existing = await model.findApplicationByIdForUser(applicationId, userId);
+    if (!existing) {
+        const error = new Error('Application not found');
+        error.status = 404;
+        throw error;
+    }
+
+    const items = await model.listStatusChanges(applicationId);
+    return {
+        applicationId,
+        status: existing.status,
+        items,
+    };
+};
+
 const deleteApplication = async (userId, id) => {
     if (!userId) throw new Error('User context is required');
 
@@ -113,11 +412,85 @@ const deleteApplication = async (userId, id) => {
     return { message: 'Application deleted' };
 };
 
+// Notes
+const requireApplication = async (userId, id) => {
+    if (!userId) throw new Error('User context is required');
+
+    const applicationId = parseWithErrorHandling(idSchema, id);
+    const existing = await model.findApplicationByIdForUser(applicationId, userId);
+    if (!existing) {
+        const error = new Error('Application not found');
+        error.status = 404;
+        throw error;
+    }
+    return existing;
+};
+
+const requireNote = async (applicationId, noteId) => {
+    const id = parseWithErrorHandling(noteIdSchema, noteId);
+    const note = await model.findNoteForApplication(id, applicationId);
+    if (!note) {
+        const error = new Error('Note not found');
+        error.status = 404;
+        throw error;
+    }
+    return note;
+};
+
+// Notes are stored as written and sanitized whenever they are rendered
+const renderNote = (note) => ({
+    ...note,
+    body: sanitizeMarkdown(note.body),
+});
+
+const listNotes = async (userId, id) => {
+    const application = await requireApplication(userId, id);
+    const notes = await model.listNotes(application.id);
+    return { items: notes.map(renderNote) };
+};
+
+const createNote = async (userId, id, payload) => {
+    const application = await requireApplication(userId, id);
+    const validated = parseWithErrorHandling(noteSchema, payload || {});
+
+    const note = await model.createNote({
+        jobApplicationId: application.id,
+        body: validated.body,
+    });
+    return renderNote(note);
+};
+
+const updateNote = async (userId, id, noteId, payload) => {
+    const application = await requireApplication(userId, id);
+    const validated = parseWithErrorHandling(noteSchema, payload || {});
+    const note = await requireNote(application.id, noteId);
+
+    const updated = await model.updateNote(note.id, { body: validated.body });
+    return renderNote(updated);
+};
+
+const deleteNote = async (userId, id, noteId) => {
+    const application = await requireApplication(userId, id);
+    const note = await requireNote(application.id, noteId);
+
+    await model.deleteNote(note.id);
+    return { message: 'Note deleted' };
+};
+
 module.exports = {
     createApplication,
+    importApplications,
     listApplications,
+    exportApplications,
     getApplication,
     updateApplication,
     deleteApplication,
+    reopenApplication,
+    getWorkflow,
+    getApplicationTimeline,
+    listNotes,
+    createNote,
+    updateNote,
+    deleteNote,
 };
 
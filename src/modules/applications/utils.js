@@ -0,0 +1,214 @@
+//Application status workflow (single source of truth for allowed status changes)
+//and helpers for search results, CSV import and export
+
+const validator = require('validator');
+const { parse } = require('csv-parse/sync');
+const config = require('../../config');
+
+/**
+ * Forward transitions reachable through a regular update.
+ * Configurable through STATUS_TRANSITIONS; by default terminal statuses (REJECTED, ACCEPTED)
+ * have no outgoing edges.
+ */
+const STATUS_TRANSITIONS = config.statusTransitions;
+
+/**
+ * Backward transitions, only reachable through the explicit reopen action.
+ * Configurable through REOPEN_TRANSITIONS; validated at startup to share no edge with the forward graph.
+ */
+const REOPEN_TRANSITIONS = config.reopenTransitions;
+
+/**
+ * Check whether a status change is allowed by a transition graph
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {object} transitions - Graph to check against (defaults to forward transitions)
+ * @returns {boolean}
+ */
+const canTransition = (from, to, transitions = STATUS_TRANSITIONS) => {
+    const allowed = transitions[from];
+    return Array.isArray(allowed) && allowed.includes(to);
+};
+
+/**
+ * Describe the workflow in a shape clients can render directly
+ * @returns {object} - Statuses with their forward and reopen targets
+ */
+const describeWorkflow = () => {
+    return {
+        statuses: Object.keys(STATUS_TRANSITIONS),
+        transitions: STATUS_TRANSITIONS,
+        reopenTransitions: REOPEN_TRANSITIONS,
+    };
+};
+
+/**
+ * Escape a ts_headline snippet for safe HTML rendering
+ * Only the <mark> delimiters added by PostgreSQL survive as markup.
+ * @param {string|null} snippet - Snippet produced by ts_headline
+ * @returns {string|null} - Escaped snippet, or null when nothing matched
+ */
+const escapeHighlight = (snippet) => {
+    if (typeof snippet !== 'string' || !snippet.includes('<mark>')) {
+        return null;
+    }
+    return validator
+        .escape(snippet)
+        .replace(/&lt;mark&gt;/g, '<mark>')
+        .replace(/&lt;&#x2F;mark&gt;/g, '</mark>');
+};
+
+// Fields a CSV import can fill, in the order they are reported
+const IMPORT_FIELDS = ['position', 'company', 'url', 'status', 'source', 'appliedAt'];
+const REQUIRED_IMPORT_FIELDS = ['position', 'company', 'url'];
+
+// Header spellings recognised without an explicit mapping (compared after normalizeHeader)
+const IMPORT_HEADER_ALIASES = {
+    position: ['position', 'title', 'jobtitle', 'role'],
+    company: ['company', 'employer', 'organization', 'organisation'],
+    url: ['url', 'link', 'joburl', 'joblink', 'posting'],
+    status: ['status', 'stage'],
+    source: ['source', 'channel'],
+    appliedAt: ['appliedat', 'applied', 'appliedon', 'dateapplied', 'date'],
+};
+
+const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+// Browsers disagree on the MIME type of .csv files, so the extension is accepted too
+const isCsvFile = (file) =>
+    CSV_MIME_TYPES.includes(file.mimetype) || /\.csv$/i.test(file.originalname || '');
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parse a CSV document into its header and data rows
+ * @param {Buffer|string} input - CSV content (UTF-8, optional BOM)
+ * @returns {{ headers: string[], rows: { line: number, values: string[] }[] }}
+ */
+const parseCsv = (input) => {
+    const records = parse(input, {
+        bom: true,
+        trim: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        info: true,
+    });
+
+    if (records.length === 0) {
+        return { headers: [], rows: [] };
+    }
+
+    const [header, ...data] = records;
+    return {
+        headers: header.record,
+        rows: data.map(({ record, info }) => ({ line: info.lines, values: record })),
+    };
+};
+
+/**
+ * Resolve which CSV column feeds each import field
+ * An explicit mapping ({ "CSV header": "field" }) wins over header aliases.
+ * @param {string[]} headers - CSV header row
+ * @param {object} mapping - Optional explicit mapping
+ * @returns {object} - { field: columnIndex }
+ */
+const resolveColumnMapping = (headers, mapping = {}) => {
+    const columns = {};
+
+    Object.entries(mapping).forEach(([header, field]) => {
+        const index = headers.findIndex((h) => normalizeHeader(h) === normalizeHeader(header));
+        if (index !== -1) {
+            columns[field] = index;
+        }
+    });
+
+    IMPORT_FIELDS.forEach((field) => {
+        if (columns[field] !== undefined) return;
+        const index = headers.findIndex((h) =>
+            IMPORT_HEADER_ALIASES[field].includes(normalizeHeader(h))
+        );
+        if (index !== -1) {
+            columns[field] = index;
+        }
+    });
+
+    return columns;
+};
+
+// Spreadsheet apps evaluate cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Undo the quote escapeCsvValue puts in front of formula-like values
+const unescapeFormula = (value) =>
+    value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+
+/**
+ * Build an application payload from CSV values
+ * Empty cells are treated as missing so optional fields fall back to defaults.
+ * @param {string[]} values - Row values
+ * @param {object} columns - Mapping from resolveColumnMapping
+ * @returns {object} - Raw payload for validation
+ */
+const mapCsvRow = (values, columns) => {
+    const payload = {};
+    Object.entries(columns).forEach(([field, index]) => {
+        const value = values[index];
+        if (value === undefined || value === '') return;
+        // Enum cells are matched loosely: "job board" -> JOB_BOARD
+        payload[field] =
+            field === 'status' || field === 'source'
+                ? value.toUpperCase().replace(/[\s-]+/g, '_')
+                : unescapeFormula(value);
+    });
+    return payload;
+};
+
+// Export columns; headers match the import aliases so an export can be re-imported as is
+const EXPORT_COLUMNS = ['position', 'company', 'url', 'status', 'source', 'appliedAt', 'tags'];
+
+/**
+ * Flatten an application into export values (same order as EXPORT_COLUMNS)
+ * @param {object} application - Application as returned by the list
+ * @returns {Array<string>}
+ */
+const toExportRow = (application) => [
+    application.position,
+    application.company,
+    application.url,
+    application.status,
+    application.source,
+    new Date(application.appliedAt).toISOString(),
+    (application.tags || []).map((tag) => tag.name).join(', '),
+];
+
+const escapeCsvValue = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize one CSV line (RFC 4180 quoting, CRLF terminated)
+ * @param {Array} values - Cell values
+ * @returns {string}
+ */
+const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+module.exports = {
+    STATUS_TRANSITIONS,
+    REOPEN_TRANSITIONS,
+    canTransition,
+    describeWorkflow,
+    escapeHighlight,
+    IMPORT_FIELDS,
+    REQUIRED_IMPORT_FIELDS,
+    isCsvFile,
+    parseCsv,
+    resolveColumnMapping,
+    mapCsvRow,
+    EXPORT_COLUMNS,
+    toExportRow,
+    toCsvLine,
+};
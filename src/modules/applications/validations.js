@@ -3,6 +3,13 @@ const { z } = require('zod');
 // Allowed statuses for job applications (aligned with enum)
 const ALLOWED_STATUSES = ['APPLIED', 'INTERVIEWING', 'REJECTED', 'OFFER', 'ACCEPTED'];
 
+// Allowed application sources (aligned with enum)
+const ALLOWED_SOURCES = ['JOB_BOARD', 'REFERRAL', 'RECRUITER', 'COMPANY_SITE', 'OTHER'];
+
+const sourceSchema = z.enum(ALLOWED_SOURCES, {
+    message: 'Source must be one of JOB_BOARD, REFERRAL, RECRUITER, COMPANY_SITE or OTHER',
+});
+
 // Common trimmed string field with max length
 const trimmedString = (fieldName, { max = 200, required = true } = {}) =>
     z.preprocess(
@@ -24,6 +31,42 @@ const trimmedString = (fieldName, { max = 200, required = true } = {}) =>
                   .max(max, `${fieldName} must be at most ${max} characters long`)
     );
 
+// Ids of the user's own tags; on update the list replaces the current tags
+const tagIdsSchema = z
+    .array(
+        z
+            .number({
+                invalid_type_error: 'Tag id must be a number',
+            })
+            .int('Tag id must be an integer')
+            .positive('Tag id must be positive'),
+        {
+            invalid_type_error: 'tagIds must be an array of tag ids',
+        }
+    )
+    .max(20, 'tagIds must be at most 20 tags')
+    .transform((ids) => [...new Set(ids)]);
+
+// Comma-separated tag names (?tags=remote,fintech), matched case-insensitively
+const tagNamesFilter = z.preprocess(
+    (val) => {
+        // ?tags=a&tags=b arrives as an array
+        const raw = Array.isArray(val) ? val.join(',') : val;
+        if (typeof raw !== 'string') return raw;
+        const names = raw
+            .split(',')
+            .map((name) => name.trim().toLowerCase())
+            .filter(Boolean);
+        return names.length > 0 ? [...new Set(names)] : undefined;
+    },
+    z
+        .array(z.string().max(50, 'Tag names must be at most 50 characters long'), {
+            invalid_type_error: 'tags must be a comma-separated list of tag names',
+        })
+        .max(20, 'tags must be at most 20 tag names')
+        .optional()
+);
+
 const createApplicationSchema = z.object({
     position: trimmedString('Position'),
     company: trimmedString('Company'),
@@ -39,6 +82,46 @@ const createApplicationSchema = z.object({
             .url('URL must be a valid URL')
     ),
     status: z.enum(ALLOWED_STATUSES).optional().default('APPLIED'),
+    source: sourceSchema.optional(),
+    tagIds: tagIdsSchema.optional(),
+});
+
+// One CSV row: the regular create payload plus the original application date
+const importRowSchema = createApplicationSchema.extend({
+    appliedAt: z.preprocess(
+        (val) => (typeof val === 'string' ? new Date(val.trim()) : val),
+        z
+            .date({ message: 'appliedAt must be a valid date' })
+            .refine((date) => date <= new Date(), 'appliedAt must not be in the future')
+            .optional()
+    ),
+});
+
+const importOptionsSchema = z.object({
+    dryRun: z.preprocess(
+        (val) => (typeof val === 'string' ? ['true', '1', 'yes'].includes(val.toLowerCase()) : val),
+        z.boolean().optional().default(false)
+    ),
+    // JSON object mapping CSV headers to import fields, e.g. {"Job Title":"position"}
+    mapping: z.preprocess(
+        (val) => {
+            if (typeof val !== 'string' || val.trim() === '') return val || undefined;
+            try {
+                return JSON.parse(val);
+            } catch (error) {
+                return val;
+            }
+        },
+        z
+            .record(
+                z.string(),
+                z.enum(['position', 'company', 'url', 'status', 'source', 'appliedAt'], {
+                    message:
+                        'mapping must only target position, company, url, status, source or appliedAt',
+                })
+            )
+            .optional()
+    ),
 });
 
 const updateApplicationSchema = z
@@ -46,14 +129,42 @@ const updateApplicationSchema = z
         position: trimmedString('Position', { required: false }).optional(),
         company: trimmedString('Company', { required: false }).optional(),
         status: z.enum(ALLOWED_STATUSES).optional(),
+        // null clears the source
+        source: sourceSchema.nullable().optional(),
+        // Free-text note recorded on the timeline alongside a status change
+        note: trimmedString('Note', { max: 500, required: false }).optional(),
+        tagIds: tagIdsSchema.optional(),
     })
     .refine(
-        (data) => data.position || data.company || data.status,
-        'At least one field (position, company, or status) must be provided'
+        (data) =>
+            data.position || data.company || data.status || data.source !== undefined || data.tagIds,
+        'At least one field (position, company, status, source, or tagIds) must be provided'
+    )
+    .refine(
+        (data) => !data.note || data.status,
+        'Status is required when a note is provided'
     );
 
+const reopenApplicationSchema = z.object({
+    status: z.enum(ALLOWED_STATUSES),
+    note: trimmedString('Note', { max: 500, required: false }).optional(),
+});
+
+// Markdown note body (kept well below the 10kb JSON body limit)
+const noteSchema = z.object({
+    body: trimmedString('Body', { max: 5000 }),
+});
+
 const listApplicationsSchema = z.object({
     status: z.enum(ALLOWED_STATUSES).optional(),
+    source: sourceSchema.optional(),
+    // Full-text query; when present results are ordered by relevance instead of sortBy
+    q: z.preprocess(
+        (val) => (typeof val === 'string' && val.trim() === '' ? undefined : val),
+        trimmedString('Search query', { max: 200, required: false }).optional()
+    ),
+    tags: tagNamesFilter,
+    tagMatch: z.enum(['any', 'all']).optional().default('any'),
     sortBy: z
         .enum(['date', 'status'])
         .optional()
@@ -89,6 +200,18 @@ const listApplicationsSchema = z.object({
         .default(20),
 });
 
+// Same filters as the list, without paging: an export always covers every match
+const exportApplicationsSchema = listApplicationsSchema
+    .omit({ page: true, pageSize: true })
+    .extend({
+        format: z
+            .enum(['csv', 'json', 'xlsx'], {
+                message: 'format must be one of csv, json or xlsx',
+            })
+            .optional()
+            .default('csv'),
+    });
+
 const idSchema = z.preprocess(
     (val) => Number(val),
     z
@@ -99,6 +222,16 @@ const idSchema = z.preprocess(
         .positive('Application id must be positive')
 );
 
+const noteIdSchema = z.preprocess(
+    (val) => Number(val),
+    z
+        .number({
+            invalid_type_error: 'Note id must be a number',
+        })
+        .int('Note id must be an integer')
+        .positive('Note id must be positive')
+);
+
 const parseWithErrorHandling = (schema, data) => {
     try {
         return schema.parse(data);
@@ -117,10 +250,17 @@ const parseWithErrorHandling = (schema, data) => {
 
 module.exports = {
     ALLOWED_STATUSES,
+    ALLOWED_SOURCES,
     createApplicationSchema,
     updateApplicationSchema,
+    reopenApplicationSchema,
+    importRowSchema,
+    importOptionsSchema,
+    noteSchema,
     listApplicationsSchema,
+    exportApplicationsSchema,
     idSchema,
+    noteIdSchema,
     parseWithErrorHandling,
 };
 
@@ -1,4 +1,6 @@
 const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
 const prisma = require('../../../utils/prisma'); 
 const model = require('../model');
 const {app} = require('../../../server.js');
@@ -6,6 +8,9 @@ const supertest = require('supertest');
 const utils = require('../utils');
 const service = require('../service');
 const tokenBlacklist = require('../tokenBlacklist');
+const { generateTotp, timeStep } = require('../totp');
+const { startMockOidcIssuer } = require('./mockOidcIssuer');
+const config = require('../../../config');
 
 describe('Auth Controller (HTTP Layer)', () => {
 
@@ -33,6 +38,34 @@ describe('Auth Controller (HTTP Layer)', () => {
         name: 'Test Jobseeker',
     };
 
+    // Emails are written to the outbox by the file mail driver in tests
+    const readMailedMessages = async () => {
+        const names = fs.existsSync(config.mailOutboxDir)
+            ? (await fs.promises.readdir(config.mailOutboxDir)).sort()
+            : [];
+        return Promise.all(
+            names.map(async (name) =>
+                JSON.parse(await fs.promises.readFile(path.join(config.mailOutboxDir, name), 'utf8'))
+            )
+        );
+    };
+
+    const readMailedToken = async (subject, to = testUser.email) => {
+        const message = (await readMailedMessages()).filter((candidate) => candidate.subject === subject).pop();
+        expect(message.to).to.equal(to);
+        return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+    };
+
+    // Some emails are sent after the response, so wait for them to reach the outbox
+    const waitForMailedToken = async (subject, to = testUser.email) => {
+        for (let i = 0; i < 50; i++) {
+            const messages = await readMailedMessages();
+            if (messages.some((candidate) => candidate.subject === subject)) return readMailedToken(subject, to);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        throw new Error(`No "${subject}" email was sent`);
+    };
+
     describe('POST /auth/register', () => {
         // Success case
         it('Should create a new user and return 201 with user and token', async () => {
@@ -129,7 +162,7 @@ describe('Auth Controller (HTTP Layer)', () => {
                 .post('/auth/register')
                 .send({
                     email: testUser.email,
-                    password: 'VeryLongPassword123!',
+                    password: `VeryLongPassword123!${'x'.repeat(53)}`,
                     name: testUser.name,
                 });
 
@@ -171,6 +204,36 @@ describe('Auth Controller (HTTP Layer)', () => {
             expect(response.body.error.toLowerCase()).to.include('password');
         });
 
+        it('Return 400 when password is a common or breached password', async () => {
+            // Execution
+            const response = await supertest(app)
+                .post('/auth/register')
+                .send({
+                    email: testUser.email,
+                    password: 'Password123!',
+                    name: testUser.name,
+                });
+
+            // Assertion
+            expect(response.status).to.equal(400);
+            expect(response.body.error).to.include('commonly used or breached');
+        });
+
+        it('Accept a long passphrase without capital letters or symbols', async () => {
+            // Execution
+            const response = await supertest(app)
+                .post('/auth/register')
+                .send({
+                    email: testUser.email,
+                    password: 'purple otters juggle spreadsheets',
+                    name: testUser.name,
+                });
+
+            // Assertion
+            expect(response.status).to.equal(201);
+            expect(response.body.user.email).to.equal(testUser.email);
+        });
+
         it('Return 400 when request body is empty', async () => {
             // Execution
             const response = await supertest(app)
@@ -500,12 +563,1226 @@ describe('Auth Controller (HTTP Layer)', () => {
             expect(response.body.token).to.not.equal(oldAccessToken);
         });
 
+        it('Revokes the whole token family when a rotated refresh token is replayed', async () => {
+            const stolenCookie = loginResponse.headers['set-cookie'];
+            const rotated = await supertest(app)
+                .post('/auth/refresh')
+                .set('Cookie', stolenCookie);
+
+            const replay = await supertest(app)
+                .post('/auth/refresh')
+                .set('Cookie', stolenCookie);
+            const legitimate = await supertest(app)
+                .post('/auth/refresh')
+                .set('Cookie', rotated.headers['set-cookie']);
+            const me = await supertest(app)
+                .get('/auth/me')
+                .set('Authorization', `Bearer ${rotated.body.token}`);
+
+            expect(rotated.status).to.equal(200);
+            expect(replay.status).to.equal(401);
+            expect(legitimate.status).to.equal(401);
+            expect(me.status).to.equal(401);
+            // Rotated and revoked rows are kept for detection
+            expect(await prisma.refreshToken.count({ where: { revoked: true } })).to.equal(2);
+        });
+
+        it('Does not treat a signed-out token as reuse', async () => {
+            const refreshCookie = loginResponse.headers['set-cookie'];
+            await supertest(app)
+                .post('/auth/logout')
+                .set('Authorization', `Bearer ${loginResponse.body.token}`)
+                .set('Cookie', refreshCookie);
+            const otherDevice = await supertest(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: testUser.password });
+
+            const replay = await supertest(app)
+                .post('/auth/refresh')
+                .set('Cookie', refreshCookie);
+            const other = await supertest(app)
+                .post('/auth/refresh')
+                .set('Cookie', otherDevice.headers['set-cookie']);
+
+            expect(replay.status).to.equal(401);
+            expect(other.status).to.equal(200);
+        });
+
         it('Rejects refresh without cookie', async () => {
             const response = await supertest(app).post('/auth/refresh');
             expect(response.status).to.equal(401);
         });
     });
 
+    describe('/auth/sessions', () => {
+        const signIn = (userAgent) =>
+            supertest(app)
+                .post('/auth/login')
+                .set('User-Agent', userAgent)
+                .send({ email: testUser.email, password: testUser.password });
+
+        beforeEach(async () => {
+            await supertest(app).post('/auth/register').send(testUser);
+        });
+
+        it('Lists active sessions with device details and marks the current one', async () => {
+            // Definition
+            const laptop = await signIn('Laptop Browser');
+            await signIn('Phone App');
+
+            // Execution
+            const response = await supertest(app)
+                .get('/auth/sessions')
+                .set('Authorization', `Bearer ${laptop.body.token}`);
+
+            // Assertion
+            expect(response.status).to.equal(200);
+            const byAgent = Object.fromEntries(response.body.items.map((item) => [item.userAgent, item]));
+            expect(byAgent['Laptop Browser'].current).to.be.true;
+            expect(byAgent['Phone App'].current).to.be.false;
+            expect(byAgent['Phone App']).to.include.keys('id', 'ipAddress', 'createdAt', 'lastUsedAt');
+        });
+
+        it('Keeps the session id and start time when the refresh token rotates', async () => {
+            // Definition
+            const laptop = await signIn('Laptop Browser');
+            const before = await supertest(app)
+                .get('/auth/sessions')
+                .set('Authorization', `Bearer ${laptop.body.token}`);
+
+            // Execution
+            const refreshed = await supertest(app)
+                .post('/auth/refresh')
+                .set('Cookie', laptop.headers['set-cookie']);
+            const after = await supertest(app)
+                .get('/auth/sessions')
+                .set('Authorization', `Bearer ${refreshed.body.token}`);
+
+            // Assertion
+            const [previous] = before.body.items.filter((item) => item.userAgent === 'Laptop Browser');
+            const [current] = after.body.items.filter((item) => item.current);
+            expect(current.id).to.equal(previous.id);
+            expect(current.createdAt).to.equal(previous.createdAt);
+        });
+
+        it('Signs out another session, including its access token', async () => {
+            // Definition
+            const laptop = await signIn('Laptop Browser');
+            const phone = await signIn('Phone App');
+            const sessions = await supertest(app)
+                .get('/auth/sessions')
+                .set('Authorization', `Bearer ${laptop.body.token}`);
+            const phoneSession = sessions.body.items.find((item) => item.userAgent === 'Phone App');
+
+            // Execution
+            const response = await supertest(app)
+                .delete(`/auth/sessions/${phoneSession.id}`)
+                .set('Authorization', `Bearer ${laptop.body.token}`);
+            const phoneRequest = await supertest(app)
+                .get('/applications')
+                .set('Authorization', `Bearer ${phone.body.token}`);
+            const phoneRefresh = await supertest(app)
+                .post('/auth/refresh')
+                .set('Cookie', phone.headers['set-cookie']);
+            const laptopRequest = await supertest(app)
+                .get('/applications')
+                .set('Authorization', `Bearer ${laptop.body.token}`);
+
+            // Assertion
+            expect(response.status).to.equal(204);
+            expect(phoneRequest.status).to.equal(401);
+            expect(phoneRefresh.status).to.equal(401);
+            expect(laptopRequest.status).to.equal(200);
+        });
+
+        it('Signs out everywhere else', async () => {
+            // Definition
+            const laptop = await signIn('Laptop Browser');
+            await signIn('Phone App');
+            await signIn('Tablet App');
+
+            // Execution
+            const response = await supertest(app)
+                .delete('/auth/sessions')
+                .set('Authorization', `Bearer ${laptop.body.token}`);
+            const sessions = await supertest(app)
+                .get('/auth/sessions')
+                .set('Authorization', `Bearer ${laptop.body.token}`);
+
+            // Assertion
+            expect(response.status).to.equal(200);
+            expect(response.body.revoked).to.be.at.least(2);
+            expect(sessions.body.items).to.have.lengthOf(1);
+            expect(sessions.body.items[0].current).to.be.true;
+        });
+
+        it('Returns 404 for unknown sessions and 400 for malformed ids', async () => {
+            // Definition
+            const laptop = await signIn('Laptop Browser');
+
+            // Execution
+            const unknown = await supertest(app)
+                .delete('/auth/sessions/7d6c1f0e-4b7a-4f55-9a59-2f3f0c1d2e3a')
+                .set('Authorization', `Bearer ${laptop.body.token}`);
+            const malformed = await supertest(app)
+                .delete('/auth/sessions/not-a-session')
+                .set('Authorization', `Bearer ${laptop.body.token}`);
+
+            // Assertion
+            expect(unknown.status).to.equal(404);
+            expect(malformed.status).to.equal(400);
+            expect(malformed.body.error).to.equal('Session id must be a valid UUID');
+        });
+    });
+
+    describe('Two-factor authentication (/auth/2fa, /auth/login/2fa)', () => {
+        let authToken;
+
+        const currentCode = (secret) => generateTotp(secret, timeStep());
+
+        // Codes are single-use per time step, so enrollment uses the previous step
+        const enable = async () => {
+            const setup = await supertest(app)
+                .post('/auth/2fa/setup')
+                .set('Authorization', `Bearer ${authToken}`);
+            const confirm = await supertest(app)
+                .post('/auth/2fa/confirm')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ code: generateTotp(setup.body.secret, timeStep() - 1) });
+            return { secret: setup.body.secret, recoveryCodes: confirm.body.recoveryCodes };
+        };
+
+        const loginChallenge = async () => {
+            const response = await supertest(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: testUser.password });
+            return response.body.challengeToken;
+        };
+
+        beforeEach(async () => {
+            const registerResponse = await supertest(app).post('/auth/register').send(testUser);
+            authToken = registerResponse.body.token;
+        });
+
+        it('Enrolls with a secret and otpauth URI, then requires a code at login', async () => {
+            // Execution
+            const setup = await supertest(app)
+                .post('/auth/2fa/setup')
+                .set('Authorization', `Bearer ${authToken}`);
+            const wrongCode = await supertest(app)
+                .post('/auth/2fa/confirm')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ code: 'abcdef' });
+            const confirm = await supertest(app)
+                .post('/auth/2fa/confirm')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ code: currentCode(setup.body.secret) });
+            const login = await supertest(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: testUser.password });
+
+            // Assertion
+            expect(setup.status).to.equal(200);
+            expect(setup.body.otpauthUri).to.match(/^otpauth:\/\/totp\/JTracker%3Atest%40jtracker\.com\?secret=/);
+            expect(wrongCode.status).to.equal(400);
+            expect(confirm.status).to.equal(200);
+            expect(confirm.body.recoveryCodes).to.have.lengthOf(10);
+            expect(login.status).to.equal(200);
+            expect(login.body).to.have.property('twoFactorRequired', true);
+            expect(login.body).to.not.have.property('token');
+            expect(login.headers['set-cookie']).to.be.undefined;
+        });
+
+        it('Exchanges the challenge and a code for a session, each code once', async () => {
+            // Definition
+            const { secret } = await enable();
+            const challengeToken = await loginChallenge();
+            const code = currentCode(secret);
+
+            // Execution
+            const response = await supertest(app)
+                .post('/auth/login/2fa')
+                .send({ challengeToken, code });
+            const replay = await supertest(app)
+                .post('/auth/login/2fa')
+                .send({ challengeToken, code });
+
+            // Assertion
+            expect(response.status).to.equal(200);
+            expect(response.body.token).to.be.a('string');
+            expect(response.body.user.email).to.equal(testUser.email);
+            expect(response.headers['set-cookie']).to.be.an('array');
+            expect(replay.status).to.equal(401);
+            expect(replay.body.error).to.equal('Invalid two-factor code');
+        });
+
+        it('Accepts each recovery code only once', async () => {
+            // Definition
+            const { recoveryCodes } = await enable();
+            const challengeToken = await loginChallenge();
+
+            // Execution
+            const first = await supertest(app)
+                .post('/auth/login/2fa')
+                .send({ challengeToken, code: recoveryCodes[0].toUpperCase() });
+            const reused = await supertest(app)
+                .post('/auth/login/2fa')
+                .send({ challengeToken, code: recoveryCodes[0] });
+
+            // Assertion
+            expect(first.status).to.equal(200);
+            expect(reused.status).to.equal(401);
+        });
+
+        it('Spends a challenge after too many bad codes', async () => {
+            // Definition
+            const { secret } = await enable();
+            const challengeToken = await loginChallenge();
+            const original = config.loginBackoffThreshold;
+            config.loginBackoffThreshold = 100;
+
+            // Execution
+            const attempts = [];
+            for (let i = 0; i < config.twoFactorChallengeMaxAttempts; i++) {
+                attempts.push(await supertest(app).post('/auth/login/2fa').send({ challengeToken, code: '000000' }));
+            }
+            const spent = await supertest(app)
+                .post('/auth/login/2fa')
+                .send({ challengeToken, code: currentCode(secret) });
+            const fresh = await supertest(app)
+                .post('/auth/login/2fa')
+                .send({ challengeToken: await loginChallenge(), code: currentCode(secret) });
+            config.loginBackoffThreshold = original;
+
+            // Assertion
+            expect(attempts.every((response) => response.status === 401)).to.be.true;
+            expect(spent.status).to.equal(401);
+            expect(spent.body.error).to.equal('Invalid or expired token');
+            expect(fresh.status).to.equal(200);
+            expect((await prisma.user.findUnique({ where: { email: testUser.email } })).failedLoginAttempts).to.equal(0);
+        });
+
+        it('Counts bad codes as failed logins for the account', async () => {
+            // Definition
+            await enable();
+            const challengeToken = await loginChallenge();
+
+            // Execution
+            const attempts = [];
+            for (let i = 0; i < config.loginBackoffThreshold + 1; i++) {
+                attempts.push(await supertest(app).post('/auth/login/2fa').send({ challengeToken, code: '000000' }));
+            }
+            const login = await supertest(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: testUser.password });
+
+            // Assertion
+            const throttled = attempts[attempts.length - 1];
+            expect(throttled.status).to.equal(429);
+            expect(throttled.headers['retry-after']).to.be.a('string');
+            expect(login.status).to.equal(429);
+        });
+
+        it('Rejects invalid challenge tokens', async () => {
+            // Execution
+            const response = await supertest(app)
+                .post('/auth/login/2fa')
+                .send({ challengeToken: authToken, code: '123456' });
+
+            // Assertion
+            expect(response.status).to.equal(401);
+            expect(response.body.error).to.equal('Invalid or expired token');
+        });
+
+        it('Disables 2FA with the password and a code', async () => {
+            // Definition
+            const { recoveryCodes } = await enable();
+
+            // Execution
+            const wrongPassword = await supertest(app)
+                .post('/auth/2fa/disable')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ password: 'Wrongpass1*', code: recoveryCodes[0] });
+            const disabled = await supertest(app)
+                .post('/auth/2fa/disable')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ password: testUser.password, code: recoveryCodes[1] });
+            const login = await supertest(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: testUser.password });
+
+            // Assertion
+            expect(wrongPassword.status).to.equal(401);
+            expect(disabled.status).to.equal(200);
+            expect(login.body).to.have.property('token');
+            expect(await prisma.recoveryCode.count()).to.equal(0);
+        });
+    });
+
+    describe('POST /auth/verify-email', () => {
+        const readVerificationToken = () => readMailedToken('Confirm your JTracker email address');
+        let authToken;
+
+        beforeEach(async () => {
+            await fs.promises.rm(config.mailOutboxDir, { recursive: true, force: true });
+            const registerResponse = await supertest(app).post('/auth/register').send(testUser);
+            authToken = registerResponse.body.token;
+        });
+
+        afterEach(() => {
+            config.emailVerificationMode = 'flag';
+        });
+
+        it('Registers users as unverified and verifies them with the emailed link', async () => {
+            // Execution
+            const before = await supertest(app).get('/auth/me').set('Authorization', `Bearer ${authToken}`);
+            const token = await readVerificationToken();
+            const response = await supertest(app).post('/auth/verify-email').send({ token });
+            const after = await supertest(app).get('/auth/me').set('Authorization', `Bearer ${authToken}`);
+
+            // Assertion
+            expect(before.body.emailVerifiedAt).to.be.null;
+            expect(response.status).to.equal(200);
+            expect(response.body.message).to.equal('Email address verified');
+            expect(after.body.emailVerifiedAt).to.be.a('string');
+        });
+
+        it('Rejects tampered tokens and access tokens', async () => {
+            // Definition
+            const token = await readVerificationToken();
+
+            // Execution
+            const tampered = await supertest(app).post('/auth/verify-email').send({ token: `${token}x` });
+            const accessToken = await supertest(app).post('/auth/verify-email').send({ token: authToken });
+            const verificationAsBearer = await supertest(app)
+                .get('/applications')
+                .set('Authorization', `Bearer ${token}`);
+
+            // Assertion
+            expect(tampered.status).to.equal(400);
+            expect(tampered.body.error).to.equal('Invalid or expired token');
+            expect(accessToken.status).to.equal(400);
+            expect(verificationAsBearer.status).to.equal(401);
+        });
+
+        it('Resends the link only while the address is unverified', async () => {
+            // Execution
+            const resend = await supertest(app)
+                .post('/auth/verify-email/resend')
+                .set('Authorization', `Bearer ${authToken}`);
+            await supertest(app).post('/auth/verify-email').send({ token: await readVerificationToken() });
+            const again = await supertest(app)
+                .post('/auth/verify-email/resend')
+                .set('Authorization', `Bearer ${authToken}`);
+            const anonymous = await supertest(app).post('/auth/verify-email/resend');
+
+            // Assertion
+            expect(resend.status).to.equal(200);
+            expect(again.status).to.equal(409);
+            expect(again.body.error).to.equal('Email address is already verified');
+            expect(anonymous.status).to.equal(401);
+        });
+
+        it('Flags or blocks unverified users on /applications depending on the mode', async () => {
+            // Execution
+            const flagged = await supertest(app)
+                .get('/applications')
+                .set('Authorization', `Bearer ${authToken}`);
+            config.emailVerificationMode = 'block';
+            const blocked = await supertest(app)
+                .get('/applications')
+                .set('Authorization', `Bearer ${authToken}`);
+            await supertest(app).post('/auth/verify-email').send({ token: await readVerificationToken() });
+            const verified = await supertest(app)
+                .get('/applications')
+                .set('Authorization', `Bearer ${authToken}`);
+
+            // Assertion
+            expect(flagged.status).to.equal(200);
+            expect(flagged.headers['x-email-verified']).to.equal('false');
+            expect(blocked.status).to.equal(403);
+            expect(blocked.body.error).to.equal('Email address is not verified');
+            expect(verified.status).to.equal(200);
+            expect(verified.headers).to.not.have.property('x-email-verified');
+        });
+    });
+
+    describe('POST /auth/password/forgot and /auth/password/reset', () => {
+        const newPassword = 'Newpass456*';
+
+        const readResetToken = () => waitForMailedToken('Reset your JTracker password');
+
+        beforeEach(async () => {
+            await supertest(app).post('/auth/register').send(testUser);
+            // Drop the verification email sent on registration
+            await fs.promises.rm(config.mailOutboxDir, { recursive: true, force: true });
+        });
+
+        it('Resets the password with the emailed token and signs out other sessions', async () => {
+            // Definition
+            const loginResponse = await supertest(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: testUser.password });
+            const refreshCookie = loginResponse.headers['set-cookie'];
+
+            // Execution
+            const forgot = await supertest(app)
+                .post('/auth/password/forgot')
+                .send({ email: testUser.email });
+            const token = await readResetToken();
+            const reset = await supertest(app)
+                .post('/auth/password/reset')
+                .send({ token, password: newPassword });
+
+            // Assertion
+            expect(forgot.status).to.equal(200);
+            expect(reset.status).to.equal(200);
+            const stored = await prisma.oneTimeToken.findMany();
+            expect(stored.every((row) => row.tokenHash !== token)).to.be.true;
+
+            const oldLogin = await supertest(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: testUser.password });
+            const newLogin = await supertest(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: newPassword });
+            const refresh = await supertest(app).post('/auth/refresh').set('Cookie', refreshCookie);
+            expect(oldLogin.status).to.equal(401);
+            expect(newLogin.status).to.equal(200);
+            expect(refresh.status).to.equal(401);
+        });
+
+        it('Rejects a token that was already used', async () => {
+            // Definition
+            await supertest(app).post('/auth/password/forgot').send({ email: testUser.email });
+            const token = await readResetToken();
+            await supertest(app).post('/auth/password/reset').send({ token, password: newPassword });
+
+            // Execution
+            const response = await supertest(app)
+                .post('/auth/password/reset')
+                .send({ token, password: 'Another789*' });
+
+            // Assertion
+            expect(response.status).to.equal(400);
+            expect(response.body.error).to.equal('Invalid or expired token');
+        });
+
+        it('Only accepts the most recent reset link', async () => {
+            // Definition
+            await supertest(app).post('/auth/password/forgot').send({ email: testUser.email });
+            const firstToken = await readResetToken();
+            await fs.promises.rm(config.mailOutboxDir, { recursive: true, force: true });
+            await supertest(app).post('/auth/password/forgot').send({ email: testUser.email });
+            await readResetToken();
+
+            // Execution
+            const response = await supertest(app)
+                .post('/auth/password/reset')
+                .send({ token: firstToken, password: newPassword });
+
+            // Assertion
+            expect(response.status).to.equal(400);
+        });
+
+        it('Returns the same response for an unknown email without sending anything', async () => {
+            // Execution
+            const response = await supertest(app)
+                .post('/auth/password/forgot')
+                .send({ email: 'nobody@jtracker.com' });
+
+            // Assertion
+            expect(response.status).to.equal(200);
+            expect(response.body.message).to.equal(
+                'If an account exists for this email, a password reset link has been sent'
+            );
+            expect(fs.existsSync(config.mailOutboxDir)).to.be.false;
+        });
+
+        it('Validates the new password', async () => {
+            // Definition
+            await supertest(app).post('/auth/password/forgot').send({ email: testUser.email });
+            const token = await readResetToken();
+
+            // Execution
+            const response = await supertest(app)
+                .post('/auth/password/reset')
+                .send({ token, password: 'short' });
+
+            // Assertion
+            expect(response.status).to.equal(400);
+            expect(response.body.error).to.equal('Password must be at least 8 characters long');
+        });
+    });
+
+    describe('Per-account login throttling (/auth/login, /auth/unlock)', () => {
+        const defaults = {
+            loginBackoffBaseSeconds: config.loginBackoffBaseSeconds,
+            loginLockoutThreshold: config.loginLockoutThreshold,
+        };
+        const attempt = (password) =>
+            supertest(app).post('/auth/login').send({ email: testUser.email, password });
+
+        beforeEach(async () => {
+            await supertest(app).post('/auth/register').send(testUser);
+            await fs.promises.rm(config.mailOutboxDir, { recursive: true, force: true });
+        });
+
+        afterEach(() => {
+            Object.assign(config, defaults);
+        });
+
+        it('Makes the account wait after repeated failures, even for the right password', async () => {
+            // Definition
+            for (let i = 0; i < config.loginBackoffThreshold; i++) {
+                await attempt('Wrongpass123*');
+            }
+
+            // Execution
+            const response = await attempt(testUser.password);
+
+            // Assertion
+            expect(response.status).to.equal(429);
+            expect(response.body.error).to.equal('Too many failed login attempts, please wait before trying again');
+            expect(Number(response.headers['retry-after'])).to.be.at.least(1);
+        });
+
+        it('Locks the account and unlocks it from the emailed link', async () => {
+            // Definition: no backoff delay, lockout at the third failure
+            config.loginBackoffBaseSeconds = 0;
+            config.loginLockoutThreshold = 3;
+            const failures = [];
+            for (let i = 0; i < 3; i++) {
+                failures.push(await attempt('Wrongpass123*'));
+            }
+
+            // Execution
+            const locked = await attempt(testUser.password);
+            const token = await readMailedToken('Your JTracker account has been locked');
+            const unlock = await supertest(app).post('/auth/unlock').send({ token });
+            const reuse = await supertest(app).post('/auth/unlock').send({ token });
+            const login = await attempt(testUser.password);
+
+            // Assertion
+            expect(failures.map((response) => response.status)).to.deep.equal([401, 401, 401]);
+            expect(locked.status).to.equal(429);
+            expect(locked.body.error).to.equal('Account temporarily locked after too many failed login attempts');
+            expect(unlock.status).to.equal(200);
+            expect(reuse.status).to.equal(400);
+            expect(login.status).to.equal(200);
+            expect(login.body.user).to.not.have.any.keys('failedLoginAttempts', 'lockedUntil');
+        });
+
+        it('Answers unlock requests the same way for unknown and unlocked accounts', async () => {
+            // Execution
+            const unknown = await supertest(app)
+                .post('/auth/unlock/request')
+                .send({ email: 'nobody@jtracker.com' });
+            const unlocked = await supertest(app)
+                .post('/auth/unlock/request')
+                .send({ email: testUser.email });
+
+            // Assertion
+            expect(unknown.status).to.equal(200);
+            expect(unlocked.body).to.deep.equal(unknown.body);
+            expect(fs.existsSync(config.mailOutboxDir)).to.be.false;
+        });
+    });
+
+    describe('Magic-link sign-in (/auth/magic-link)', () => {
+        const subject = 'Your JTracker sign-in link';
+
+        const waitForMagicLink = () => waitForMailedToken(subject);
+
+        beforeEach(async () => {
+            await supertest(app).post('/auth/register').send(testUser);
+            await fs.promises.rm(config.mailOutboxDir, { recursive: true, force: true });
+        });
+
+        it('Answers the same way for known and unknown emails', async () => {
+            // Execution
+            const known = await supertest(app).post('/auth/magic-link').send({ email: testUser.email });
+            const unknown = await supertest(app).post('/auth/magic-link').send({ email: 'nobody@jtracker.com' });
+
+            // Assertion
+            expect(known.status).to.equal(200);
+            expect(unknown.status).to.equal(200);
+            expect(unknown.body).to.deep.equal(known.body);
+        });
+
+        it('Signs in once with the emailed link and verifies the email address', async () => {
+            // Definition
+            await supertest(app).post('/auth/magic-link').send({ email: testUser.email });
+            const token = await waitForMagicLink();
+
+            // Execution
+            const response = await supertest(app).post('/auth/magic-link/verify').send({ token });
+            const reuse = await supertest(app).post('/auth/magic-link/verify').send({ token });
+
+            // Assertion
+            expect(response.status).to.equal(200);
+            expect(response.body.user.email).to.equal(testUser.email);
+            expect(response.body.user.emailVerifiedAt).to.be.a('string');
+            expect(response.body.token).to.be.a('string');
+            expect(response.headers['set-cookie'].join(';')).to.include(config.refreshTokenCookieName);
+            expect(reuse.status).to.equal(401);
+        });
+
+        it('Only accepts the latest link', async () => {
+            // Definition
+            await supertest(app).post('/auth/magic-link').send({ email: testUser.email });
+            const first = await waitForMagicLink();
+            await fs.promises.rm(config.mailOutboxDir, { recursive: true, force: true });
+            await supertest(app).post('/auth/magic-link').send({ email: testUser.email });
+            const second = await waitForMagicLink();
+
+            // Execution
+            const stale = await supertest(app).post('/auth/magic-link/verify').send({ token: first });
+            const latest = await supertest(app).post('/auth/magic-link/verify').send({ token: second });
+
+            // Assertion
+            expect(stale.status).to.equal(401);
+            expect(latest.status).to.equal(200);
+        });
+
+        it('Rejects expired links', async () => {
+            // Definition
+            await supertest(app).post('/auth/magic-link').send({ email: testUser.email });
+            const token = await waitForMagicLink();
+            await prisma.oneTimeToken.updateMany({
+                where: { purpose: 'MAGIC_LINK' },
+                data: { expiresAt: new Date(Date.now() - 1000) },
+            });
+
+            // Execution
+            const response = await supertest(app).post('/auth/magic-link/verify').send({ token });
+
+            // Assertion
+            expect(response.status).to.equal(401);
+            expect(response.body.error).to.equal('Invalid or expired token');
+        });
+
+        it('Returns 400 when the email or token is missing', async () => {
+            // Execution
+            const request = await supertest(app).post('/auth/magic-link').send({});
+            const verify = await supertest(app).post('/auth/magic-link/verify').send({});
+
+            // Assertion
+            expect(request.status).to.equal(400);
+            expect(verify.status).to.equal(400);
+        });
+    });
+
+    describe('PATCH /auth/me and POST /auth/password/change', () => {
+        const newEmail = 'moved@jtracker.com';
+        const newPassword = 'Newpass456*';
+        let authToken;
+
+        beforeEach(async () => {
+            await fs.promises.rm(config.mailOutboxDir, { recursive: true, force: true });
+            const registerResponse = await supertest(app).post('/auth/register').send(testUser);
+            authToken = registerResponse.body.token;
+        });
+
+        it('Updates the name without asking for the password', async () => {
+            // Execution
+            const response = await supertest(app)
+                .patch('/auth/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ name: 'Renamed Jobseeker' });
+
+            // Assertion
+            expect(response.status).to.equal(200);
+            expect(response.body.user.name).to.equal('Renamed Jobseeker');
+            expect(response.body.emailChangePending).to.be.false;
+        });
+
+        it('Changes the email only once the link sent to the new address is opened', async () => {
+            // Execution
+            const withoutPassword = await supertest(app)
+                .patch('/auth/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ email: newEmail });
+            const response = await supertest(app)
+                .patch('/auth/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ email: newEmail, currentPassword: testUser.password });
+            const token = await waitForMailedToken('Confirm your JTracker email address', newEmail);
+            const verify = await supertest(app).post('/auth/verify-email').send({ token });
+            const me = await supertest(app).get('/auth/me').set('Authorization', `Bearer ${authToken}`);
+
+            // Assertion
+            expect(withoutPassword.status).to.equal(400);
+            expect(withoutPassword.body.error).to.equal(
+                'Current password must be provided to change the email address'
+            );
+            expect(response.status).to.equal(200);
+            expect(response.body.emailChangePending).to.be.true;
+            expect(response.body.user.email).to.equal(testUser.email);
+            expect(verify.status).to.equal(200);
+            expect(me.body.email).to.equal(newEmail);
+            expect(me.body.pendingEmail).to.be.null;
+        });
+
+        it('Answers the same way when the new address is already taken, without sending a link', async () => {
+            // Definition
+            await supertest(app)
+                .post('/auth/register')
+                .send({ ...testUser, email: newEmail });
+            await fs.promises.rm(config.mailOutboxDir, { recursive: true, force: true });
+
+            // Execution
+            const response = await supertest(app)
+                .patch('/auth/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ email: newEmail, currentPassword: testUser.password });
+            // The link is sent after the response; give it the time it would take
+            await new Promise((resolve) => setTimeout(resolve, 200));
+
+            // Assertion
+            expect(response.status).to.equal(200);
+            expect(response.body.emailChangePending).to.be.true;
+            expect(fs.existsSync(config.mailOutboxDir)).to.be.false;
+        });
+
+        it('Rejects an email change with a wrong current password', async () => {
+            // Execution
+            const response = await supertest(app)
+                .patch('/auth/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ email: newEmail, currentPassword: 'Wrongpass123*' });
+
+            // Assertion
+            expect(response.status).to.equal(400);
+            expect(response.body.error).to.equal('Current password is incorrect');
+        });
+
+        it('Changes the password and signs out every other session', async () => {
+            // Definition
+            const other = await supertest(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: testUser.password });
+
+            // Execution
+            const wrong = await supertest(app)
+                .post('/auth/password/change')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ currentPassword: 'Wrongpass123*', newPassword });
+            const response = await supertest(app)
+                .post('/auth/password/change')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ currentPassword: testUser.password, newPassword });
+            const current = await supertest(app).get('/auth/me').set('Authorization', `Bearer ${authToken}`);
+            const otherRequest = await supertest(app)
+                .get('/auth/me')
+                .set('Authorization', `Bearer ${other.body.token}`);
+            const login = await supertest(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: newPassword });
+
+            // Assertion
+            expect(wrong.status).to.equal(400);
+            expect(wrong.body.error).to.equal('Current password is incorrect');
+            expect(response.status).to.equal(200);
+            expect(response.body.revokedSessions).to.equal(1);
+            expect(current.status).to.equal(200);
+            expect(otherRequest.status).to.equal(401);
+            expect(login.status).to.equal(200);
+        });
+
+        it('Refuses to reuse the current password', async () => {
+            // Execution
+            const response = await supertest(app)
+                .post('/auth/password/change')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ currentPassword: testUser.password, newPassword: testUser.password });
+
+            // Assertion
+            expect(response.status).to.equal(400);
+            expect(response.body.error).to.equal('New password must be different from the current password');
+        });
+    });
+
+    describe('Personal access tokens (/auth/tokens)', () => {
+        let authToken;
+
+        const createToken = (body) =>
+            supertest(app)
+                .post('/auth/tokens')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send(body);
+
+        beforeEach(async () => {
+            const registerResponse = await supertest(app).post('/auth/register').send(testUser);
+            authToken = registerResponse.body.token;
+        });
+
+        it('Creates a token shown once, stores only its hash and lists it without the secret', async () => {
+            // Execution
+            const created = await createToken({
+                name: 'Browser extension',
+                scopes: ['applications:write'],
+                expiresInDays: 30,
+            });
+            const list = await supertest(app).get('/auth/tokens').set('Authorization', `Bearer ${authToken}`);
+
+            // Assertion
+            expect(created.status).to.equal(201);
+            expect(created.body.token).to.match(/^jtr_pat_/);
+            expect(created.body.prefix).to.equal(created.body.token.slice(0, 12));
+            expect(created.body.expiresAt).to.be.a('string');
+            const [stored] = await prisma.personalAccessToken.findMany();
+            expect(stored.tokenHash).to.equal(utils.hashToken(created.body.token));
+            expect(list.body.items).to.have.length(1);
+            expect(list.body.items[0]).to.not.have.any.keys('token', 'tokenHash');
+        });
+
+        it('Rejects unknown scopes', async () => {
+            // Execution
+            const response = await createToken({ name: 'Script', scopes: ['admin'] });
+
+            // Assertion
+            expect(response.status).to.equal(400);
+            expect(response.body.error).to.equal(
+                'Scope must be one of applications:read, applications:write or analytics:read'
+            );
+        });
+
+        it('Authenticates scripts within the granted scopes and records the last use', async () => {
+            // Definition
+            const created = await createToken({ name: 'Script', scopes: ['applications:read'] });
+            const patHeader = `Bearer ${created.body.token}`;
+
+            // Execution
+            const read = await supertest(app).get('/applications').set('Authorization', patHeader);
+            const write = await supertest(app)
+                .post('/applications')
+                .set('Authorization', patHeader)
+                .send({ position: 'Engineer', company: 'Acme', url: 'https://acme.example/job' });
+            const analytics = await supertest(app).get('/analytics/funnel').set('Authorization', patHeader);
+            const manageTokens = await supertest(app).get('/auth/tokens').set('Authorization', patHeader);
+            const readFiles = await supertest(app).get('/files').set('Authorization', patHeader);
+            const deleteFile = await supertest(app).delete('/files/1').set('Authorization', patHeader);
+
+            // Assertion
+            expect(read.status).to.equal(200);
+            expect(write.status).to.equal(403);
+            expect(write.body.error).to.equal('Token does not have the required scope');
+            expect(readFiles.status).to.equal(200);
+            expect(deleteFile.status).to.equal(403);
+            expect(analytics.status).to.equal(403);
+            expect(manageTokens.status).to.equal(403);
+            const [stored] = await prisma.personalAccessToken.findMany();
+            expect(stored.lastUsedAt).to.be.an.instanceOf(Date);
+        });
+
+        it('Refuses expired and revoked tokens', async () => {
+            // Definition
+            const created = await createToken({ name: 'Script', scopes: ['applications:read'] });
+            const patHeader = `Bearer ${created.body.token}`;
+            const other = await createToken({ name: 'Old script', scopes: ['applications:read'] });
+            await prisma.personalAccessToken.update({
+                where: { id: other.body.id },
+                data: { expiresAt: new Date(Date.now() - 1000) },
+            });
+
+            // Execution
+            const expired = await supertest(app)
+                .get('/applications')
+                .set('Authorization', `Bearer ${other.body.token}`);
+            const revoke = await supertest(app)
+                .delete(`/auth/tokens/${created.body.id}`)
+                .set('Authorization', `Bearer ${authToken}`);
+            const revokeAgain = await supertest(app)
+                .delete(`/auth/tokens/${created.body.id}`)
+                .set('Authorization', `Bearer ${authToken}`);
+            const revoked = await supertest(app).get('/applications').set('Authorization', patHeader);
+
+            // Assertion
+            expect(expired.status).to.equal(401);
+            expect(revoke.status).to.equal(204);
+            expect(revokeAgain.status).to.equal(404);
+            expect(revoked.status).to.equal(401);
+        });
+    });
+
+    describe('OIDC sign-in (/auth/oidc, /auth/identities)', () => {
+        const originalProviders = config.oidcProviders;
+        let issuer;
+
+        // Runs the whole flow like a browser: start, approve at the issuer, post the code back
+        const signIn = async (agent = supertest.agent(app)) => {
+            const start = await agent.post('/auth/oidc/mock/start');
+            const { code, state } = await issuer.authorize(start.body.authorizationUrl);
+            return agent.post('/auth/oidc/callback').send({ code, state });
+        };
+
+        before(async () => {
+            issuer = await startMockOidcIssuer();
+            config.oidcProviders = {
+                mock: { clientId: issuer.clientId, clientSecret: issuer.clientSecret, issuer: issuer.url },
+            };
+        });
+
+        after(async () => {
+            config.oidcProviders = originalProviders;
+            await issuer.close();
+        });
+
+        beforeEach(() => {
+            issuer.setUser({ sub: 'mock-user-1', email: testUser.email, email_verified: true, name: 'OIDC User' });
+        });
+
+        it('Lists the enabled providers', async () => {
+            // Execution
+            const response = await supertest(app).get('/auth/oidc/providers');
+
+            // Assertion
+            expect(response.status).to.equal(200);
+            expect(response.body).to.deep.equal({ providers: ['mock'] });
+        });
+
+        it('Creates a verified account on first sign-in and reuses it afterwards', async () => {
+            // Execution
+            const first = await signIn();
+            const second = await signIn();
+
+            // Assertion
+            expect(first.status).to.equal(201);
+            expect(first.body.user.email).to.equal(testUser.email);
+            expect(first.body.user.emailVerifiedAt).to.be.a('string');
+            expect(first.body.token).to.be.a('string');
+            expect(first.headers['set-cookie'].join(';')).to.include(config.refreshTokenCookieName);
+            expect(second.status).to.equal(200);
+            expect(second.body.user.id).to.equal(first.body.user.id);
+            expect(await prisma.userIdentity.count()).to.equal(1);
+        });
+
+        it('Links the identity to an existing account with the same verified email', async () => {
+            // Definition
+            const registered = await supertest(app).post('/auth/register').send(testUser);
+            await prisma.user.update({
+                where: { id: registered.body.user.id },
+                data: { emailVerifiedAt: new Date() },
+            });
+
+            // Execution
+            const response = await signIn();
+            const identities = await supertest(app)
+                .get('/auth/identities')
+                .set('Authorization', `Bearer ${response.body.token}`);
+
+            // Assertion
+            expect(response.status).to.equal(200);
+            expect(response.body.user.id).to.equal(registered.body.user.id);
+            expect(identities.body).to.have.lengthOf(1);
+            expect(identities.body[0]).to.include({ provider: 'mock', email: testUser.email });
+        });
+
+        it('Refuses to link an account whose email has not been verified', async () => {
+            // Definition
+            await supertest(app).post('/auth/register').send(testUser);
+
+            // Execution
+            const response = await signIn();
+
+            // Assertion
+            expect(response.status).to.equal(409);
+            expect(await prisma.userIdentity.count()).to.equal(0);
+        });
+
+        it('Refuses an identity whose email the provider has not verified', async () => {
+            // Definition
+            issuer.setUser({ sub: 'mock-user-2', email: 'unverified@jtracker.com', email_verified: false });
+
+            // Execution
+            const response = await signIn();
+
+            // Assertion
+            expect(response.status).to.equal(403);
+            expect(await prisma.user.count()).to.equal(0);
+        });
+
+        it('Returns a 2FA challenge instead of a session when 2FA is enabled', async () => {
+            // Definition
+            const created = await signIn();
+            await prisma.user.update({
+                where: { id: created.body.user.id },
+                data: { totpEnabledAt: new Date() },
+            });
+
+            // Execution
+            const response = await signIn();
+
+            // Assertion
+            expect(response.status).to.equal(200);
+            expect(response.body).to.have.keys('twoFactorRequired', 'challengeToken');
+        });
+
+        it('Rejects a callback whose state does not match, or without a flow cookie', async () => {
+            // Definition
+            const agent = supertest.agent(app);
+            const start = await agent.post('/auth/oidc/mock/start');
+            const { code } = await issuer.authorize(start.body.authorizationUrl);
+
+            // Execution
+            const wrongState = await agent.post('/auth/oidc/callback').send({ code, state: 'not-the-state' });
+            const noCookie = await supertest(app).post('/auth/oidc/callback').send({ code, state: 'anything' });
+
+            // Assertion
+            expect(wrongState.status).to.equal(400);
+            expect(wrongState.body.error).to.equal('Invalid or expired sign-in request');
+            expect(noCookie.status).to.equal(400);
+        });
+
+        it('Returns 404 for a provider that is not enabled', async () => {
+            // Execution
+            const response = await supertest(app).post('/auth/oidc/unknown/start');
+
+            // Assertion
+            expect(response.status).to.equal(404);
+        });
+
+        it('Unlinks an identity of the signed-in user only', async () => {
+            // Definition
+            const created = await signIn();
+            const [identity] = (await supertest(app)
+                .get('/auth/identities')
+                .set('Authorization', `Bearer ${created.body.token}`)).body;
+
+            // Execution
+            const unlink = await supertest(app)
+                .delete(`/auth/identities/${identity.id}`)
+                .set('Authorization', `Bearer ${created.body.token}`);
+            const again = await supertest(app)
+                .delete(`/auth/identities/${identity.id}`)
+                .set('Authorization', `Bearer ${created.body.token}`);
+
+            // Assertion
+            expect(unlink.status).to.equal(204);
+            expect(again.status).to.equal(404);
+        });
+    });
+
+    describe('Personal data export and account deletion (/auth/me)', () => {
+        const pdf = Buffer.from('%PDF-1.4\n% test document\n');
+        let loginResponse;
+        let authToken;
+
+        const uploadCv = () =>
+            supertest(app)
+                .post('/files')
+                .set('Authorization', `Bearer ${authToken}`)
+                .field('type', 'CV')
+                .attach('file', pdf, { filename: 'resume.pdf', contentType: 'application/pdf' });
+
+        const readBinary = (res, callback) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+        };
+
+        beforeEach(async () => {
+            await prisma.file.deleteMany();
+            await supertest(app).post('/auth/register').send(testUser);
+            loginResponse = await supertest(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: testUser.password });
+            authToken = loginResponse.body.token;
+        });
+
+        it('Exports profile, applications, sessions and stored files as a zip archive', async () => {
+            // Definition
+            await uploadCv();
+
+            // Execution
+            const response = await supertest(app)
+                .post('/auth/me/export')
+                .set('Authorization', `Bearer ${authToken}`)
+                .buffer(true)
+                .parse(readBinary);
+
+            // Assertion: zip entry names are stored uncompressed
+            expect(response.status).to.equal(200);
+            expect(response.headers['content-type']).to.equal('application/zip');
+            expect(response.headers['content-disposition']).to.match(/jtracker-data-\d{4}-\d{2}-\d{2}\.zip/);
+            expect(response.body.subarray(0, 2).toString()).to.equal('PK');
+            ['profile.json', 'applications.json', 'tags.json', 'sessions.json', 'files.json', '-resume.pdf'].forEach(
+                (name) => expect(response.body.includes(name)).to.be.true
+            );
+        });
+
+        it('Requires the password to delete the account', async () => {
+            // Execution
+            const missing = await supertest(app)
+                .delete('/auth/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({});
+            const wrong = await supertest(app)
+                .delete('/auth/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ password: 'Wrongpass123*' });
+
+            // Assertion
+            expect(missing.status).to.equal(400);
+            expect(wrong.status).to.equal(401);
+            expect(wrong.body.error).to.equal('Invalid credentials');
+        });
+
+        it('Schedules the deletion, signs out every session and can be cancelled by signing in again', async () => {
+            // Execution
+            const response = await supertest(app)
+                .delete('/auth/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ password: testUser.password });
+            const oldToken = await supertest(app).get('/auth/me').set('Authorization', `Bearer ${authToken}`);
+            const refresh = await supertest(app)
+                .post('/auth/refresh')
+                .set('Cookie', loginResponse.headers['set-cookie']);
+            const login = await supertest(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: testUser.password });
+            const restore = await supertest(app)
+                .post('/auth/me/restore')
+                .set('Authorization', `Bearer ${login.body.token}`);
+            const me = await supertest(app).get('/auth/me').set('Authorization', `Bearer ${login.body.token}`);
+
+            // Assertion
+            expect(response.status).to.equal(202);
+            const graceMs = config.accountDeletionGraceDays * 24 * 60 * 60 * 1000;
+            expect(new Date(response.body.deletionScheduledAt) - Date.now()).to.be.closeTo(graceMs, 60 * 1000);
+            expect(oldToken.status).to.equal(401);
+            expect(refresh.status).to.equal(401);
+            expect(login.status).to.equal(200);
+            expect(login.body.user.deletionScheduledAt).to.equal(response.body.deletionScheduledAt);
+            expect(restore.status).to.equal(200);
+            expect(me.body.deletionScheduledAt).to.be.null;
+        });
+
+        it('Erases the account and its stored files once the grace period has passed', async () => {
+            // Definition
+            await uploadCv();
+            const [file] = await prisma.file.findMany();
+            await supertest(app)
+                .delete('/auth/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ password: testUser.password });
+
+            // Execution
+            const early = await service.purgeDeletedAccounts();
+            const purged = await service.purgeDeletedAccounts(
+                new Date(Date.now() + (config.accountDeletionGraceDays + 1) * 24 * 60 * 60 * 1000)
+            );
+
+            // Assertion
+            expect(early).to.equal(0);
+            expect(purged).to.equal(1);
+            expect(await prisma.user.count()).to.equal(0);
+            expect(await prisma.file.count()).to.equal(0);
+            expect(fs.existsSync(path.join(config.fileStorageDir, file.storageKey))).to.be.false;
+        });
+    });
+
     describe('GET /auth/me', () => {
         let authToken;
 
@@ -0,0 +1,105 @@
+// Local OpenID Connect issuer for tests: discovery, JWKS, authorization (no login page) and token
+// endpoints, with PKCE checks. The next user to sign in is set with setUser().
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const startMockOidcIssuer = async ({ clientId = 'jtracker-test', clientSecret = 'test-client-secret' } = {}) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const codes = new Map();
+    const issuer = {
+        clientId,
+        clientSecret,
+        url: null,
+        user: { sub: 'mock-user-1', email: 'oidc@jtracker.com', email_verified: true, name: 'OIDC User' },
+        // Overrides applied to the next ID token (e.g. { aud: 'someone-else' })
+        idTokenOverrides: {},
+        setUser(user) {
+            this.user = user;
+        },
+    };
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer: issuer.url,
+            authorization_endpoint: `${issuer.url}/authorize`,
+            token_endpoint: `${issuer.url}/token`,
+            jwks_uri: `${issuer.url}/jwks`,
+            response_types_supported: ['code'],
+            code_challenge_methods_supported: ['S256'],
+            id_token_signing_alg_values_supported: ['RS256'],
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    });
+
+    // Signs the current user in at once and redirects back with a code
+    app.get('/authorize', (req, res) => {
+        const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+        if (client_id !== clientId || code_challenge_method !== 'S256' || !code_challenge) {
+            return res.status(400).json({ error: 'invalid_request' });
+        }
+        const code = crypto.randomBytes(16).toString('hex');
+        codes.set(code, { redirectUri: redirect_uri, nonce, codeChallenge: code_challenge, user: issuer.user });
+        const location = new URL(redirect_uri);
+        location.searchParams.set('code', code);
+        location.searchParams.set('state', state);
+        return res.redirect(302, location.toString());
+    });
+
+    app.post('/token', (req, res) => {
+        const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+        const grant = codes.get(code);
+        codes.delete(code);
+        if (client_id !== clientId || client_secret !== clientSecret) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+        const challenge = code_verifier
+            ? crypto.createHash('sha256').update(code_verifier).digest('base64url')
+            : null;
+        if (
+            grant_type !== 'authorization_code' ||
+            !grant ||
+            grant.redirectUri !== redirect_uri ||
+            grant.codeChallenge !== challenge
+        ) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid authorization code' });
+        }
+        const idToken = jwt.sign(
+            { ...grant.user, nonce: grant.nonce, aud: clientId, ...issuer.idTokenOverrides },
+            privateKey,
+            { algorithm: 'RS256', keyid: kid, issuer: issuer.url, expiresIn: 300 }
+        );
+        issuer.idTokenOverrides = {};
+        return res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', id_token: idToken });
+    });
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    issuer.url = `http://127.0.0.1:${server.address().port}`;
+    issuer.close = () => new Promise((resolve) => server.close(resolve));
+
+    /**
+     * Follow an authorization URL like a browser whose user approves at once
+     * @param {string} authorizationUrl - URL returned by /auth/oidc/:provider/start
+     * @returns {Promise<{code: string, state: string}>}
+     */
+    issuer.authorize = async (authorizationUrl) => {
+        const response = await fetch(authorizationUrl, { redirect: 'manual' });
+        const location = new URL(response.headers.get('location'));
+        return { code: location.searchParams.get('code'), state: location.searchParams.get('state') };
+    };
+
+    return issuer;
+};
+
+module.exports = {
+    startMockOidcIssuer,
+};
@@ -0,0 +1,126 @@
+const { expect } = require('chai');
+const crypto = require('crypto');
+const config = require('../../../config');
+const oidc = require('../oidc');
+const { startMockOidcIssuer } = require('./mockOidcIssuer');
+
+describe('Auth OIDC', () => {
+    let issuer;
+    const originalProviders = config.oidcProviders;
+
+    before(async () => {
+        issuer = await startMockOidcIssuer();
+        config.oidcProviders = {
+            mock: { clientId: issuer.clientId, clientSecret: issuer.clientSecret, issuer: issuer.url },
+        };
+    });
+
+    after(async () => {
+        config.oidcProviders = originalProviders;
+        await issuer.close();
+    });
+
+    describe('createAuthorizationRequest', () => {
+        it('builds an authorization URL with state, nonce and an S256 PKCE challenge', async () => {
+            //Execution
+            const { authorizationUrl, flow } = await oidc.createAuthorizationRequest('mock');
+            //Assertion
+            const url = new URL(authorizationUrl);
+            expect(`${url.origin}${url.pathname}`).to.equal(`${issuer.url}/authorize`);
+            expect(url.searchParams.get('client_id')).to.equal(issuer.clientId);
+            expect(url.searchParams.get('redirect_uri')).to.equal(config.oidcRedirectUri);
+            expect(url.searchParams.get('scope')).to.equal('openid email profile');
+            expect(url.searchParams.get('state')).to.equal(flow.state);
+            expect(url.searchParams.get('nonce')).to.equal(flow.nonce);
+            expect(url.searchParams.get('code_challenge_method')).to.equal('S256');
+            expect(url.searchParams.get('code_challenge')).to.equal(
+                crypto.createHash('sha256').update(flow.codeVerifier).digest('base64url')
+            );
+            expect(flow.provider).to.equal('mock');
+        });
+
+        it('rejects providers that are not enabled', async () => {
+            //Execution and Assertion
+            try {
+                await oidc.createAuthorizationRequest('google');
+                throw new Error('Should have thrown');
+            } catch (error) {
+                expect(error.status).to.equal(404);
+                expect(error.message).to.equal('Unknown sign-in provider');
+            }
+        });
+    });
+
+    describe('exchangeCode', () => {
+        it('returns the verified profile of the signed-in user', async () => {
+            //Definition
+            issuer.setUser({ sub: 'abc-123', email: 'oidc@jtracker.com', email_verified: true, name: 'OIDC User' });
+            const { authorizationUrl, flow } = await oidc.createAuthorizationRequest('mock');
+            const { code } = await issuer.authorize(authorizationUrl);
+            //Execution
+            const profile = await oidc.exchangeCode(flow, code);
+            //Assertion
+            expect(profile).to.deep.equal({
+                subject: 'abc-123',
+                email: 'oidc@jtracker.com',
+                emailVerified: true,
+                name: 'OIDC User',
+            });
+        });
+
+        it('fails when the PKCE verifier does not match the challenge', async () => {
+            //Definition
+            const { authorizationUrl, flow } = await oidc.createAuthorizationRequest('mock');
+            const { code } = await issuer.authorize(authorizationUrl);
+            //Execution and Assertion
+            try {
+                await oidc.exchangeCode({ ...flow, codeVerifier: oidc.createPkcePair().codeVerifier }, code);
+                throw new Error('Should have thrown');
+            } catch (error) {
+                expect(error.status).to.equal(502);
+                expect(error.message).to.include('Invalid authorization code');
+            }
+        });
+
+        it('rejects an ID token issued for another nonce', async () => {
+            //Definition
+            const { authorizationUrl, flow } = await oidc.createAuthorizationRequest('mock');
+            const { code } = await issuer.authorize(authorizationUrl);
+            //Execution and Assertion
+            try {
+                await oidc.exchangeCode({ ...flow, nonce: 'another-nonce' }, code);
+                throw new Error('Should have thrown');
+            } catch (error) {
+                expect(error.status).to.equal(401);
+                expect(error.message).to.include('nonce');
+            }
+        });
+
+        it('rejects an ID token issued for another client', async () => {
+            //Definition
+            const { authorizationUrl, flow } = await oidc.createAuthorizationRequest('mock');
+            const { code } = await issuer.authorize(authorizationUrl);
+            issuer.idTokenOverrides = { aud: 'another-client' };
+            //Execution and Assertion
+            try {
+                await oidc.exchangeCode(flow, code);
+                throw new Error('Should have thrown');
+            } catch (error) {
+                expect(error.status).to.equal(401);
+                expect(error.message).to.include('audience');
+            }
+        });
+
+        it('does not treat an unverified email as verified', async () => {
+            //Definition
+            issuer.setUser({ sub: 'abc-456', email: 'unverified@jtracker.com', email_verified: false });
+            const { authorizationUrl, flow } = await oidc.createAuthorizationRequest('mock');
+            const { code } = await issuer.authorize(authorizationUrl);
+            //Execution
+            const profile = await oidc.exchangeCode(flow, code);
+            //Assertion
+            expect(profile.emailVerified).to.be.false;
+            expect(profile.name).to.be.null;
+        });
+    });
+});
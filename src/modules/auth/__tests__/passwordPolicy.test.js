@@ -0,0 +1,72 @@
+const { expect } = require('chai');
+const { passwordPolicyError, isCommonPassword } = require('../passwordPolicy');
+
+describe('Auth password policy', () => {
+    describe('passwordPolicyError', () => {
+        it('accepts a password that meets the default rules', () => {
+            //Assertion
+            expect(passwordPolicyError('TestPass123!')).to.equal(null);
+        });
+
+        it('rejects passwords shorter than the minimum length', () => {
+            //Assertion
+            expect(passwordPolicyError('Short1!')).to.equal('Password must be at least 8 characters long');
+        });
+
+        it('accepts up to 72 bytes and rejects anything longer', () => {
+            //Definition
+            const longest = `TestPass123!${'x'.repeat(60)}`;
+            //Assertion
+            expect(passwordPolicyError(longest)).to.equal(null);
+            expect(passwordPolicyError(`${longest}x`)).to.equal('Password must be at most 72 bytes long');
+        });
+
+        it('measures the maximum in UTF-8 bytes', () => {
+            //Definition
+            // 26 characters, but the euro signs take 3 bytes each (74 bytes)
+            const password = `A!${'€'.repeat(24)}`;
+            //Assertion
+            expect(passwordPolicyError(password)).to.equal('Password must be at most 72 bytes long');
+        });
+
+        it('requires the configured character classes', () => {
+            //Assertion
+            expect(passwordPolicyError('testpass123!')).to.equal('Password must contain at least one capital letter');
+            expect(passwordPolicyError('TestPass123')).to.equal('Password must contain at least one symbol');
+            expect(passwordPolicyError('TESTPASS!', { requireLowercase: true })).to.equal(
+                'Password must contain at least one lowercase letter'
+            );
+            expect(passwordPolicyError('TestPass!', { requireDigit: true })).to.equal(
+                'Password must contain at least one digit'
+            );
+        });
+
+        it('waives character classes for long passphrases', () => {
+            //Definition
+            const passphrase = 'purple otters juggle spreadsheets';
+            //Assertion
+            expect(passwordPolicyError(passphrase)).to.equal(null);
+            expect(passwordPolicyError(passphrase, { passphraseLength: 0 })).to.equal(
+                'Password must contain at least one capital letter'
+            );
+        });
+
+        it('rejects common and breached passwords whatever their case', () => {
+            //Assertion
+            expect(passwordPolicyError('P@ssw0rd123')).to.equal(
+                'Password must be different from commonly used or breached passwords'
+            );
+            expect(passwordPolicyError('Correct Horse Battery Staple')).to.equal(
+                'Password must be different from commonly used or breached passwords'
+            );
+        });
+    });
+
+    describe('isCommonPassword', () => {
+        it('matches entries of the bundled list case-insensitively', () => {
+            //Assertion
+            expect(isCommonPassword('QWERTY123!')).to.be.true;
+            expect(isCommonPassword('TestPass123!')).to.be.false;
+        });
+    });
+});
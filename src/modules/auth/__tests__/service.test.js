@@ -8,7 +8,7 @@ describe('Auth (Business Logic Layer)', () => {
     // Definition: static data
     const validUserData = {
         email: 'test@jtracker.com',
-        password: 'TestPass123!', // Valid: 8-15 chars, has capital, has symbol
+        password: 'TestPass123!', // Valid: 8-72 bytes, has capital, has symbol
         name: 'Test User',
     };
 
@@ -211,11 +211,11 @@ describe('Auth (Business Logic Layer)', () => {
             }
         });
 
-        it('Throw error when password is too long (more than 15 characters)', async () => {
+        it('Throw error when password is too long (more than 72 bytes)', async () => {
             // Definition
             const invalidData = {
                 email: 'test@jtracker.com',
-                password: 'VeryLongPass123!',
+                password: `VeryLongPass123!${'x'.repeat(57)}`,
                 name: 'Test User',
             };
 
@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+const {
+    base32Encode,
+    base32Decode,
+    generateTotp,
+    timeStep,
+    verifyTotp,
+    buildOtpauthUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    normalizeRecoveryCode,
+} = require('../totp');
+
+describe('Auth TOTP', () => {
+    // RFC 6238 appendix B seed (ASCII "12345678901234567890")
+    const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+    describe('base32', () => {
+        it('round-trips bytes using the RFC 4648 alphabet', () => {
+            //Assertion
+            expect(rfcSecret).to.equal('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+            expect(base32Decode(rfcSecret).toString()).to.equal('12345678901234567890');
+            expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).to.equal(
+                '12345678901234567890'
+            );
+        });
+    });
+
+    describe('generateTotp', () => {
+        it('matches the RFC 6238 SHA-1 test vectors', () => {
+            //Execution
+            const codes = [59, 1111111109, 1234567890, 2000000000].map((seconds) =>
+                generateTotp(rfcSecret, timeStep(seconds * 1000), 8)
+            );
+            //Assertion
+            expect(codes).to.deep.equal(['94287082', '07081804', '89005924', '69279037']);
+        });
+    });
+
+    describe('verifyTotp', () => {
+        it('accepts codes from adjacent steps and returns the matching step', () => {
+            //Definition
+            const now = 1700000000000;
+            const step = timeStep(now);
+            //Assertion
+            expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, step), now)).to.equal(step);
+            expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, step - 1), now)).to.equal(step - 1);
+            expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, step + 1), now)).to.equal(step + 1);
+            expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, step - 3), now)).to.be.null;
+            expect(verifyTotp(rfcSecret, '12345', now)).to.be.null;
+            expect(verifyTotp(rfcSecret, undefined, now)).to.be.null;
+        });
+    });
+
+    describe('buildOtpauthUri', () => {
+        it('builds a key URI for authenticator apps', () => {
+            //Execution
+            const uri = buildOtpauthUri({ secret: rfcSecret, account: 'test@jtracker.com', issuer: 'JTracker' });
+            //Assertion
+            expect(uri).to.equal(
+                'otpauth://totp/JTracker%3Atest%40jtracker.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' +
+                    '&issuer=JTracker&algorithm=SHA1&digits=6&period=30'
+            );
+        });
+    });
+
+    describe('secret encryption', () => {
+        it('decrypts what it encrypted and never stores the secret in clear', () => {
+            //Execution
+            const stored = encryptSecret(rfcSecret);
+            //Assertion
+            expect(stored).to.not.include(rfcSecret);
+            expect(encryptSecret(rfcSecret)).to.not.equal(stored);
+            expect(decryptSecret(stored)).to.equal(rfcSecret);
+        });
+    });
+
+    describe('recovery codes', () => {
+        it('generates distinct codes that normalize regardless of case and dashes', () => {
+            //Execution
+            const codes = generateRecoveryCodes();
+            //Assertion
+            expect(codes).to.have.lengthOf(10);
+            expect(new Set(codes).size).to.equal(10);
+            codes.forEach((code) => expect(code).to.match(/^[0-9a-f]{4}(-[0-9a-f]{4}){3}$/));
+            expect(normalizeRecoveryCode(` ${codes[0].toUpperCase()} `)).to.equal(codes[0].replace(/-/g, ''));
+        });
+    });
+});
@@ -2,14 +2,27 @@ const { expect } = require('chai');
 const authUtils = require('../utils');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const config = require('../../../config');
 
-const { hashPassword, comparePassword, generateToken, verifyToken } = authUtils;
+const {
+    hashPassword,
+    comparePassword,
+    generateToken,
+    verifyToken,
+    generateOneTimeToken,
+    generatePersonalAccessToken,
+    isPersonalAccessToken,
+    loginThrottle,
+    generateEmailVerificationToken,
+    verifyEmailVerificationToken,
+    hashToken,
+} = authUtils;
 
 describe('Auth Utils', () => {
     describe('hashPassword', () => {
         it('returns a string hash', async () => {
             //Definition
-            const password = 'TestPass123!'; // Valid: 8-15 chars, has capital, has symbol
+            const password = 'TestPass123!'; // Valid: 8-72 bytes, has capital, has symbol
             //Execution
             const hash = await hashPassword(password);
             //Assertion
@@ -198,4 +211,81 @@ describe('Auth Utils', () => {
             expect(decoded).to.be.null;
         });
     });
-});
\ No newline at end of file
+    describe('generateOneTimeToken', () => {
+        it('Generates unique URL-safe tokens that are stored as a hash', () => {
+            //Execution
+            const first = generateOneTimeToken();
+            const second = generateOneTimeToken();
+            //Assertion
+            expect(first).to.match(/^[A-Za-z0-9_-]{43}$/);
+            expect(first).to.not.equal(second);
+            expect(hashToken(first)).to.match(/^[a-f0-9]{64}$/);
+            expect(hashToken(first)).to.equal(hashToken(first));
+        });
+    });
+    describe('loginThrottle', () => {
+        const now = new Date('2026-01-10T10:00:00Z');
+        const secondsLocked = (failedAttempts) =>
+            (loginThrottle(failedAttempts, now).lockedUntil - now) / 1000;
+
+        it('Lets the first failures through without a delay', () => {
+            //Execution
+            const result = loginThrottle(config.loginBackoffThreshold - 1, now);
+            //Assertion
+            expect(result).to.deep.equal({ lockedUntil: null, locked: false });
+        });
+
+        it('Doubles the delay with every further failure', () => {
+            //Definition
+            const threshold = config.loginBackoffThreshold;
+            //Assertion
+            expect(secondsLocked(threshold)).to.equal(config.loginBackoffBaseSeconds);
+            expect(secondsLocked(threshold + 1)).to.equal(config.loginBackoffBaseSeconds * 2);
+            expect(secondsLocked(threshold + 2)).to.equal(config.loginBackoffBaseSeconds * 4);
+            expect(loginThrottle(threshold + 2, now).locked).to.be.false;
+        });
+
+        it('Locks the account once the lockout threshold is reached', () => {
+            //Execution
+            const result = loginThrottle(config.loginLockoutThreshold, now);
+            //Assertion
+            expect(result.locked).to.be.true;
+            expect(secondsLocked(config.loginLockoutThreshold)).to.equal(config.loginLockoutMinutes * 60);
+        });
+    });
+    describe('personal access tokens', () => {
+        it('Generates prefixed tokens that are told apart from JWTs', () => {
+            //Definition
+            const jwt = generateToken({ userId: 1, email: 'test@example.com' });
+            //Execution
+            const token = generatePersonalAccessToken();
+            //Assertion
+            expect(token).to.match(/^jtr_pat_[A-Za-z0-9_-]{43}$/);
+            expect(token).to.not.equal(generatePersonalAccessToken());
+            expect(isPersonalAccessToken(token)).to.be.true;
+            expect(isPersonalAccessToken(jwt)).to.be.false;
+            expect(isPersonalAccessToken(undefined)).to.be.false;
+        });
+    });
+    describe('email verification tokens', () => {
+        it('Round-trips the user id and email', () => {
+            //Execution
+            const token = generateEmailVerificationToken(42, 'verify@jtracker.com');
+            //Assertion
+            expect(verifyEmailVerificationToken(token)).to.deep.equal({
+                userId: 42,
+                email: 'verify@jtracker.com',
+            });
+        });
+
+        it('Is never accepted as an access token and vice versa', () => {
+            //Definition
+            const verification = generateEmailVerificationToken(42, 'verify@jtracker.com');
+            const access = generateToken({ userId: 42, email: 'verify@jtracker.com' });
+            //Assertion
+            expect(verifyToken(verification)).to.be.null;
+            expect(verifyEmailVerificationToken(access)).to.be.null;
+            expect(verifyEmailVerificationToken('not-a-token')).to.be.null;
+        });
+    });
+});
@@ -1,7 +1,22 @@
 const service = require('./service');
 const config = require('../../config');
-const { logRegistrationAttempt, logRateLimitExceeded, getClientIp } = require('../../utils/securityLogger');
-const { setRefreshCookie, parseCookies, clearRefreshCookie } = require('../../utils/cookies');
+const { logRegistrationAttempt, logRateLimitExceeded, logSecurityEvent, getClientIp } = require('../../utils/securityLogger');
+const {
+    setRefreshCookie,
+    parseCookies,
+    clearRefreshCookie,
+    OIDC_FLOW_COOKIE_NAME,
+    setOidcFlowCookie,
+    clearOidcFlowCookie,
+} = require('../../utils/cookies');
+const { getStorage } = require('../../utils/storage');
+const { streamDataExport } = require('./dataExport');
+
+// Stored with the session so users can recognise their devices
+const deviceInfo = (req) => ({
+    userAgent: (req.get('user-agent') || '').slice(0, 512) || null,
+    ipAddress: getClientIp(req),
+});
 
 const register = async (req, res, next) => {
     const ip = getClientIp(req);
@@ -18,7 +33,7 @@ const register = async (req, res, next) => {
             email, 
             password,
             name 
-        });
+        }, deviceInfo(req));
 
         // Set refresh token cookie (httpOnly)
         if (result.refreshToken) {
@@ -93,7 +108,16 @@ const login = async (req, res, next) => {
         // Password is not sanitized (would break hashing), validated by Zod
         
         // Call service layer (Zod will normalize/trim email)
-        const result = await service.login({ email, password });
+        const result = await service.login({ email, password }, deviceInfo(req));
+
+        // 2FA enabled: no session yet, the client continues at /auth/login/2fa
+        if (result.twoFactorRequired) {
+            logSecurityEvent('two_factor_challenge_issued', {}, ip);
+            return res.status(200).json({
+                twoFactorRequired: true,
+                challengeToken: result.challengeToken,
+            });
+        }
         
         // Log successful login
         const { logSuccessfulLogin } = require('../../utils/securityLogger');
@@ -113,6 +137,14 @@ const login = async (req, res, next) => {
         // Log failed login attempt
         const { logFailedLogin } = require('../../utils/securityLogger');
         const email = req.body?.email;
+
+        // Per-account backoff or lockout: the password was not checked
+        if (error.status === 429) {
+            logFailedLogin(email, ip, 'account_throttled');
+            res.setHeader('Retry-After', String(error.retryAfter));
+            return res.status(429).json({ error: error.message });
+        }
+
         logFailedLogin(email, ip, 'invalid_credentials');
         
         // All login errors return 401 with generic message
@@ -263,7 +295,7 @@ const refresh = async (req, res) => {
             return res.status(401).json({ error: 'Invalid or expired token' });
         }
 
-        const result = await service.refreshSession(refreshToken);
+        const result = await service.refreshSession(refreshToken, deviceInfo(req));
         setRefreshCookie(res, result.refreshToken);
         return res.status(200).json({
             user: result.user,
@@ -274,10 +306,474 @@ const refresh = async (req, res) => {
     }
 };
 
+const verifyEmail = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        const { userId } = await service.verifyEmail({ token: req.body?.token });
+        logSecurityEvent('email_verified', { userId }, ip);
+
+        return res.status(200).json({ message: 'Email address verified' });
+    } catch (error) {
+        const message = error.message || 'Internal server error';
+        if (message.includes('Invalid or expired token')) {
+            logSecurityEvent('email_verification_failed', { reason: 'invalid_token' }, ip);
+            return res.status(400).json({ error: 'Invalid or expired token' });
+        }
+        if (message.includes('required') || message.includes('must be')) {
+            return res.status(400).json({ error: message });
+        }
+        return res.status(500).json({ error: config.isProduction ? 'Internal server error' : message });
+    }
+};
+
+// Requires authMiddleware: the link is sent to the signed-in user's own address
+const resendVerificationEmail = async (req, res) => {
+    try {
+        await service.resendVerificationEmail(req.user.id);
+        return res.status(200).json({ message: 'Verification email sent' });
+    } catch (error) {
+        const message = error.message || 'Internal server error';
+        if (message.includes('already verified')) {
+            return res.status(409).json({ error: message });
+        }
+        return res.status(500).json({ error: config.isProduction ? 'Internal server error' : message });
+    }
+};
+
+// Errors carrying a status come from the service; validation messages map to 400
+const statusErrorResponse = (res, error) => {
+    const message = error.message || 'Internal server error';
+    let status = error.status || 500;
+    if (!error.status && (message.includes('required') || message.includes('must be'))) {
+        status = 400;
+    }
+    if (status >= 500 && config.isProduction) {
+        return res.status(status).json({ error: 'Internal server error' });
+    }
+    return res.status(status).json({ error: message });
+};
+
+// Profile and password (requires authMiddleware)
+const updateProfile = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        const result = await service.updateProfile(req.user.id, req.body);
+        if (result.emailChangePending) {
+            logSecurityEvent('email_change_requested', { userId: req.user.id }, ip);
+        }
+        return res.status(200).json(result);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const changePassword = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        const result = await service.changePassword(req.user.id, req.sessionId, req.body);
+        logSecurityEvent('password_changed', { userId: req.user.id, revokedSessions: result.revokedSessions }, ip);
+        return res.status(200).json(result);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+// Personal access tokens (requires authMiddleware; tokens cannot manage tokens)
+const listAccessTokens = async (req, res) => {
+    try {
+        const result = await service.listAccessTokens(req.user.id);
+        return res.status(200).json(result);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const createAccessToken = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        const result = await service.createAccessToken(req.user.id, req.body);
+        logSecurityEvent('access_token_created', {
+            userId: req.user.id,
+            tokenId: result.id,
+            scopes: result.scopes,
+        }, ip);
+        return res.status(201).json(result);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const revokeAccessToken = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        await service.revokeAccessToken(req.user.id, req.params.id);
+        logSecurityEvent('access_token_revoked', { userId: req.user.id, tokenId: req.params.id }, ip);
+        return res.status(204).send();
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+// Personal data and account deletion (requires authMiddleware)
+const exportPersonalData = async (req, res) => {
+    const ip = getClientIp(req);
+    let data;
+    try {
+        data = await service.exportPersonalData(req.user.id);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+
+    logSecurityEvent('personal_data_exported', { userId: req.user.id }, ip);
+    try {
+        return await streamDataExport(res, data, getStorage());
+    } catch (error) {
+        // Once streaming has started the status can no longer change; abort instead
+        if (!res.headersSent) {
+            return statusErrorResponse(res, error);
+        }
+        console.error('Personal data export failed:', error);
+        return res.destroy(error);
+    }
+};
+
+const deleteAccount = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        const result = await service.deleteAccount(req.user.id, req.body);
+        logSecurityEvent('account_deletion_scheduled', {
+            userId: req.user.id,
+            deletionScheduledAt: result.deletionScheduledAt,
+        }, ip);
+        // Every session was signed out, this one included
+        clearRefreshCookie(res);
+        return res.status(202).json(result);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const restoreAccount = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        const result = await service.restoreAccount(req.user.id);
+        logSecurityEvent('account_deletion_cancelled', { userId: req.user.id }, ip);
+        return res.status(200).json(result);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+// Session management (requires authMiddleware)
+const listSessions = async (req, res) => {
+    try {
+        const result = await service.listSessions(req.user.id, req.sessionId);
+        return res.status(200).json(result);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const revokeSession = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        await service.revokeSession(req.user.id, req.params.id);
+        logSecurityEvent('session_revoked', { userId: req.user.id }, ip);
+        return res.status(204).send();
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const revokeOtherSessions = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        const result = await service.revokeOtherSessions(req.user.id, req.sessionId);
+        logSecurityEvent('other_sessions_revoked', { userId: req.user.id, revoked: result.revoked }, ip);
+        return res.status(200).json(result);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const loginWithTwoFactor = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        const result = await service.loginWithTwoFactor({
+            challengeToken: req.body?.challengeToken,
+            code: req.body?.code,
+        }, deviceInfo(req));
+
+        const { logSuccessfulLogin } = require('../../utils/securityLogger');
+        logSuccessfulLogin(result.user.id, result.user.email, ip);
+        setRefreshCookie(res, result.refreshToken);
+
+        return res.status(200).json({
+            user: result.user,
+            token: result.token,
+        });
+    } catch (error) {
+        logSecurityEvent('two_factor_failed', { reason: error.message }, ip);
+        if (error.status === 429) {
+            res.setHeader('Retry-After', String(error.retryAfter));
+        }
+        return statusErrorResponse(res, error);
+    }
+};
+
+// OIDC / OAuth2 sign-in: start returns the provider URL to send the browser to; the page at
+// OIDC_REDIRECT_URI then posts { code, state } to the callback
+const listOidcProviders = async (req, res) => {
+    return res.status(200).json(service.listOidcProviders());
+};
+
+const startOidcLogin = async (req, res) => {
+    try {
+        const result = await service.startOidcLogin(req.params.provider);
+        setOidcFlowCookie(res, result.flowToken);
+        return res.status(200).json({ authorizationUrl: result.authorizationUrl });
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const oidcCallback = async (req, res) => {
+    const ip = getClientIp(req);
+    // The flow is single-use whatever the outcome
+    const flowToken = parseCookies(req)[OIDC_FLOW_COOKIE_NAME];
+    clearOidcFlowCookie(res);
+    try {
+        const result = await service.completeOidcLogin(flowToken, req.body, deviceInfo(req));
+
+        if (result.outcome !== 'existing') {
+            logSecurityEvent(result.outcome === 'created' ? 'oidc_account_created' : 'oidc_identity_linked', {
+                provider: result.provider,
+            }, ip);
+        }
+
+        if (result.twoFactorRequired) {
+            logSecurityEvent('two_factor_challenge_issued', {}, ip);
+            return res.status(200).json({
+                twoFactorRequired: true,
+                challengeToken: result.challengeToken,
+            });
+        }
+
+        const { logSuccessfulLogin } = require('../../utils/securityLogger');
+        logSuccessfulLogin(result.user.id, result.user.email, ip);
+        setRefreshCookie(res, result.refreshToken);
+
+        return res.status(result.outcome === 'created' ? 201 : 200).json({
+            user: result.user,
+            token: result.token,
+        });
+    } catch (error) {
+        logSecurityEvent('oidc_login_failed', { reason: error.message }, ip);
+        return statusErrorResponse(res, error);
+    }
+};
+
+const listIdentities = async (req, res) => {
+    try {
+        const result = await service.listIdentities(req.user.id);
+        return res.status(200).json(result);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const unlinkIdentity = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        await service.unlinkIdentity(req.user.id, req.params.id);
+        logSecurityEvent('oidc_identity_unlinked', { userId: req.user.id, identityId: req.params.id }, ip);
+        return res.status(204).send();
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const setupTwoFactor = async (req, res) => {
+    try {
+        const result = await service.setupTwoFactor(req.user.id);
+        return res.status(200).json(result);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const confirmTwoFactor = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        const result = await service.confirmTwoFactor(req.user.id, req.body);
+        logSecurityEvent('two_factor_enabled', { userId: req.user.id }, ip);
+        return res.status(200).json(result);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const disableTwoFactor = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        const result = await service.disableTwoFactor(req.user.id, req.body);
+        logSecurityEvent('two_factor_disabled', { userId: req.user.id }, ip);
+        return res.status(200).json(result);
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
+const forgotPassword = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        await service.forgotPassword({ email: req.body?.email });
+        logSecurityEvent('password_reset_requested', {}, ip);
+
+        // Generic response: never reveal whether the email is registered
+        return res.status(200).json({
+            message: 'If an account exists for this email, a password reset link has been sent',
+        });
+    } catch (error) {
+        const message = error.message || 'Internal server error';
+        if (message.includes('required') || message.includes('must be')) {
+            return res.status(400).json({ error: config.isProduction ? 'Invalid input provided' : message });
+        }
+        return res.status(500).json({ error: config.isProduction ? 'Internal server error' : message });
+    }
+};
+
+// Passwordless sign-in link
+const requestMagicLink = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        await service.requestMagicLink({ email: req.body?.email });
+        logSecurityEvent('magic_link_requested', {}, ip);
+
+        // Generic response: never reveal whether the email is registered
+        return res.status(200).json({
+            message: 'If an account exists for this email, a sign-in link has been sent',
+        });
+    } catch (error) {
+        const message = error.message || 'Internal server error';
+        if (message.includes('required') || message.includes('must be')) {
+            return res.status(400).json({ error: config.isProduction ? 'Invalid input provided' : message });
+        }
+        return res.status(500).json({ error: config.isProduction ? 'Internal server error' : message });
+    }
+};
+
+const loginWithMagicLink = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        const result = await service.loginWithMagicLink({ token: req.body?.token }, deviceInfo(req));
+
+        // 2FA enabled: the link replaces the password only, the client continues at /auth/login/2fa
+        if (result.twoFactorRequired) {
+            logSecurityEvent('two_factor_challenge_issued', {}, ip);
+            return res.status(200).json({
+                twoFactorRequired: true,
+                challengeToken: result.challengeToken,
+            });
+        }
+
+        const { logSuccessfulLogin } = require('../../utils/securityLogger');
+        logSuccessfulLogin(result.user.id, result.user.email, ip);
+        setRefreshCookie(res, result.refreshToken);
+
+        return res.status(200).json({
+            user: result.user,
+            token: result.token,
+        });
+    } catch (error) {
+        logSecurityEvent('magic_link_failed', { reason: error.message }, ip);
+        return statusErrorResponse(res, error);
+    }
+};
+
+const resetPassword = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        const { userId } = await service.resetPassword({
+            token: req.body?.token,
+            password: req.body?.password,
+        }, deviceInfo(req));
+        logSecurityEvent('password_reset_completed', { userId }, ip);
+
+        return res.status(200).json({ message: 'Password has been reset' });
+    } catch (error) {
+        const message = error.message || 'Internal server error';
+        if (message.includes('Invalid or expired token')) {
+            logSecurityEvent('password_reset_failed', { reason: 'invalid_token' }, ip);
+            return res.status(400).json({ error: 'Invalid or expired token' });
+        }
+        if (message.includes('required') || message.includes('must be') || message.includes('must contain')) {
+            return res.status(400).json({ error: message });
+        }
+        return res.status(500).json({ error: config.isProduction ? 'Internal server error' : message });
+    }
+};
+
+const unlockAccount = async (req, res) => {
+    const ip = getClientIp(req);
+    try {
+        await service.unlockAccount({ token: req.body?.token }, deviceInfo(req));
+        return res.status(200).json({ message: 'Account unlocked' });
+    } catch (error) {
+        const message = error.message || 'Internal server error';
+        if (message.includes('Invalid or expired token')) {
+            logSecurityEvent('account_unlock_failed', { reason: 'invalid_token' }, ip);
+            return res.status(400).json({ error: 'Invalid or expired token' });
+        }
+        return statusErrorResponse(res, error);
+    }
+};
+
+const requestUnlockEmail = async (req, res) => {
+    try {
+        await service.requestUnlockEmail({ email: req.body?.email });
+
+        // Generic response: never reveal whether the email is registered or locked
+        return res.status(200).json({
+            message: 'If this account is locked, an unlock link has been sent',
+        });
+    } catch (error) {
+        return statusErrorResponse(res, error);
+    }
+};
+
 module.exports = {
     register,
     login,
     getCurrentUser,
     logout,
     refresh,
+    verifyEmail,
+    resendVerificationEmail,
+    updateProfile,
+    changePassword,
+    listAccessTokens,
+    createAccessToken,
+    revokeAccessToken,
+    exportPersonalData,
+    deleteAccount,
+    restoreAccount,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions,
+    loginWithTwoFactor,
+    listOidcProviders,
+    startOidcLogin,
+    oidcCallback,
+    listIdentities,
+    unlinkIdentity,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    forgotPassword,
+    resetPassword,
+    unlockAccount,
+    requestUnlockEmail,
+    requestMagicLink,
+    loginWithMagicLink,
 };
\ No newline at end of file
@@ -0,0 +1,77 @@
+//Streams the personal data export (profile, applications, files, sessions) as a zip archive
+
+const { once } = require('events');
+const archiver = require('archiver');
+
+const toJson = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+// Contents are added one at a time so a single stored file is open at any moment
+const appendStoredFiles = async (archive, storage, files, signal) => {
+    const listed = [];
+    for (const { storageKey, ...file } of files) {
+        signal.throwIfAborted();
+        let content;
+        try {
+            content = await storage.read(storageKey);
+        } catch (error) {
+            // A missing object must not fail the whole export; files.json records it
+            console.error(`Export: stored file ${file.id} could not be read:`, error.message);
+            listed.push({ ...file, path: null });
+            continue;
+        }
+        const path = `files/${file.id}-${file.filename}`;
+        archive.append(content, { name: path, date: new Date(file.uploadedAt) });
+        let entry;
+        do {
+            [entry] = await once(archive, 'entry', { signal });
+        } while (entry.name !== path);
+        listed.push({ ...file, path });
+    }
+    return listed;
+};
+
+/**
+ * Stream a personal data export to an HTTP response
+ * @param {object} res - Express response
+ * @param {object} data - profile, applications, tags, sessions and files (with storageKey)
+ * @param {object} storage - Storage driver holding the uploaded files
+ * @returns {Promise<void>}
+ */
+const streamDataExport = async (res, data, storage) => {
+    const date = new Date().toISOString().slice(0, 10);
+    const archive = archiver('zip');
+    // Once bytes are out the status can no longer change; a broken archive is aborted instead
+    archive.on('error', (error) => res.destroy(error));
+    // A client that disconnects mid-download stops the archive; waiting on it would hang otherwise
+    const closed = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            closed.abort(new Error('Data export aborted: the response was closed'));
+            archive.abort();
+        }
+    });
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="jtracker-data-${date}.zip"`);
+    archive.pipe(res);
+
+    archive.append(toJson(data.profile), { name: 'profile.json' });
+    archive.append(toJson(data.applications), { name: 'applications.json' });
+    archive.append(toJson(data.tags), { name: 'tags.json' });
+    archive.append(toJson(data.sessions), { name: 'sessions.json' });
+
+    const files = await appendStoredFiles(archive, storage, data.files, closed.signal);
+    archive.append(toJson(files), { name: 'files.json' });
+
+    await Promise.race([
+        archive.finalize(),
+        once(closed.signal, 'abort').then(() => {
+            throw closed.signal.reason;
+        }),
+    ]);
+};
+
+module.exports = {
+    streamDataExport,
+};
@@ -0,0 +1,80 @@
+//Plain-text emails sent by the auth module
+
+const greeting = (name) => (name ? `Hi ${name},` : 'Hi,');
+
+const passwordResetEmail = ({ name, link, minutes }) => ({
+    subject: 'Reset your JTracker password',
+    text: [
+        greeting(name),
+        '',
+        'We received a request to reset the password of your JTracker account.',
+        `Open the link below within ${minutes} minutes to choose a new password:`,
+        '',
+        link,
+        '',
+        'If you did not ask for this, you can ignore this email; your password stays unchanged.',
+    ].join('\n'),
+});
+
+const emailVerificationEmail = ({ name, link, hours }) => ({
+    subject: 'Confirm your JTracker email address',
+    text: [
+        greeting(name),
+        '',
+        'Thanks for signing up to JTracker. Please confirm your email address by opening the link below',
+        `within ${hours} hours:`,
+        '',
+        link,
+        '',
+        'If you did not create an account, you can ignore this email.',
+    ].join('\n'),
+});
+
+const accountLockedEmail = ({ name, link, minutes }) => ({
+    subject: 'Your JTracker account has been locked',
+    text: [
+        greeting(name),
+        '',
+        'Sign-in to your JTracker account was locked after too many failed password attempts.',
+        `It unlocks by itself in ${minutes} minutes, or right away from the link below:`,
+        '',
+        link,
+        '',
+        'If these attempts were not yours, consider changing your password once you are back in.',
+    ].join('\n'),
+});
+
+const magicLinkEmail = ({ name, link, minutes }) => ({
+    subject: 'Your JTracker sign-in link',
+    text: [
+        greeting(name),
+        '',
+        `Open the link below within ${minutes} minutes to sign in to JTracker. It works only once:`,
+        '',
+        link,
+        '',
+        'If you did not ask for this, you can ignore this email; nobody can sign in without the link.',
+    ].join('\n'),
+});
+
+const accountDeletionEmail = ({ name, date, link }) => ({
+    subject: 'Your JTracker account will be deleted',
+    text: [
+        greeting(name),
+        '',
+        `Your JTracker account and all of its data will be permanently deleted on ${date}.`,
+        'Until then you can sign in and cancel the deletion from your account settings:',
+        '',
+        link,
+        '',
+        'If you did not ask for this, sign in, cancel the deletion and change your password.',
+    ].join('\n'),
+});
+
+module.exports = {
+    passwordResetEmail,
+    emailVerificationEmail,
+    accountLockedEmail,
+    magicLinkEmail,
+    accountDeletionEmail,
+};
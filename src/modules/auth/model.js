@@ -1,16 +1,22 @@
 const prisma = require('../../utils/prisma');
 
-const createUser = async ({ email, passwordHash, name }) => {
+// emailVerifiedAt is only set for accounts created through an identity provider that verified the address
+const createUser = async ({ email, passwordHash, name, emailVerifiedAt = null }) => {
     const user = await prisma.user.create({
         data: {
             email: email,
             password: passwordHash, 
             name: name,
+            emailVerifiedAt,
         },
         select: {
             id: true, 
             email: true,
             name: true,
+            emailVerifiedAt: true,
+            pendingEmail: true,
+            totpEnabledAt: true,
+            deletionScheduledAt: true,
             createdAt: true,
             updatedAt: true,
         }
@@ -27,6 +33,10 @@ const findUserByEmail = async (email) => {
             id: true,
             email: true,
             name: true,
+            emailVerifiedAt: true,
+            pendingEmail: true,
+            totpEnabledAt: true,
+            deletionScheduledAt: true,
             createdAt: true,
             updatedAt: true,
         }
@@ -43,6 +53,10 @@ const findUserById = async (id) => {
             id: true,
             email: true,
             name: true,
+            emailVerifiedAt: true,
+            pendingEmail: true,
+            totpEnabledAt: true,
+            deletionScheduledAt: true,
             createdAt: true,
             updatedAt: true,
         }
@@ -60,7 +74,13 @@ const findUserByEmailWithPassword = async (email) => {
             id: true,
             email: true,
             name: true,
+            emailVerifiedAt: true,
+            pendingEmail: true,
+            totpEnabledAt: true,
+            deletionScheduledAt: true,
             password: true,
+            failedLoginAttempts: true,
+            lockedUntil: true,
             createdAt: true,
             updatedAt: true,
         }
@@ -69,12 +89,17 @@ const findUserByEmailWithPassword = async (email) => {
 };
 
 // Refresh Tokens
-const createRefreshToken = async ({ tokenHash, userId, expiresAt }) => {
+// createdAt is only passed on rotation, to keep the session's start time
+const createRefreshToken = async ({ tokenHash, sessionId, userId, expiresAt, userAgent, ipAddress, createdAt }) => {
     return prisma.refreshToken.create({
         data: {
             tokenHash,
+            sessionId,
             userId,
             expiresAt,
+            userAgent,
+            ipAddress,
+            ...(createdAt ? { createdAt } : {}),
         },
     });
 };
@@ -96,22 +121,494 @@ const revokeRefreshToken = async (tokenHash, replacedBy = null) => {
     });
 };
 
+// Revoked rows are kept until they expire: a rotated token presented again must still be recognised
 const cleanupExpiredRefreshTokens = async () => {
     await prisma.refreshToken.deleteMany({
         where: {
-            OR: [
-                { expiresAt: { lt: new Date() } },
-                { revoked: true },
-            ],
+            expiresAt: { lt: new Date() },
         },
     });
 };
 
-const revokeAllRefreshTokensForUser = async (userId) => {
-    await prisma.refreshToken.updateMany({
-        where: { userId, revoked: false },
+// Marks the token as rotated (replacedBy set in the same write, so a replay is recognised at once);
+// returns false when another request got there first
+const claimRefreshToken = async (tokenHash, replacedBy) => {
+    const { count } = await prisma.refreshToken.updateMany({
+        where: { tokenHash, revoked: false },
+        data: { revoked: true, replacedBy },
+    });
+    return count === 1;
+};
+
+// exceptSessionId keeps one session (the caller's) signed in; returns the number revoked
+const revokeAllRefreshTokensForUser = async (userId, { exceptSessionId } = {}) => {
+    const { count } = await prisma.refreshToken.updateMany({
+        where: {
+            userId,
+            revoked: false,
+            ...(exceptSessionId ? { sessionId: { not: exceptSessionId } } : {}),
+        },
+        data: { revoked: true },
+    });
+    return count;
+};
+
+// Sessions (active refresh tokens)
+const activeSessionWhere = (userId) => ({
+    userId,
+    revoked: false,
+    expiresAt: { gt: new Date() },
+});
+
+const listActiveSessions = async (userId) => {
+    return prisma.refreshToken.findMany({
+        where: activeSessionWhere(userId),
+        orderBy: [{ lastUsedAt: 'desc' }, { id: 'desc' }],
+        select: {
+            sessionId: true,
+            userAgent: true,
+            ipAddress: true,
+            createdAt: true,
+            lastUsedAt: true,
+        },
+    });
+};
+
+const isSessionActive = async (userId, sessionId) => {
+    const count = await prisma.refreshToken.count({
+        where: { ...activeSessionWhere(userId), sessionId },
+    });
+    return count > 0;
+};
+
+const revokeSession = async (userId, sessionId) => {
+    const { count } = await prisma.refreshToken.updateMany({
+        where: { userId, sessionId, revoked: false },
         data: { revoked: true },
     });
+    return count;
+};
+
+// Internal use only: Find user by id including password hash (for password confirmation)
+const findUserByIdWithPassword = async (id) => {
+    const user = await prisma.user.findUnique({
+        where: {
+            id: id,
+        },
+        select: {
+            id: true,
+            email: true,
+            name: true,
+            password: true,
+            pendingEmail: true,
+        }
+    });
+    return user;
+};
+
+const updateProfile = async (id, data) => {
+    return prisma.user.update({
+        where: { id },
+        data,
+        select: {
+            id: true,
+            email: true,
+            name: true,
+            emailVerifiedAt: true,
+            pendingEmail: true,
+            totpEnabledAt: true,
+            deletionScheduledAt: true,
+            createdAt: true,
+            updatedAt: true,
+        },
+    });
+};
+
+// Swaps in the pending address once its link is opened; false when it is no longer pending
+// or another account took the address in the meantime
+const applyPendingEmail = async (id, email) => {
+    try {
+        const { count } = await prisma.user.updateMany({
+            where: { id, pendingEmail: email },
+            data: { email, pendingEmail: null, emailVerifiedAt: new Date() },
+        });
+        return count === 1;
+    } catch (error) {
+        if (error.code === 'P2002') return false;
+        throw error;
+    }
+};
+
+// Returns false when the address was already verified
+const markEmailVerified = async (id) => {
+    const { count } = await prisma.user.updateMany({
+        where: { id, emailVerifiedAt: null },
+        data: { emailVerifiedAt: new Date() },
+    });
+    return count === 1;
+};
+
+// Login throttling (failed sign-ins per account)
+// The counter is incremented in the database so parallel guesses are all counted
+const recordFailedLogin = async (id) => {
+    return prisma.user.update({
+        where: { id },
+        data: { failedLoginAttempts: { increment: 1 } },
+        select: { failedLoginAttempts: true },
+    });
+};
+
+const setLockedUntil = async (id, lockedUntil) => {
+    await prisma.user.update({
+        where: { id },
+        data: { lockedUntil },
+    });
+};
+
+const resetLoginFailures = async (id) => {
+    await prisma.user.update({
+        where: { id },
+        data: { failedLoginAttempts: 0, lockedUntil: null },
+    });
+};
+
+const findLoginState = async (id) => {
+    return prisma.user.findUnique({
+        where: { id },
+        select: {
+            id: true,
+            email: true,
+            name: true,
+            failedLoginAttempts: true,
+            lockedUntil: true,
+        },
+    });
+};
+
+// Account deletion
+const scheduleDeletion = async (id, deletionScheduledAt) => {
+    return prisma.user.update({
+        where: { id },
+        data: { deletionScheduledAt },
+        select: { id: true, deletionScheduledAt: true },
+    });
+};
+
+// Returns false when no deletion was scheduled
+const cancelDeletion = async (id) => {
+    const { count } = await prisma.user.updateMany({
+        where: { id, deletionScheduledAt: { not: null } },
+        data: { deletionScheduledAt: null },
+    });
+    return count === 1;
+};
+
+// Storage keys are returned too: stored file contents are not removed by the cascade
+const findUsersDueForDeletion = async (now = new Date()) => {
+    return prisma.user.findMany({
+        where: { deletionScheduledAt: { lte: now } },
+        select: {
+            id: true,
+            files: { select: { storageKey: true } },
+        },
+    });
+};
+
+// Everything else goes with the user through onDelete: Cascade; returns false when the
+// deletion was cancelled in the meantime
+const deleteScheduledUser = async (id, now = new Date()) => {
+    const { count } = await prisma.user.deleteMany({
+        where: { id, deletionScheduledAt: { lte: now } },
+    });
+    return count === 1;
+};
+
+// Everything held about the user, for the personal data export
+const findUserDataForExport = async (id) => {
+    return prisma.user.findUnique({
+        where: { id },
+        select: {
+            id: true,
+            email: true,
+            name: true,
+            emailVerifiedAt: true,
+            pendingEmail: true,
+            totpEnabledAt: true,
+            weeklyApplicationGoal: true,
+            deletionScheduledAt: true,
+            createdAt: true,
+            updatedAt: true,
+            applications: {
+                orderBy: [{ appliedAt: 'asc' }, { id: 'asc' }],
+                select: {
+                    id: true,
+                    position: true,
+                    company: true,
+                    url: true,
+                    status: true,
+                    source: true,
+                    appliedAt: true,
+                    tags: { select: { name: true }, orderBy: { name: 'asc' } },
+                    statusChanges: {
+                        orderBy: [{ changedAt: 'asc' }, { id: 'asc' }],
+                        select: { fromStatus: true, toStatus: true, note: true, changedAt: true },
+                    },
+                    notes: {
+                        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+                        select: { body: true, createdAt: true, updatedAt: true },
+                    },
+                    files: { select: { fileId: true, linkedAt: true } },
+                },
+            },
+            tags: {
+                orderBy: { name: 'asc' },
+                select: { id: true, name: true, color: true, createdAt: true },
+            },
+            files: {
+                orderBy: [{ uploadedAt: 'asc' }, { id: 'asc' }],
+                select: {
+                    id: true,
+                    type: true,
+                    filename: true,
+                    storageKey: true,
+                    mimeType: true,
+                    size: true,
+                    uploadedAt: true,
+                    documentId: true,
+                    version: true,
+                },
+            },
+            // Latest row of each session (rotation adds a row per refresh)
+            refreshTokens: {
+                distinct: ['sessionId'],
+                orderBy: [{ lastUsedAt: 'desc' }, { id: 'desc' }],
+                select: {
+                    sessionId: true,
+                    userAgent: true,
+                    ipAddress: true,
+                    createdAt: true,
+                    lastUsedAt: true,
+                    expiresAt: true,
+                    revoked: true,
+                },
+            },
+            identities: {
+                orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+                select: { provider: true, email: true, lastUsedAt: true, createdAt: true },
+            },
+        },
+    });
+};
+
+// Personal access tokens
+const accessTokenSelect = {
+    id: true,
+    name: true,
+    prefix: true,
+    scopes: true,
+    expiresAt: true,
+    lastUsedAt: true,
+    createdAt: true,
+};
+
+const createAccessToken = async ({ name, tokenHash, prefix, scopes, userId, expiresAt }) => {
+    return prisma.personalAccessToken.create({
+        data: {
+            name,
+            tokenHash,
+            prefix,
+            scopes,
+            userId,
+            expiresAt,
+        },
+        select: accessTokenSelect,
+    });
+};
+
+const listAccessTokens = async (userId) => {
+    return prisma.personalAccessToken.findMany({
+        where: { userId },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        select: accessTokenSelect,
+    });
+};
+
+// Returns false when the token does not exist or belongs to someone else
+const deleteAccessToken = async (id, userId) => {
+    const { count } = await prisma.personalAccessToken.deleteMany({
+        where: { id, userId },
+    });
+    return count === 1;
+};
+
+const deleteAccessTokensForUser = async (userId) => {
+    const { count } = await prisma.personalAccessToken.deleteMany({
+        where: { userId },
+    });
+    return count;
+};
+
+// Sign-in identities (OIDC / OAuth2 providers)
+const identitySelect = {
+    id: true,
+    provider: true,
+    email: true,
+    lastUsedAt: true,
+    createdAt: true,
+};
+
+const findIdentity = async (provider, subject) => {
+    return prisma.userIdentity.findUnique({
+        where: { provider_subject: { provider, subject } },
+        select: { id: true, userId: true },
+    });
+};
+
+const createIdentity = async ({ provider, subject, email, userId }) => {
+    return prisma.userIdentity.create({
+        data: {
+            provider,
+            subject,
+            email,
+            userId,
+            lastUsedAt: new Date(),
+        },
+        select: identitySelect,
+    });
+};
+
+const touchIdentity = async (id) => {
+    return prisma.userIdentity.update({
+        where: { id },
+        data: { lastUsedAt: new Date() },
+        select: { id: true },
+    });
+};
+
+const listIdentities = async (userId) => {
+    return prisma.userIdentity.findMany({
+        where: { userId },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        select: identitySelect,
+    });
+};
+
+// Returns false when the identity does not exist or belongs to someone else
+const deleteIdentity = async (id, userId) => {
+    const { count } = await prisma.userIdentity.deleteMany({
+        where: { id, userId },
+    });
+    return count === 1;
+};
+
+// Two-factor authentication
+const findTwoFactorState = async (id) => {
+    return prisma.user.findUnique({
+        where: { id },
+        select: {
+            id: true,
+            email: true,
+            name: true,
+            password: true,
+            totpSecret: true,
+            totpEnabledAt: true,
+            failedLoginAttempts: true,
+            lockedUntil: true,
+        },
+    });
+};
+
+// Replaces any pending (unconfirmed) secret; an enabled secret is never overwritten
+const savePendingTotpSecret = async (id, totpSecret) => {
+    const { count } = await prisma.user.updateMany({
+        where: { id, totpEnabledAt: null },
+        data: { totpSecret, totpLastUsedStep: null },
+    });
+    return count === 1;
+};
+
+const enableTotp = async (id, step, codeHashes) => {
+    return prisma.$transaction([
+        prisma.user.update({
+            where: { id },
+            data: { totpEnabledAt: new Date(), totpLastUsedStep: step },
+        }),
+        prisma.recoveryCode.deleteMany({ where: { userId: id } }),
+        prisma.recoveryCode.createMany({
+            data: codeHashes.map((codeHash) => ({ userId: id, codeHash })),
+        }),
+    ]);
+};
+
+// Returns false when the step (or a later one) was already used: a code works only once
+const claimTotpStep = async (id, step) => {
+    const { count } = await prisma.user.updateMany({
+        where: {
+            id,
+            OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }],
+        },
+        data: { totpLastUsedStep: step },
+    });
+    return count === 1;
+};
+
+const useRecoveryCode = async (userId, codeHash) => {
+    const { count } = await prisma.recoveryCode.updateMany({
+        where: { userId, codeHash, usedAt: null },
+        data: { usedAt: new Date() },
+    });
+    return count === 1;
+};
+
+const disableTotp = async (id) => {
+    return prisma.$transaction([
+        prisma.user.update({
+            where: { id },
+            data: { totpSecret: null, totpEnabledAt: null, totpLastUsedStep: null },
+        }),
+        prisma.recoveryCode.deleteMany({ where: { userId: id } }),
+    ]);
+};
+
+const updatePassword = async (id, passwordHash) => {
+    await prisma.user.update({
+        where: { id },
+        data: { password: passwordHash },
+    });
+};
+
+// One-time tokens (emailed links)
+const createOneTimeToken = async ({ tokenHash, purpose, userId, expiresAt }) => {
+    return prisma.oneTimeToken.create({
+        data: {
+            tokenHash,
+            purpose,
+            userId,
+            expiresAt,
+        },
+    });
+};
+
+const findOneTimeToken = async (tokenHash) => {
+    return prisma.oneTimeToken.findUnique({
+        where: { tokenHash },
+    });
+};
+
+// Returns false when another request already used the token
+const markOneTimeTokenUsed = async (id) => {
+    const { count } = await prisma.oneTimeToken.updateMany({
+        where: { id, usedAt: null },
+        data: { usedAt: new Date() },
+    });
+    return count === 1;
+};
+
+// A new link replaces the previous ones; used and expired tokens are cleaned up too
+const deleteOneTimeTokensForUser = async (userId, purpose) => {
+    await prisma.oneTimeToken.deleteMany({
+        where: { userId, purpose },
+    });
 };
 
 module.exports = {
@@ -119,9 +616,46 @@ module.exports = {
     findUserByEmail,
     findUserById,
     findUserByEmailWithPassword,
+    findUserByIdWithPassword,
+    updateProfile,
+    applyPendingEmail,
     createRefreshToken,
     findRefreshToken,
     revokeRefreshToken,
+    claimRefreshToken,
     revokeAllRefreshTokensForUser,
     cleanupExpiredRefreshTokens,
+    listActiveSessions,
+    isSessionActive,
+    revokeSession,
+    markEmailVerified,
+    recordFailedLogin,
+    setLockedUntil,
+    resetLoginFailures,
+    findLoginState,
+    scheduleDeletion,
+    cancelDeletion,
+    findUsersDueForDeletion,
+    deleteScheduledUser,
+    findUserDataForExport,
+    createAccessToken,
+    listAccessTokens,
+    deleteAccessToken,
+    deleteAccessTokensForUser,
+    findIdentity,
+    createIdentity,
+    touchIdentity,
+    listIdentities,
+    deleteIdentity,
+    findTwoFactorState,
+    savePendingTotpSecret,
+    enableTotp,
+    claimTotpStep,
+    useRecoveryCode,
+    disableTotp,
+    updatePassword,
+    createOneTimeToken,
+    findOneTimeToken,
+    markOneTimeTokenUsed,
+    deleteOneTimeTokensForUser,
 };
\ No newline at end of file
@@ -0,0 +1,256 @@
+// OpenID Connect / OAuth2 sign-in: provider registry, PKCE authorization code flow and ID token checks
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+
+const providerError = (message, status = 502) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const requestJson = async (url, options = {}) => {
+    let response;
+    try {
+        response = await fetch(url, {
+            ...options,
+            headers: { Accept: 'application/json', 'User-Agent': 'JTracker', ...options.headers },
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+    } catch (error) {
+        throw providerError(`Identity provider request failed: ${error.message}`);
+    }
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body) {
+        const reason = body && (body.error_description || body.error);
+        throw providerError(`Identity provider request failed${reason ? `: ${reason}` : ` with status ${response.status}`}`);
+    }
+    return body;
+};
+
+// GitHub speaks plain OAuth2 (no ID token): the profile and verified email come from its REST API
+const fetchGithubProfile = async (accessToken) => {
+    const headers = { Authorization: `Bearer ${accessToken}`, Accept: 'application/vnd.github+json' };
+    const [user, emails] = await Promise.all([
+        requestJson('https://api.github.com/user', { headers }),
+        requestJson('https://api.github.com/user/emails', { headers }),
+    ]);
+    const primary = emails.find((entry) => entry.primary && entry.verified);
+    return {
+        subject: String(user.id),
+        email: primary ? primary.email : null,
+        emailVerified: Boolean(primary),
+        name: user.name || user.login || null,
+    };
+};
+
+// Endpoints and quirks of the providers that only need a client id and secret
+const PRESETS = {
+    google: {
+        issuer: 'https://accounts.google.com',
+    },
+    // Any tenant; set OIDC_MICROSOFT_ISSUER to restrict sign-in to one directory.
+    // Microsoft does not send email_verified: the app registration must add the xms_edov optional claim.
+    microsoft: {
+        issuer: 'https://login.microsoftonline.com/common/v2.0',
+        emailVerified: (claims) => claims.xms_edov === true || claims.xms_edov === '1',
+    },
+    github: {
+        authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+        tokenEndpoint: 'https://github.com/login/oauth/access_token',
+        scopes: 'read:user user:email',
+        fetchProfile: fetchGithubProfile,
+    },
+};
+
+/**
+ * Names of the providers enabled through OIDC_PROVIDERS
+ * @returns {string[]}
+ */
+const listProviders = () => Object.keys(config.oidcProviders);
+
+/**
+ * Configured provider merged with its preset
+ * @param {string} name - Provider name as listed in OIDC_PROVIDERS
+ * @returns {object} - { name, clientId, clientSecret, issuer, scopes, ...endpoints }
+ */
+const getProvider = (name) => {
+    const configured = typeof name === 'string' && Object.hasOwn(config.oidcProviders, name)
+        ? config.oidcProviders[name]
+        : null;
+    if (!configured) throw providerError('Unknown sign-in provider', 404);
+
+    const preset = PRESETS[name] || {};
+    return {
+        ...preset,
+        name,
+        clientId: configured.clientId,
+        clientSecret: configured.clientSecret,
+        issuer: configured.issuer || preset.issuer,
+        scopes: configured.scopes || preset.scopes || 'openid email profile',
+    };
+};
+
+// Discovery documents and key sets are cached per URL for the life of the process
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const discover = async (issuer) => {
+    if (!discoveryCache.has(issuer)) {
+        const url = `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+        discoveryCache.set(issuer, requestJson(url).catch((error) => {
+            discoveryCache.delete(issuer);
+            throw error;
+        }));
+    }
+    return discoveryCache.get(issuer);
+};
+
+// Explicit endpoints (GitHub) win over the discovery document
+const resolveEndpoints = async (provider) => {
+    const metadata = provider.issuer ? await discover(provider.issuer) : {};
+    return {
+        issuer: metadata.issuer,
+        authorizationEndpoint: provider.authorizationEndpoint || metadata.authorization_endpoint,
+        tokenEndpoint: provider.tokenEndpoint || metadata.token_endpoint,
+        jwksUri: metadata.jwks_uri,
+    };
+};
+
+// PKCE (RFC 7636) with the S256 method
+const createPkcePair = () => {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Start a sign-in: the URL to send the browser to and the values to keep until the callback
+ * @param {string} providerName - Provider name
+ * @returns {Promise<{authorizationUrl: string, flow: object}>} - flow: { provider, state, nonce, codeVerifier }
+ */
+const createAuthorizationRequest = async (providerName) => {
+    const provider = getProvider(providerName);
+    const { authorizationEndpoint } = await resolveEndpoints(provider);
+    if (!authorizationEndpoint) throw providerError('Identity provider has no authorization endpoint');
+
+    const state = crypto.randomBytes(24).toString('base64url');
+    const nonce = crypto.randomBytes(24).toString('base64url');
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    const url = new URL(authorizationEndpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: config.oidcRedirectUri,
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+    }).toString();
+
+    return {
+        authorizationUrl: url.toString(),
+        flow: { provider: provider.name, state, nonce, codeVerifier },
+    };
+};
+
+const findSigningKey = async (jwksUri, kid) => {
+    const load = async (refresh) => {
+        if (refresh || !jwksCache.has(jwksUri)) {
+            jwksCache.set(jwksUri, await requestJson(jwksUri));
+        }
+        const { keys = [] } = jwksCache.get(jwksUri);
+        return keys.find((key) => key.kid === kid && (!key.use || key.use === 'sig'));
+    };
+    // An unknown kid usually means the provider rotated its keys since they were cached
+    const jwk = (await load(false)) || (await load(true));
+    if (!jwk) throw providerError('ID token is signed with an unknown key', 401);
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {object} provider - Provider from getProvider
+ * @param {object} endpoints - Endpoints from resolveEndpoints
+ * @param {string} idToken - Compact JWT returned by the token endpoint
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<object>} - Verified claims
+ */
+const verifyIdToken = async (provider, endpoints, idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header.kid || !endpoints.jwksUri) {
+        throw providerError('Invalid ID token', 401);
+    }
+    const key = await findSigningKey(endpoints.jwksUri, decoded.header.kid);
+
+    // Multi-tenant issuers (Microsoft "common") publish a {tenantid} template
+    const issuer = endpoints.issuer.replace('{tenantid}', String(decoded.payload.tid));
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer,
+            audience: provider.clientId,
+        });
+    } catch (error) {
+        throw providerError(`Invalid ID token: ${error.message}`, 401);
+    }
+    const nonceMatches = typeof claims.nonce === 'string'
+        && claims.nonce.length === nonce.length
+        && crypto.timingSafeEqual(Buffer.from(claims.nonce), Buffer.from(nonce));
+    if (!nonceMatches) throw providerError('Invalid ID token: nonce mismatch', 401);
+    return claims;
+};
+
+const profileFromClaims = (provider, claims) => ({
+    subject: String(claims.sub),
+    email: typeof claims.email === 'string' ? claims.email : null,
+    emailVerified: provider.emailVerified
+        ? provider.emailVerified(claims)
+        : claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || null,
+});
+
+/**
+ * Finish a sign-in: exchange the code (with the PKCE verifier) and read who signed in
+ * @param {object} flow - { provider, nonce, codeVerifier } kept since createAuthorizationRequest
+ * @param {string} code - Authorization code from the redirect
+ * @returns {Promise<{subject: string, email: string|null, emailVerified: boolean, name: string|null}>}
+ */
+const exchangeCode = async (flow, code) => {
+    const provider = getProvider(flow.provider);
+    const endpoints = await resolveEndpoints(provider);
+
+    const tokens = await requestJson(endpoints.tokenEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: config.oidcRedirectUri,
+            client_id: provider.clientId,
+            ...(provider.clientSecret ? { client_secret: provider.clientSecret } : {}),
+            code_verifier: flow.codeVerifier,
+        }).toString(),
+    });
+
+    if (provider.fetchProfile) {
+        return provider.fetchProfile(tokens.access_token);
+    }
+    if (!tokens.id_token) throw providerError('Identity provider did not return an ID token');
+    const claims = await verifyIdToken(provider, endpoints, tokens.id_token, flow.nonce);
+    return profileFromClaims(provider, claims);
+};
+
+module.exports = {
+    listProviders,
+    getProvider,
+    createPkcePair,
+    createAuthorizationRequest,
+    exchangeCode,
+};
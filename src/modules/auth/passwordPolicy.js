@@ -0,0 +1,82 @@
+// Password policy shared by registration, password reset and password change
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+// bcrypt ignores everything after the first 72 bytes, so longer passwords would be silently truncated
+const BCRYPT_MAX_BYTES = 72;
+const BUNDLED_LIST = path.join(__dirname, 'data', 'common-passwords.txt');
+
+const CHARACTER_CLASSES = [
+    { option: 'requireUppercase', pattern: /\p{Lu}/u, message: 'Password must contain at least one capital letter' },
+    { option: 'requireLowercase', pattern: /\p{Ll}/u, message: 'Password must contain at least one lowercase letter' },
+    { option: 'requireDigit', pattern: /\p{N}/u, message: 'Password must contain at least one digit' },
+    // Anything that is not a letter, digit or whitespace counts as a symbol
+    { option: 'requireSymbol', pattern: /[^\p{L}\p{N}\s]/u, message: 'Password must contain at least one symbol' },
+];
+
+const readList = (file) =>
+    fs
+        .readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith('#'));
+
+let blocklist = null;
+
+// Loaded on first use: the bundled list plus PASSWORD_BLOCKLIST_FILE when configured
+const getBlocklist = () => {
+    if (!blocklist) {
+        const files = [BUNDLED_LIST, ...(config.passwordBlocklistFile ? [config.passwordBlocklistFile] : [])];
+        blocklist = new Set(files.flatMap(readList).map((entry) => entry.toLowerCase()));
+    }
+    return blocklist;
+};
+
+const isCommonPassword = (password) => getBlocklist().has(password.toLowerCase());
+
+const defaultPolicy = () => ({
+    minLength: config.passwordMinLength,
+    maxBytes: Math.min(config.passwordMaxBytes, BCRYPT_MAX_BYTES),
+    requireUppercase: config.passwordRequireUppercase,
+    requireLowercase: config.passwordRequireLowercase,
+    requireDigit: config.passwordRequireDigit,
+    requireSymbol: config.passwordRequireSymbol,
+    passphraseLength: config.passwordPassphraseLength,
+});
+
+/**
+ * Find the first rule a password breaks
+ * @param {string} password - Candidate password
+ * @param {object} [policy] - Overrides for the configured policy
+ * @returns {string|null} - Error message, or null when the password is acceptable
+ */
+const passwordPolicyError = (password, policy = {}) => {
+    const rules = { ...defaultPolicy(), ...policy };
+
+    // Length is counted in characters for the minimum and in UTF-8 bytes for the bcrypt cap
+    if ([...password].length < rules.minLength) {
+        return `Password must be at least ${rules.minLength} characters long`;
+    }
+    if (Buffer.byteLength(password, 'utf8') > rules.maxBytes) {
+        return `Password must be at most ${rules.maxBytes} bytes long`;
+    }
+
+    // Long passphrases are strong enough on length alone
+    const isPassphrase = rules.passphraseLength > 0 && [...password].length >= rules.passphraseLength;
+    if (!isPassphrase) {
+        const missing = CHARACTER_CLASSES.find(({ option, pattern }) => rules[option] && !pattern.test(password));
+        if (missing) return missing.message;
+    }
+
+    if (isCommonPassword(password)) {
+        return 'Password must be different from commonly used or breached passwords';
+    }
+    return null;
+};
+
+module.exports = {
+    BCRYPT_MAX_BYTES,
+    passwordPolicyError,
+    isCommonPassword,
+};
@@ -1,7 +1,42 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const config = require('../../config');
-const { register, login, getCurrentUser, logout, refresh } = require('./controller');
+const authMiddleware = require('../../utils/authMiddleware');
+const {
+  register,
+  login,
+  getCurrentUser,
+  logout,
+  refresh,
+  verifyEmail,
+  resendVerificationEmail,
+  updateProfile,
+  changePassword,
+  listAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  exportPersonalData,
+  deleteAccount,
+  restoreAccount,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  loginWithTwoFactor,
+  listOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  listIdentities,
+  unlinkIdentity,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
+  requestUnlockEmail,
+  requestMagicLink,
+  loginWithMagicLink,
+} = require('./controller');
 
 const router = express.Router();
 
@@ -16,6 +51,7 @@ const createLimiter = (options) => {
 };
 
 // Rate Limiting - Login endpoint (stricter)
+// Per IP and in memory; failed attempts per account are throttled in the database by service.login
 const loginLimiter = createLimiter({
   windowMs: config.rateLimitWindowMs,
   max: config.rateLimitMaxLogin,
@@ -52,11 +88,83 @@ const refreshLimiter = createLimiter({
   legacyHeaders: false,
 });
 
+// Rate Limiting - Password reset endpoints (each request may send an email)
+const passwordResetLimiter = createLimiter({
+  windowMs: config.rateLimitWindowMs,
+  max: config.rateLimitMaxPasswordReset,
+  message: 'Too many password reset requests, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate Limiting - Email verification endpoints
+const emailVerificationLimiter = createLimiter({
+  windowMs: config.rateLimitWindowMs,
+  max: config.rateLimitMaxEmailVerification,
+  message: 'Too many verification requests, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate Limiting - 2FA management (codes are guessable in bulk without a limit)
+const twoFactorLimiter = createLimiter({
+  windowMs: config.rateLimitWindowMs,
+  max: config.rateLimitMaxLogin,
+  message: 'Too many two-factor attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+});
+
+// Rate Limiting - Personal data export (each request archives every stored file)
+const dataExportLimiter = createLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: config.rateLimitMaxDataExport,
+  message: 'Too many export requests, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 //HTTP Routes
 router.post('/register', registerLimiter, register);
 router.post('/login', loginLimiter, login);
+router.post('/login/2fa', loginLimiter, loginWithTwoFactor);
+// Sign-in with OIDC / OAuth2 providers (see src/modules/auth/oidc.js)
+router.get('/oidc/providers', listOidcProviders);
+router.post('/oidc/:provider/start', loginLimiter, startOidcLogin);
+router.post('/oidc/callback', loginLimiter, oidcCallback);
+// Passwordless sign-in: the request emails a single-use link, verify exchanges it for a session
+router.post('/magic-link', passwordResetLimiter, requestMagicLink);
+router.post('/magic-link/verify', loginLimiter, loginWithMagicLink);
 router.get('/me', getCurrentUser);
+router.patch('/me', passwordResetLimiter, authMiddleware, updateProfile);
+// Deletion is scheduled (grace period) and can be cancelled with /me/restore until then
+router.delete('/me', passwordResetLimiter, authMiddleware, deleteAccount);
+router.post('/me/restore', authMiddleware, restoreAccount);
+router.post('/me/export', dataExportLimiter, authMiddleware, exportPersonalData);
 router.post('/logout', logoutLimiter, logout);
 router.post('/refresh', refreshLimiter, refresh);
+router.get('/sessions', authMiddleware, listSessions);
+// Sign out everywhere else
+router.delete('/sessions', logoutLimiter, authMiddleware, revokeOtherSessions);
+router.delete('/sessions/:id', logoutLimiter, authMiddleware, revokeSession);
+// Personal access tokens for scripts and integrations
+router.get('/tokens', authMiddleware, listAccessTokens);
+router.post('/tokens', authMiddleware, createAccessToken);
+router.delete('/tokens/:id', logoutLimiter, authMiddleware, revokeAccessToken);
+// Provider identities linked to the account
+router.get('/identities', authMiddleware, listIdentities);
+router.delete('/identities/:id', logoutLimiter, authMiddleware, unlinkIdentity);
+router.post('/verify-email', emailVerificationLimiter, verifyEmail);
+router.post('/verify-email/resend', emailVerificationLimiter, authMiddleware, resendVerificationEmail);
+router.post('/2fa/setup', authMiddleware, setupTwoFactor);
+router.post('/2fa/confirm', twoFactorLimiter, authMiddleware, confirmTwoFactor);
+router.post('/2fa/disable', twoFactorLimiter, authMiddleware, disableTwoFactor);
+router.post('/password/forgot', passwordResetLimiter, forgotPassword);
+router.post('/password/reset', passwordResetLimiter, resetPassword);
+router.post('/password/change', passwordResetLimiter, authMiddleware, changePassword);
+// Accounts locked after repeated failed logins (see service.login)
+router.post('/unlock', passwordResetLimiter, unlockAccount);
+router.post('/unlock/request', passwordResetLimiter, requestUnlockEmail);
 
 module.exports = router;
\ No newline at end of file
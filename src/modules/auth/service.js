@@ -1,11 +1,50 @@
+const crypto = require('crypto');
 const model = require('./model');
 const utils = require('./utils');
 const { z } = require('zod');
-const { registerSchema, loginSchema, tokenSchema, parseWithErrorHandling } = require('./validations');
+const {
+    registerSchema,
+    loginSchema,
+    tokenSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    unlockAccountSchema,
+    magicLinkSchema,
+    verifyEmailSchema,
+    updateProfileSchema,
+    changePasswordSchema,
+    sessionIdSchema,
+    confirmTwoFactorSchema,
+    twoFactorLoginSchema,
+    disableTwoFactorSchema,
+    deleteAccountSchema,
+    createAccessTokenSchema,
+    accessTokenIdSchema,
+    oidcCallbackSchema,
+    identityIdSchema,
+    parseWithErrorHandling,
+} = require('./validations');
 const tokenBlacklist = require('./tokenBlacklist');
+const totp = require('./totp');
+const oidc = require('./oidc');
+const emails = require('./emails');
 const config = require('../../config');
+const { getMailer } = require('../../utils/mailer');
+const { getStorage } = require('../../utils/storage');
+const {
+    logSecurityEvent,
+    logAccountLocked,
+    logAccountUnlocked,
+    logEmailDeliveryFailure,
+} = require('../../utils/securityLogger');
 
-const register = async (data) => {
+const withStatus = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const register = async (data, device = {}) => {
     // Ensure data is an object and has all required fields (even if undefined)
     const dataToValidate = {
         email: data?.email,
@@ -36,7 +75,10 @@ const register = async (data) => {
         name: validated.name, // Already trimmed by schema
     });
 
-    const { accessToken, refreshToken } = await createSessionTokens(user.id, user.email);
+    // Registration succeeds even if the email cannot be sent; the user can ask for a new link
+    await sendVerificationEmail(user);
+
+    const { accessToken, refreshToken } = await createSessionTokens(user.id, user.email, { device });
 
     return {
         user,
@@ -45,7 +87,74 @@ const register = async (data) => {
     };
 };
 
-const login = async (data) => {
+// Login throttling: a locked (or backing-off) account is refused whatever the password, so guesses
+// made in the meantime neither count nor get an answer
+const loginThrottledError = (user) => {
+    const locked = user.failedLoginAttempts >= config.loginLockoutThreshold;
+    const error = withStatus(
+        locked
+            ? 'Account temporarily locked after too many failed login attempts'
+            : 'Too many failed login attempts, please wait before trying again',
+        429
+    );
+    error.retryAfter = Math.max(1, Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000));
+    return error;
+};
+
+const sendUnlockEmail = async (user) => {
+    const token = utils.generateOneTimeToken();
+
+    // Only the latest link works
+    await model.deleteOneTimeTokensForUser(user.id, 'ACCOUNT_UNLOCK');
+    await model.createOneTimeToken({
+        tokenHash: utils.hashToken(token),
+        purpose: 'ACCOUNT_UNLOCK',
+        userId: user.id,
+        expiresAt: new Date(Date.now() + config.accountUnlockTokenMinutes * 60 * 1000),
+    });
+
+    const message = emails.accountLockedEmail({
+        name: user.name,
+        link: `${config.appUrl}/unlock-account?token=${encodeURIComponent(token)}`,
+        minutes: config.loginLockoutMinutes,
+    });
+    try {
+        await getMailer().send({ to: user.email, ...message });
+    } catch (error) {
+        logEmailDeliveryFailure(user.id, 'account_unlock', error);
+    }
+};
+
+const registerFailedLogin = async (user, device) => {
+    const { failedLoginAttempts } = await model.recordFailedLogin(user.id);
+    const { lockedUntil, locked } = utils.loginThrottle(failedLoginAttempts);
+    if (!lockedUntil) return;
+
+    await model.setLockedUntil(user.id, lockedUntil);
+    if (locked) {
+        logAccountLocked(user.id, device.ipAddress, { failedAttempts: failedLoginAttempts, lockedUntil });
+        await sendUnlockEmail(user);
+    }
+};
+
+// user: { id, failedLoginAttempts } of the account signing in
+const twoFactorChallenge = (user) => ({
+    twoFactorRequired: true,
+    challengeToken: utils.generateTwoFactorChallenge(user.id, user.failedLoginAttempts),
+});
+
+// user: { id, failedLoginAttempts, lockedUntil } as it was before the reset
+const clearLoginFailures = async (user, reason, ipAddress = null) => {
+    if (!user.failedLoginAttempts && !user.lockedUntil) return;
+
+    await model.resetLoginFailures(user.id);
+    await model.deleteOneTimeTokensForUser(user.id, 'ACCOUNT_UNLOCK');
+    if (user.failedLoginAttempts >= config.loginLockoutThreshold) {
+        logAccountUnlocked(user.id, ipAddress, reason);
+    }
+};
+
+const login = async (data, device = {}) => {
     // Ensure data is an object and has all required fields (even if undefined)
     const dataToValidate = {
         email: data?.email,
@@ -62,24 +171,44 @@ const login = async (data) => {
 
     // Find user with password hash
     const user = await model.findUserByEmailWithPassword(validated.email);
-    
+
     // Always perform password comparison to prevent timing attacks
     // Use a dummy hash if user doesn't exist to normalize timing
     const dummyHash = '$2b$10$dummyhashfordummycomparisontimingattackprevention';
     const hashToCompare = user ? user.password : dummyHash;
     
-    // Compare password (always executed, even if user doesn't exist)
+    // Compare password (always executed, even if user doesn't exist or is throttled)
     const isPasswordValid = await utils.comparePassword(validated.password, hashToCompare);
+
+    // The result is ignored while the account is throttled. The 429 does tell a caller that a
+    // throttled email has an account; accepted so its owner learns why sign-in is refused
+    // (see docs/back-front-integration.md)
+    if (user && user.lockedUntil && user.lockedUntil > new Date()) {
+        throw loginThrottledError(user);
+    }
     
     // Check both user existence and password validity
     if (!user || !isPasswordValid) {
+        if (user) {
+            await registerFailedLogin(user, device);
+        }
         throw new Error('Invalid credentials');
     }
 
-    const { accessToken, refreshToken } = await createSessionTokens(user.id, user.email);
+    // With 2FA the password alone only earns a challenge, exchanged at /auth/login/2fa. Failures
+    // are cleared there once the code is right too, so signing in again with the password cannot
+    // reset the count of bad codes
+    if (user.totpEnabledAt) {
+        return twoFactorChallenge(user);
+    }
 
-    // Return user without password
-    const { password: _, ...userWithoutPassword } = user;
+    // The password is right: earlier failures no longer count (a lock reaching here has expired)
+    await clearLoginFailures(user, 'lock_expired', device.ipAddress);
+
+    const { accessToken, refreshToken } = await createSessionTokens(user.id, user.email, { device });
+
+    // Return user without password (and without the throttling counters)
+    const { password: _, failedLoginAttempts, lockedUntil, ...userWithoutPassword } = user;
 
     return {
         user: userWithoutPassword,
@@ -132,6 +261,11 @@ const getCurrentUser = async (token) => {
         throw new Error('Invalid token: missing userId');
     }
 
+    // Tokens tied to a session stop working once that session is signed out
+    if (decoded.sid && !(await model.isSessionActive(decoded.userId, decoded.sid))) {
+        throw new Error('Invalid or expired token');
+    }
+
     // Find user by ID
     const user = await model.findUserById(decoded.userId);
     if (!user) {
@@ -201,14 +335,26 @@ const logout = async (token, refreshTokenPlain = null) => {
     return { message: 'Logout successful' };
 };
 
-const refreshSession = async (refreshTokenPlain) => {
+const refreshSession = async (refreshTokenPlain, device = {}) => {
     if (!refreshTokenPlain || typeof refreshTokenPlain !== 'string') {
         throw new Error('Refresh token is required');
     }
 
     const tokenHash = utils.hashToken(refreshTokenPlain);
     const existing = await model.findRefreshToken(tokenHash);
-    if (!existing || existing.revoked) {
+    if (!existing) {
+        throw new Error('Invalid or expired token');
+    }
+    if (existing.revoked) {
+        // A token that was already rotated is being replayed: it leaked, so end the whole family
+        if (existing.replacedBy) {
+            await model.revokeSession(existing.userId, existing.sessionId);
+            logSecurityEvent('refresh_token_reuse_detected', {
+                severity: 'high',
+                userId: existing.userId,
+                sessionId: existing.sessionId,
+            }, device.ipAddress);
+        }
         throw new Error('Invalid or expired token');
     }
     if (existing.expiresAt < new Date()) {
@@ -216,14 +362,18 @@ const refreshSession = async (refreshTokenPlain) => {
         throw new Error('Invalid or expired token');
     }
 
-    // Rotate
-    const { accessToken, refreshToken, refreshHash } = await createSessionTokens(
-        existing.userId,
-        existing.user.email,
-        tokenHash
-    );
+    // Only one request may rotate a given token; the claim already points at its replacement
+    const refreshToken = utils.generateRefreshToken();
+    if (!(await model.claimRefreshToken(tokenHash, utils.hashToken(refreshToken)))) {
+        throw new Error('Invalid or expired token');
+    }
 
-    await model.revokeRefreshToken(tokenHash, refreshHash);
+    // Rotate (the new token joins the same family: sessionId)
+    const { accessToken } = await createSessionTokens(existing.userId, existing.user.email, {
+        session: existing,
+        device,
+        refreshToken,
+    });
 
     const { password: _, ...userWithoutPassword } = existing.user;
 
@@ -234,15 +384,738 @@ const refreshSession = async (refreshTokenPlain) => {
     };
 };
 
-const createSessionTokens = async (userId, email, replacedByHash = null) => {
-    // Generate access token
+// Sessions are the active refresh tokens; currentSessionId is the sid of the caller's access token
+const listSessions = async (userId, currentSessionId = null) => {
+    if (!userId) throw new Error('User context is required');
+
+    const sessions = await model.listActiveSessions(userId);
+    return {
+        items: sessions.map(({ sessionId, userAgent, ipAddress, createdAt, lastUsedAt }) => ({
+            id: sessionId,
+            userAgent,
+            ipAddress,
+            createdAt,
+            lastUsedAt,
+            current: sessionId === currentSessionId,
+        })),
+    };
+};
+
+const revokeSession = async (userId, sessionId) => {
+    if (!userId) throw new Error('User context is required');
+    const id = parseWithErrorHandling(sessionIdSchema, sessionId);
+
+    const revoked = await model.revokeSession(userId, id);
+    if (revoked === 0) {
+        throw withStatus('Session not found', 404);
+    }
+};
+
+// Sign out everywhere else: every session except the one making the request
+const revokeOtherSessions = async (userId, currentSessionId) => {
+    if (!userId) throw new Error('User context is required');
+    if (!currentSessionId) {
+        throw withStatus('Current session is unknown; sign in again first', 400);
+    }
+
+    const revoked = await model.revokeAllRefreshTokensForUser(userId, {
+        exceptSessionId: currentSessionId,
+    });
+    return { revoked };
+};
+
+// address defaults to the account email; an email change sends the link to the new address
+const sendVerificationEmail = async (user, address = user.email) => {
+    const token = utils.generateEmailVerificationToken(user.id, address);
+    const message = emails.emailVerificationEmail({
+        name: user.name,
+        link: `${config.appUrl}/verify-email?token=${encodeURIComponent(token)}`,
+        hours: config.emailVerificationTokenHours,
+    });
+    try {
+        await getMailer().send({ to: address, ...message });
+    } catch (error) {
+        logEmailDeliveryFailure(user.id, 'email_verification', error);
+    }
+};
+
+// Email change: the new address only gets a link while no other account uses it. Called after
+// the response so the time taken does not reveal whether the address is taken
+const sendEmailChangeVerification = async (user, address) => {
+    if (await model.findUserByEmail(address)) return;
+    await sendVerificationEmail(user, address);
+};
+
+const verifyEmail = async (data) => {
+    const validated = parseWithErrorHandling(verifyEmailSchema, { token: data?.token });
+
+    const claims = utils.verifyEmailVerificationToken(validated.token);
+    if (!claims) {
+        throw new Error('Invalid or expired token');
+    }
+
+    // The link only confirms the address it was sent to
+    const user = await model.findUserById(claims.userId);
+    if (!user) {
+        throw new Error('Invalid or expired token');
+    }
+
+    if (user.email === claims.email) {
+        // Opening the link twice is harmless
+        await model.markEmailVerified(user.id);
+    } else if (user.pendingEmail !== claims.email || !(await model.applyPendingEmail(user.id, claims.email))) {
+        // Email change: the link must match the pending address, which must still be free
+        throw new Error('Invalid or expired token');
+    }
+    return { userId: user.id };
+};
+
+const resendVerificationEmail = async (userId) => {
+    if (!userId) throw new Error('User context is required');
+
+    const user = await model.findUserById(userId);
+    if (!user) {
+        throw new Error('User not found');
+    }
+    // A pending email change gets a new link for the new address (only if it is still free)
+    if (user.pendingEmail) {
+        sendEmailChangeVerification(user, user.pendingEmail).catch((error) => {
+            logEmailDeliveryFailure(user.id, 'email_verification', error);
+        });
+        return;
+    }
+    if (user.emailVerifiedAt) {
+        throw new Error('Email address is already verified');
+    }
+
+    await sendVerificationEmail(user);
+};
+
+// A 6-digit code is checked as TOTP (each time step once), anything else as a recovery code
+const verifySecondFactor = async (state, code) => {
+    if (/^\d{6}$/.test(code)) {
+        const step = totp.verifyTotp(totp.decryptSecret(state.totpSecret), code);
+        return step !== null && model.claimTotpStep(state.id, step);
+    }
+    const normalized = totp.normalizeRecoveryCode(code);
+    return normalized.length > 0 && model.useRecoveryCode(state.id, utils.hashToken(normalized));
+};
+
+const setupTwoFactor = async (userId) => {
+    if (!userId) throw new Error('User context is required');
+
+    const state = await model.findTwoFactorState(userId);
+    if (!state) throw withStatus('User not found', 404);
+    if (state.totpEnabledAt) {
+        throw withStatus('Two-factor authentication is already enabled', 409);
+    }
+
+    // Calling setup again replaces the pending secret
+    const secret = totp.generateTotpSecret();
+    if (!(await model.savePendingTotpSecret(userId, totp.encryptSecret(secret)))) {
+        throw withStatus('Two-factor authentication is already enabled', 409);
+    }
+
+    return {
+        secret,
+        otpauthUri: totp.buildOtpauthUri({ secret, account: state.email }),
+    };
+};
+
+const confirmTwoFactor = async (userId, data) => {
+    if (!userId) throw new Error('User context is required');
+    const { code } = parseWithErrorHandling(confirmTwoFactorSchema, { code: data?.code });
+
+    const state = await model.findTwoFactorState(userId);
+    if (!state) throw withStatus('User not found', 404);
+    if (state.totpEnabledAt) {
+        throw withStatus('Two-factor authentication is already enabled', 409);
+    }
+    if (!state.totpSecret) {
+        throw withStatus('Two-factor setup has not been started', 400);
+    }
+
+    const step = totp.verifyTotp(totp.decryptSecret(state.totpSecret), code);
+    if (step === null) {
+        throw withStatus('Invalid two-factor code', 400);
+    }
+
+    // Recovery codes are only ever shown here; the database keeps their hashes
+    const recoveryCodes = totp.generateRecoveryCodes();
+    await model.enableTotp(
+        userId,
+        step,
+        recoveryCodes.map((recoveryCode) => utils.hashToken(totp.normalizeRecoveryCode(recoveryCode)))
+    );
+
+    return { recoveryCodes };
+};
+
+const disableTwoFactor = async (userId, data) => {
+    if (!userId) throw new Error('User context is required');
+    const validated = parseWithErrorHandling(disableTwoFactorSchema, {
+        password: data?.password,
+        code: data?.code,
+    });
+
+    const state = await model.findTwoFactorState(userId);
+    if (!state) throw withStatus('User not found', 404);
+    if (!state.totpEnabledAt) {
+        throw withStatus('Two-factor authentication is not enabled', 400);
+    }
+    if (!(await utils.comparePassword(validated.password, state.password))) {
+        throw withStatus('Invalid credentials', 401);
+    }
+    if (!(await verifySecondFactor(state, validated.code))) {
+        throw withStatus('Invalid two-factor code', 401);
+    }
+
+    await model.disableTotp(userId);
+    return { message: 'Two-factor authentication disabled' };
+};
+
+const loginWithTwoFactor = async (data, device = {}) => {
+    const validated = parseWithErrorHandling(twoFactorLoginSchema, {
+        challengeToken: data?.challengeToken,
+        code: data?.code,
+    });
+
+    const challenge = utils.verifyTwoFactorChallenge(validated.challengeToken);
+    if (!challenge) {
+        throw withStatus('Invalid or expired token', 401);
+    }
+
+    const state = await model.findTwoFactorState(challenge.userId);
+    if (!state || !state.totpEnabledAt) {
+        throw withStatus('Invalid or expired token', 401);
+    }
+    // Bad codes are throttled per account like bad passwords
+    if (state.lockedUntil && state.lockedUntil > new Date()) {
+        throw loginThrottledError(state);
+    }
+    // Each bad code raises the count the challenge was issued at, so a challenge is spent after
+    // a few of them (and retired by anything that resets the count)
+    const failuresSinceIssued = state.failedLoginAttempts - challenge.failedAttempts;
+    if (failuresSinceIssued < 0 || failuresSinceIssued >= config.twoFactorChallengeMaxAttempts) {
+        throw withStatus('Invalid or expired token', 401);
+    }
+    if (!(await verifySecondFactor(state, validated.code))) {
+        await registerFailedLogin(state, device);
+        throw withStatus('Invalid two-factor code', 401);
+    }
+    await clearLoginFailures(state, 'lock_expired', device.ipAddress);
+
+    const user = await model.findUserById(state.id);
+    const { accessToken, refreshToken } = await createSessionTokens(user.id, user.email, { device });
+
+    return {
+        user,
+        token: accessToken,
+        refreshToken,
+    };
+};
+
+// OIDC / OAuth2 sign-in. The flow token (state, nonce, PKCE verifier) is kept by the controller
+// in an httpOnly cookie until the frontend posts the code back.
+const listOidcProviders = () => {
+    return { providers: oidc.listProviders() };
+};
+
+const startOidcLogin = async (providerName) => {
+    const { authorizationUrl, flow } = await oidc.createAuthorizationRequest(providerName);
+    return {
+        authorizationUrl,
+        flowToken: utils.generateOidcFlowToken(flow),
+    };
+};
+
+// The account behind a provider identity: the one already linked, else the account with the same
+// email (linked now), else a new account. outcome: 'existing' | 'linked' | 'created'
+const resolveOidcAccount = async (provider, profile) => {
+    const identity = await model.findIdentity(provider, profile.subject);
+    if (identity) {
+        await model.touchIdentity(identity.id);
+        return { userId: identity.userId, outcome: 'existing' };
+    }
+
+    // Matching by email is only safe when the provider vouches for the address
+    if (!profile.email || !profile.emailVerified) {
+        throw withStatus('The sign-in provider did not return a verified email address', 403);
+    }
+
+    const existing = await model.findUserByEmail(profile.email);
+    if (existing) {
+        // Otherwise whoever registered the address without owning it would share the account
+        if (!existing.emailVerifiedAt) {
+            throw withStatus(
+                'An account with this email already exists; sign in with your password and verify your email address first',
+                409
+            );
+        }
+        await model.createIdentity({ provider, subject: profile.subject, email: profile.email, userId: existing.id });
+        return { userId: existing.id, outcome: 'linked' };
+    }
+
+    const user = await model.createUser({
+        email: profile.email,
+        passwordHash: await utils.hashUnusablePassword(),
+        name: profile.name ? profile.name.trim().slice(0, 100) || null : null,
+        emailVerifiedAt: new Date(),
+    });
+    await model.createIdentity({ provider, subject: profile.subject, email: profile.email, userId: user.id });
+    return { userId: user.id, outcome: 'created' };
+};
+
+// Same result as login: a session, or a 2FA challenge when the account has 2FA enabled
+const completeOidcLogin = async (flowToken, data, device = {}) => {
+    const validated = parseWithErrorHandling(oidcCallbackSchema, {
+        code: data?.code,
+        state: data?.state,
+    });
+
+    const flow = utils.verifyOidcFlowToken(flowToken);
+    const stateMatches = flow
+        && flow.state.length === validated.state.length
+        && crypto.timingSafeEqual(Buffer.from(flow.state), Buffer.from(validated.state));
+    if (!stateMatches) {
+        throw withStatus('Invalid or expired sign-in request', 400);
+    }
+
+    const profile = await oidc.exchangeCode(flow, validated.code);
+    const { userId, outcome } = await resolveOidcAccount(flow.provider, profile);
+
+    const user = await model.findUserById(userId);
+    if (user.totpEnabledAt) {
+        return {
+            ...twoFactorChallenge(await model.findLoginState(user.id)),
+            provider: flow.provider,
+            outcome,
+        };
+    }
+
+    const { accessToken, refreshToken } = await createSessionTokens(user.id, user.email, { device });
+
+    return {
+        user,
+        token: accessToken,
+        refreshToken,
+        provider: flow.provider,
+        outcome,
+    };
+};
+
+const listIdentities = async (userId) => {
+    if (!userId) throw new Error('User context is required');
+    return model.listIdentities(userId);
+};
+
+// Accounts created through a provider have no known password; "forgot password" sets one
+const unlinkIdentity = async (userId, id) => {
+    if (!userId) throw new Error('User context is required');
+    const identityId = parseWithErrorHandling(identityIdSchema, id);
+
+    if (!(await model.deleteIdentity(identityId, userId))) {
+        throw withStatus('Identity not found', 404);
+    }
+};
+
+const updateProfile = async (userId, data) => {
+    if (!userId) throw new Error('User context is required');
+    const validated = parseWithErrorHandling(updateProfileSchema, data);
+
+    const current = await model.findUserByIdWithPassword(userId);
+    if (!current) throw withStatus('User not found', 404);
+
+    const updates = {};
+    if (validated.name !== undefined) {
+        updates.name = validated.name;
+    }
+
+    const emailChanged = validated.email !== undefined && validated.email !== current.email;
+    if (emailChanged) {
+        if (!(await utils.comparePassword(validated.currentPassword, current.password))) {
+            throw withStatus('Current password is incorrect', 400);
+        }
+
+        // The address is recorded as pending either way and the response is the same,
+        // so the endpoint never reveals whether another account uses it (as in register)
+        updates.pendingEmail = validated.email;
+    } else if (validated.email !== undefined && current.pendingEmail) {
+        // Asking for the current address again cancels a pending change
+        updates.pendingEmail = null;
+    }
+
+    const user = await model.updateProfile(userId, updates);
+
+    if (emailChanged) {
+        sendEmailChangeVerification(user, validated.email).catch((error) => {
+            logEmailDeliveryFailure(user.id, 'email_verification', error);
+        });
+    }
+
+    return {
+        user,
+        emailChangePending: Boolean(user.pendingEmail),
+    };
+};
+
+// Signs out every other session; the one making the request stays signed in
+const changePassword = async (userId, currentSessionId, data) => {
+    if (!userId) throw new Error('User context is required');
+    const validated = parseWithErrorHandling(changePasswordSchema, data);
+
+    const current = await model.findUserByIdWithPassword(userId);
+    if (!current) throw withStatus('User not found', 404);
+    if (!(await utils.comparePassword(validated.currentPassword, current.password))) {
+        throw withStatus('Current password is incorrect', 400);
+    }
+    if (await utils.comparePassword(validated.newPassword, current.password)) {
+        throw withStatus('New password must be different from the current password', 400);
+    }
+
+    const passwordHash = await utils.hashPassword(validated.newPassword);
+    await model.updatePassword(userId, passwordHash);
+
+    const revokedSessions = await model.revokeAllRefreshTokensForUser(
+        userId,
+        currentSessionId ? { exceptSessionId: currentSessionId } : {}
+    );
+    // Outstanding reset links were issued for the old password
+    await model.deleteOneTimeTokensForUser(userId, 'PASSWORD_RESET');
+
+    return { message: 'Password changed', revokedSessions };
+};
+
+// Personal access tokens: the token itself is only returned once, on creation
+const createAccessToken = async (userId, data) => {
+    if (!userId) throw new Error('User context is required');
+    const validated = parseWithErrorHandling(createAccessTokenSchema, data);
+
+    const token = utils.generatePersonalAccessToken();
+    const expiresAt = validated.expiresInDays
+        ? new Date(Date.now() + validated.expiresInDays * 24 * 60 * 60 * 1000)
+        : null;
+
+    const created = await model.createAccessToken({
+        name: validated.name,
+        tokenHash: utils.hashToken(token),
+        // Enough to recognise the token in a list without revealing it
+        prefix: token.slice(0, utils.PERSONAL_ACCESS_TOKEN_PREFIX.length + 4),
+        scopes: validated.scopes,
+        userId,
+        expiresAt,
+    });
+
+    return { ...created, token };
+};
+
+const listAccessTokens = async (userId) => {
+    if (!userId) throw new Error('User context is required');
+    const items = await model.listAccessTokens(userId);
+    return { items };
+};
+
+const revokeAccessToken = async (userId, id) => {
+    if (!userId) throw new Error('User context is required');
+    const tokenId = parseWithErrorHandling(accessTokenIdSchema, id);
+
+    if (!(await model.deleteAccessToken(tokenId, userId))) {
+        throw withStatus('Token not found', 404);
+    }
+};
+
+// Personal data export: the storage key of each file stays internal to the archive writer
+const exportPersonalData = async (userId) => {
+    if (!userId) throw new Error('User context is required');
+
+    const data = await model.findUserDataForExport(userId);
+    if (!data) throw withStatus('User not found', 404);
+
+    const { applications, tags, files, refreshTokens, ...profile } = data;
+    const now = new Date();
+    return {
+        profile,
+        applications: applications.map((application) => ({
+            ...application,
+            tags: application.tags.map((tag) => tag.name),
+        })),
+        tags,
+        files,
+        sessions: refreshTokens.map(({ sessionId, revoked, ...session }) => ({
+            id: sessionId,
+            ...session,
+            active: !revoked && session.expiresAt > now,
+        })),
+    };
+};
+
+// The account is only erased after the grace period (see purgeDeletedAccounts); until then
+// signing in and calling restoreAccount undoes it. Every session and access token ends at once.
+const deleteAccount = async (userId, data) => {
+    if (!userId) throw new Error('User context is required');
+    const validated = parseWithErrorHandling(deleteAccountSchema, { password: data?.password });
+
+    const current = await model.findUserByIdWithPassword(userId);
+    if (!current) throw withStatus('User not found', 404);
+    if (!(await utils.comparePassword(validated.password, current.password))) {
+        throw withStatus('Invalid credentials', 401);
+    }
+
+    const deletionScheduledAt = new Date(
+        Date.now() + config.accountDeletionGraceDays * 24 * 60 * 60 * 1000
+    );
+    await model.scheduleDeletion(userId, deletionScheduledAt);
+    await model.revokeAllRefreshTokensForUser(userId);
+    // Scripts lose access too; restoring the account does not bring the tokens back
+    await model.deleteAccessTokensForUser(userId);
+
+    const message = emails.accountDeletionEmail({
+        name: current.name,
+        date: deletionScheduledAt.toISOString().slice(0, 10),
+        link: `${config.appUrl}/login`,
+    });
+    try {
+        await getMailer().send({ to: current.email, ...message });
+    } catch (error) {
+        logEmailDeliveryFailure(userId, 'account_deletion', error);
+    }
+
+    return { message: 'Account scheduled for deletion', deletionScheduledAt };
+};
+
+const restoreAccount = async (userId) => {
+    if (!userId) throw new Error('User context is required');
+
+    if (!(await model.cancelDeletion(userId))) {
+        throw withStatus('Account is not scheduled for deletion', 409);
+    }
+    return { message: 'Account deletion cancelled' };
+};
+
+/**
+ * Erase accounts whose deletion grace period has passed
+ * Database rows go through onDelete: Cascade; stored file contents are removed afterwards
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} - Number of accounts erased
+ */
+const purgeDeletedAccounts = async (now = new Date()) => {
+    const due = await model.findUsersDueForDeletion(now);
+    let purged = 0;
+
+    for (const user of due) {
+        // Skipped when the deletion was cancelled since the lookup
+        if (!(await model.deleteScheduledUser(user.id, now))) continue;
+        purged += 1;
+        logSecurityEvent('account_deleted', { userId: user.id });
+
+        const storage = getStorage();
+        for (const { storageKey } of user.files) {
+            try {
+                await storage.remove(storageKey);
+            } catch (error) {
+                // The row is gone already; an orphaned object is logged rather than retried
+                console.error(`Failed to remove stored file ${storageKey}:`, error.message);
+            }
+        }
+    }
+
+    return purged;
+};
+
+const deliverPasswordReset = async (user, token) => {
+    // Only the latest link works
+    await model.deleteOneTimeTokensForUser(user.id, 'PASSWORD_RESET');
+    await model.createOneTimeToken({
+        tokenHash: utils.hashToken(token),
+        purpose: 'PASSWORD_RESET',
+        userId: user.id,
+        expiresAt: new Date(Date.now() + config.passwordResetTokenMinutes * 60 * 1000),
+    });
+
+    const message = emails.passwordResetEmail({
+        name: user.name,
+        link: `${config.appUrl}/reset-password?token=${encodeURIComponent(token)}`,
+        minutes: config.passwordResetTokenMinutes,
+    });
+    await getMailer().send({ to: user.email, ...message });
+};
+
+const forgotPassword = async (data) => {
+    const validated = parseWithErrorHandling(forgotPasswordSchema, { email: data?.email });
+
+    // Same response and the same work before answering whether or not the account exists
+    // (prevent email enumeration): storing and mailing the token happen after the response
+    const user = await model.findUserByEmail(validated.email);
+    const token = utils.generateOneTimeToken();
+    if (user) {
+        deliverPasswordReset(user, token).catch((error) => {
+            logEmailDeliveryFailure(user.id, 'password_reset', error);
+        });
+    }
+};
+
+const resetPassword = async (data, device = {}) => {
+    const validated = parseWithErrorHandling(resetPasswordSchema, {
+        token: data?.token,
+        password: data?.password,
+    });
+
+    const record = await model.findOneTimeToken(utils.hashToken(validated.token));
+    if (
+        !record ||
+        record.purpose !== 'PASSWORD_RESET' ||
+        record.usedAt ||
+        record.expiresAt < new Date()
+    ) {
+        throw new Error('Invalid or expired token');
+    }
+
+    // Claim the token before changing anything so concurrent requests cannot both succeed
+    if (!(await model.markOneTimeTokenUsed(record.id))) {
+        throw new Error('Invalid or expired token');
+    }
+
+    const passwordHash = await utils.hashPassword(validated.password);
+    await model.updatePassword(record.userId, passwordHash);
+
+    // Sign out every device that may be held by whoever knew the old password
+    await model.revokeAllRefreshTokensForUser(record.userId);
+    await model.deleteOneTimeTokensForUser(record.userId, 'PASSWORD_RESET');
+
+    // Whoever guessed at the old password is locked out by the new one anyway
+    const loginState = await model.findLoginState(record.userId);
+    if (loginState) {
+        await clearLoginFailures(loginState, 'password_reset', device.ipAddress);
+    }
+
+    return { userId: record.userId };
+};
+
+const unlockAccount = async (data, device = {}) => {
+    const validated = parseWithErrorHandling(unlockAccountSchema, { token: data?.token });
+
+    const record = await model.findOneTimeToken(utils.hashToken(validated.token));
+    if (
+        !record ||
+        record.purpose !== 'ACCOUNT_UNLOCK' ||
+        record.usedAt ||
+        record.expiresAt < new Date()
+    ) {
+        throw new Error('Invalid or expired token');
+    }
+    if (!(await model.markOneTimeTokenUsed(record.id))) {
+        throw new Error('Invalid or expired token');
+    }
+
+    const loginState = await model.findLoginState(record.userId);
+    if (loginState) {
+        await clearLoginFailures(loginState, 'email_link', device.ipAddress);
+    }
+    return { userId: record.userId };
+};
+
+// Sends a new unlock link when the account is locked; silent otherwise (prevent email enumeration)
+const requestUnlockEmail = async (data) => {
+    const validated = parseWithErrorHandling(forgotPasswordSchema, { email: data?.email });
+
+    const user = await model.findUserByEmailWithPassword(validated.email);
+    if (
+        !user ||
+        user.failedLoginAttempts < config.loginLockoutThreshold ||
+        !user.lockedUntil ||
+        user.lockedUntil <= new Date()
+    ) {
+        return;
+    }
+    await sendUnlockEmail(user);
+};
+
+// Passwordless sign-in: the link token is a one-time token stored hashed, like password resets
+const deliverMagicLink = async (user, token) => {
+    // Only the latest link works
+    await model.deleteOneTimeTokensForUser(user.id, 'MAGIC_LINK');
+    await model.createOneTimeToken({
+        tokenHash: utils.hashToken(token),
+        purpose: 'MAGIC_LINK',
+        userId: user.id,
+        expiresAt: new Date(Date.now() + config.magicLinkTokenMinutes * 60 * 1000),
+    });
+
+    const message = emails.magicLinkEmail({
+        name: user.name,
+        link: `${config.appUrl}/magic-link?token=${encodeURIComponent(token)}`,
+        minutes: config.magicLinkTokenMinutes,
+    });
+    await getMailer().send({ to: user.email, ...message });
+};
+
+const requestMagicLink = async (data) => {
+    const validated = parseWithErrorHandling(forgotPasswordSchema, { email: data?.email });
+
+    // Same response and the same work before answering whether or not the account exists
+    // (prevent email enumeration): the token is always generated, and storing and mailing it
+    // happen after the response so their duration cannot be measured
+    const user = await model.findUserByEmail(validated.email);
+    const token = utils.generateOneTimeToken();
+    if (user) {
+        deliverMagicLink(user, token).catch((error) => {
+            logEmailDeliveryFailure(user.id, 'magic_link', error);
+        });
+    }
+};
+
+// Same result as login: a session, or a 2FA challenge when the account has 2FA enabled
+const loginWithMagicLink = async (data, device = {}) => {
+    const validated = parseWithErrorHandling(magicLinkSchema, { token: data?.token });
+
+    const record = await model.findOneTimeToken(utils.hashToken(validated.token));
+    if (
+        !record ||
+        record.purpose !== 'MAGIC_LINK' ||
+        record.usedAt ||
+        record.expiresAt < new Date()
+    ) {
+        throw withStatus('Invalid or expired token', 401);
+    }
+    if (!(await model.markOneTimeTokenUsed(record.id))) {
+        throw withStatus('Invalid or expired token', 401);
+    }
+
+    // Opening the link proves the user reads this mailbox
+    await model.markEmailVerified(record.userId);
+    const user = await model.findUserById(record.userId);
+
+    if (user.totpEnabledAt) {
+        return twoFactorChallenge(await model.findLoginState(user.id));
+    }
+
+    const { accessToken, refreshToken } = await createSessionTokens(user.id, user.email, { device });
+
+    return {
+        user,
+        token: accessToken,
+        refreshToken,
+    };
+};
+
+// device: { userAgent, ipAddress } of the request; session: the row being rotated, if any;
+// refreshToken: the replacement a rotation has already recorded in replacedBy
+const createSessionTokens = async (
+    userId,
+    email,
+    { session = null, device = {}, refreshToken = utils.generateRefreshToken() } = {}
+) => {
+    // A rotation stays in the same session; a sign-in starts a new one
+    const sessionId = session ? session.sessionId : crypto.randomUUID();
+
+    // Generate access token (sid ties it to the session so signing the session out ends it too)
     const accessToken = utils.generateToken({
         userId,
         email,
+        sid: sessionId,
     });
 
-    // Generate refresh token
-    const refreshToken = utils.generateRefreshToken();
+    // Only the refresh token's hash is stored
     const refreshHash = utils.hashToken(refreshToken);
     const expiresAt = new Date(
         Date.now() + config.refreshTokenDays * 24 * 60 * 60 * 1000
@@ -250,8 +1123,12 @@ const createSessionTokens = async (userId, email, replacedByHash = null) => {
 
     await model.createRefreshToken({
         tokenHash: refreshHash,
+        sessionId,
         userId,
         expiresAt,
+        userAgent: device.userAgent || (session && session.userAgent) || null,
+        ipAddress: device.ipAddress || (session && session.ipAddress) || null,
+        ...(session ? { createdAt: session.createdAt } : {}),
     });
 
     // Opportunistically clean old tokens
@@ -266,5 +1143,34 @@ module.exports = {
     getCurrentUser,
     logout,
     refreshSession,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions,
+    verifyEmail,
+    resendVerificationEmail,
+    updateProfile,
+    changePassword,
+    createAccessToken,
+    listAccessTokens,
+    revokeAccessToken,
+    exportPersonalData,
+    deleteAccount,
+    restoreAccount,
+    purgeDeletedAccounts,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    loginWithTwoFactor,
+    listOidcProviders,
+    startOidcLogin,
+    completeOidcLogin,
+    listIdentities,
+    unlinkIdentity,
+    forgotPassword,
+    resetPassword,
+    unlockAccount,
+    requestUnlockEmail,
+    requestMagicLink,
+    loginWithMagicLink,
 };
 
@@ -0,0 +1,134 @@
+// TOTP two-factor helpers (RFC 6238 / RFC 4226) and recovery codes
+const crypto = require('crypto');
+const config = require('../../config');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from the previous and next step are accepted to absorb clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (value) => {
+    const clean = value.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = '';
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        bits += index.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size recommended by RFC 4226 for HMAC-SHA1
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * HOTP value for one time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @param {number} [digits] - Code length
+ * @returns {string} - Zero-padded code
+ */
+const generateTotp = (secret, step, digits = DIGITS) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Check a code against the current time step and its neighbours
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} - Matching time step (used to refuse replays) or null
+ */
+const verifyTotp = (secret, code, now = Date.now()) => {
+    if (typeof code !== 'string' || !new RegExp(`^\\d{${DIGITS}}$`).test(code)) return null;
+    const current = timeStep(now);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// Key URI understood by authenticator apps (also rendered as a QR code by the frontend)
+const buildOtpauthUri = ({ secret, account, issuer = config.totpIssuer }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Secrets are stored encrypted (AES-256-GCM) as iv.tag.ciphertext in base64url
+const encryptionKey = () =>
+    crypto
+        .createHash('sha256')
+        .update(config.totpEncryptionKey || `${process.env.JWT_SECRET}:totp`)
+        .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, ciphertext] = stored.split('.').map((part) => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like 4f9a-c21b-77e0-5d3a; case and dashes are ignored when typed back
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) =>
+    Array.from({ length: count }, () =>
+        crypto.randomBytes(8).toString('hex').match(/.{4}/g).join('-')
+    );
+
+const normalizeRecoveryCode = (code) =>
+    typeof code === 'string' ? code.replace(/[\s-]/g, '').toLowerCase() : '';
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    generateTotp,
+    timeStep,
+    verifyTotp,
+    buildOtpauthUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    normalizeRecoveryCode,
+};
@@ -2,15 +2,14 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const config = require('../../config');
 const crypto = require('crypto');
+const { passwordPolicyError } = require('./passwordPolicy');
 
 //Hash a password with bcrypt
 const hashPassword = async (password) => {
     if(!password) throw new Error('Password is required');
     if(typeof password !== 'string') throw new Error('Password must be a string');
-    if(password.length < 8) throw new Error('Password must be at least 8 characters long');
-    if(password.length > 15) throw new Error('Password must be at most 15 characters long');
-    if(!/[A-Z]/.test(password)) throw new Error('Password must contain at least one capital letter');
-    if(!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) throw new Error('Password must contain at least one symbol');
+    const policyError = passwordPolicyError(password);
+    if(policyError) throw new Error(policyError);
     // Use salt rounds from config (validated on startup)
     return await bcrypt.hash(password, config.bcryptSaltRounds);
 };
@@ -58,11 +57,143 @@ const verifyToken = (token) => {
     }
 };
 
+// Single-purpose JWTs (email verification links, 2FA challenges) are keyed per purpose
+// so they never pass as access tokens or as each other
+const purposeSecret = (purpose) => `${process.env.JWT_SECRET}:${purpose}`;
+
+const signPurposeToken = (purpose, userId, claims, expiresIn) => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return jwt.sign(claims, purposeSecret(purpose), {
+        subject: String(userId),
+        audience: purpose,
+        expiresIn,
+    });
+};
+
+// Returns { userId, ...claims } or null when the token is invalid or expired
+const verifyPurposeToken = (purpose, token) => {
+    if (!token || typeof token !== 'string') return null;
+    try {
+        const { sub, aud, iat, exp, ...claims } = jwt.verify(token, purposeSecret(purpose), {
+            audience: purpose,
+        });
+        const userId = Number(sub);
+        if (!Number.isInteger(userId)) return null;
+        return { userId, ...claims };
+    } catch (err) {
+        if (err.name === 'TokenExpiredError' || err.name === 'JsonWebTokenError') {
+            return null;
+        }
+        throw err;
+    }
+};
+
+const EMAIL_VERIFICATION_PURPOSE = 'email-verification';
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa-challenge';
+
+const generateEmailVerificationToken = (userId, email) =>
+    signPurposeToken(EMAIL_VERIFICATION_PURPOSE, userId, { email }, config.emailVerificationTokenHours * 60 * 60);
+
+// Returns { userId, email } or null when the link is invalid or expired
+const verifyEmailVerificationToken = (token) => {
+    const claims = verifyPurposeToken(EMAIL_VERIFICATION_PURPOSE, token);
+    if (!claims || typeof claims.email !== 'string') return null;
+    return { userId: claims.userId, email: claims.email };
+};
+
+// Issued by login when 2FA is enabled; exchanged together with a code for a session
+// failedAttempts: the account's failed login count when the challenge is issued
+const generateTwoFactorChallenge = (userId, failedAttempts) =>
+    signPurposeToken(TWO_FACTOR_CHALLENGE_PURPOSE, userId, { failedAttempts }, config.twoFactorChallengeSeconds);
+
+// Returns { userId, failedAttempts } or null
+const verifyTwoFactorChallenge = (token) => {
+    const claims = verifyPurposeToken(TWO_FACTOR_CHALLENGE_PURPOSE, token);
+    if (!claims || !Number.isInteger(claims.failedAttempts)) return null;
+    return { userId: claims.userId, failedAttempts: claims.failedAttempts };
+};
+
+// OIDC sign-in in progress: state, nonce and PKCE verifier travel in an httpOnly cookie
+// between /auth/oidc/:provider/start and /auth/oidc/callback
+const OIDC_FLOW_PURPOSE = 'oidc-flow';
+
+const generateOidcFlowToken = ({ provider, state, nonce, codeVerifier }) => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return jwt.sign({ provider, state, nonce, codeVerifier }, purposeSecret(OIDC_FLOW_PURPOSE), {
+        audience: OIDC_FLOW_PURPOSE,
+        expiresIn: config.oidcFlowMinutes * 60,
+    });
+};
+
+// Returns { provider, state, nonce, codeVerifier } or null
+const verifyOidcFlowToken = (token) => {
+    if (!token || typeof token !== 'string') return null;
+    try {
+        const { provider, state, nonce, codeVerifier } = jwt.verify(token, purposeSecret(OIDC_FLOW_PURPOSE), {
+            audience: OIDC_FLOW_PURPOSE,
+        });
+        if (![provider, state, nonce, codeVerifier].every((value) => typeof value === 'string')) return null;
+        return { provider, state, nonce, codeVerifier };
+    } catch (err) {
+        if (err.name === 'TokenExpiredError' || err.name === 'JsonWebTokenError') {
+            return null;
+        }
+        throw err;
+    }
+};
+
+// Accounts created through an identity provider get a password nobody knows;
+// "forgot password" sets a real one
+const hashUnusablePassword = async () => {
+    return await bcrypt.hash(crypto.randomBytes(32).toString('base64url'), config.bcryptSaltRounds);
+};
+
 // Refresh token helpers
 const generateRefreshToken = () => {
     return crypto.randomBytes(48).toString('base64url');
 };
 
+// Token sent by email (password reset); stored hashed like refresh tokens
+const generateOneTimeToken = () => {
+    return crypto.randomBytes(32).toString('base64url');
+};
+
+/**
+ * Where a failed sign-in leaves the account
+ * @param {number} failedAttempts - Consecutive failures, this one included
+ * @param {Date} [now] - Time of the failure
+ * @returns {{lockedUntil: Date|null, locked: boolean}} - locked is true once the lockout threshold is reached
+ */
+const loginThrottle = (failedAttempts, now = new Date()) => {
+    if (failedAttempts >= config.loginLockoutThreshold) {
+        return {
+            lockedUntil: new Date(now.getTime() + config.loginLockoutMinutes * 60 * 1000),
+            locked: true,
+        };
+    }
+    if (failedAttempts >= config.loginBackoffThreshold) {
+        const seconds = config.loginBackoffBaseSeconds * 2 ** (failedAttempts - config.loginBackoffThreshold);
+        return { lockedUntil: new Date(now.getTime() + seconds * 1000), locked: false };
+    }
+    return { lockedUntil: null, locked: false };
+};
+
+// Personal access tokens carry a fixed prefix so authMiddleware (and secret scanners) can tell
+// them apart from JWTs
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'jtr_pat_';
+
+const generatePersonalAccessToken = () => {
+    return `${PERSONAL_ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+};
+
+const isPersonalAccessToken = (token) => {
+    return typeof token === 'string' && token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+};
+
 const hashToken = (token) => {
     return crypto.createHash('sha256').update(token).digest('hex');
 };
@@ -73,5 +204,17 @@ module.exports = {
     generateToken,
     verifyToken,
     generateRefreshToken,
+    generateOneTimeToken,
+    generateEmailVerificationToken,
+    verifyEmailVerificationToken,
+    generateTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+    generateOidcFlowToken,
+    verifyOidcFlowToken,
+    hashUnusablePassword,
+    loginThrottle,
+    PERSONAL_ACCESS_TOKEN_PREFIX,
+    generatePersonalAccessToken,
+    isPersonalAccessToken,
     hashToken
 };
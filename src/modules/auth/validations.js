@@ -1,4 +1,5 @@
 const { z } = require('zod');
+const { passwordPolicyError } = require('./passwordPolicy');
 
 /**
  * Auth Module Validation Schemas
@@ -7,6 +8,20 @@ const { z } = require('zod');
  * All schemas use Zod for declarative, type-safe validation.
  */
 
+/**
+ * Password Schema
+ * Password rules shared by registration, password reset and password change.
+ * Lengths, character classes and the common-password list come from the password policy.
+ */
+const passwordSchema = z.string({
+    required_error: 'Password is required',
+    invalid_type_error: 'Password must be a string'
+})
+    .superRefine((password, ctx) => {
+        const message = passwordPolicyError(password);
+        if (message) ctx.addIssue({ code: 'custom', message });
+    });
+
 /**
  * Register Schema
  * Validates user registration data
@@ -23,14 +38,7 @@ const registerSchema = z.object({
             .email('Email must be a valid email address')
     ),
     
-    password: z.string({
-        required_error: 'Password is required',
-        invalid_type_error: 'Password must be a string'
-    })
-        .min(8, 'Password must be at least 8 characters long')
-        .max(15, 'Password must be at most 15 characters long')
-        .regex(/[A-Z]/, 'Password must contain at least one capital letter')
-        .regex(/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/, 'Password must contain at least one symbol'),
+    password: passwordSchema,
     
     name: z.preprocess(
         (val) => typeof val === 'string' ? val.trim() : val,
@@ -67,6 +75,263 @@ const tokenSchema = z.string()
     .trim()
     .min(1, 'Token must be a non-empty string');
 
+/**
+ * Forgot Password Schema
+ * Validates the email a reset link is requested for
+ */
+const forgotPasswordSchema = z.object({
+    email: z.preprocess(
+        (val) => typeof val === 'string' ? val.trim() : val,
+        z.string({
+            required_error: 'Email is required',
+            invalid_type_error: 'Email must be a string'
+        })
+            .min(1, 'Email must be a non-empty string')
+            .max(254, 'Email must be at most 254 characters long')
+            .email('Email must be a valid email address')
+    )
+});
+
+/**
+ * Reset Password Schema
+ * Validates the emailed token and the new password
+ */
+const resetPasswordSchema = z.object({
+    token: z.string({
+        required_error: 'Token is required',
+        invalid_type_error: 'Token must be a string'
+    })
+        .trim()
+        .min(1, 'Token must be a non-empty string')
+        .max(200, 'Invalid or expired token'),
+
+    password: passwordSchema
+});
+
+/**
+ * Unlock Account Schema
+ * Validates the token from the unlock link emailed on lockout
+ */
+const unlockAccountSchema = z.object({
+    token: resetPasswordSchema.shape.token
+});
+
+/**
+ * Magic Link Schema
+ * Validates the token from an emailed sign-in link
+ */
+const magicLinkSchema = z.object({
+    token: resetPasswordSchema.shape.token
+});
+
+/**
+ * Verify Email Schema
+ * Validates the signed token from the verification link
+ */
+const verifyEmailSchema = z.object({
+    token: z.string({
+        required_error: 'Token is required',
+        invalid_type_error: 'Token must be a string'
+    })
+        .trim()
+        .min(1, 'Token must be a non-empty string')
+        .max(2000, 'Invalid or expired token')
+});
+
+// Missing values read as empty so the message below is used instead of a generic one
+const currentPasswordSchema = z.preprocess(
+    (val) => val ?? '',
+    z.string({
+        message: 'Current password must be a string'
+    })
+        .min(1, 'Current password must be provided')
+        .max(1000, 'Current password is incorrect')
+);
+
+/**
+ * Update Profile Schema
+ * Name changes apply at once; an email change needs the current password and a verified link
+ */
+const updateProfileSchema = z.object({
+    name: registerSchema.shape.name.optional(),
+    email: registerSchema.shape.email.optional(),
+    currentPassword: currentPasswordSchema.optional()
+})
+    .refine(
+        (data) => data.name !== undefined || data.email !== undefined,
+        'At least one field (name or email) must be provided'
+    )
+    .refine(
+        (data) => data.email === undefined || data.currentPassword,
+        'Current password must be provided to change the email address'
+    );
+
+/**
+ * Change Password Schema
+ */
+const changePasswordSchema = z.object({
+    currentPassword: currentPasswordSchema,
+    newPassword: z.preprocess(
+        (val) => val ?? '',
+        z.string({
+            message: 'New password must be a string'
+        })
+            .min(1, 'New password must be provided')
+            .pipe(passwordSchema)
+    )
+});
+
+/**
+ * Session Id Schema
+ * Sessions are addressed by their UUID
+ */
+const sessionIdSchema = z.string({
+    required_error: 'Session id is required',
+    invalid_type_error: 'Session id must be a string'
+})
+    .uuid('Session id must be a valid UUID');
+
+/**
+ * Two-Factor Code Schema
+ * A 6-digit TOTP code or a recovery code
+ */
+const twoFactorCodeSchema = z.string({
+    required_error: 'Code is required',
+    invalid_type_error: 'Code must be a string'
+})
+    .trim()
+    .min(1, 'Code must be a non-empty string')
+    .max(32, 'Invalid two-factor code');
+
+const confirmTwoFactorSchema = z.object({
+    code: twoFactorCodeSchema
+});
+
+/**
+ * Two-Factor Login Schema
+ * Validates the challenge returned by login together with a code
+ */
+const twoFactorLoginSchema = z.object({
+    challengeToken: z.string({
+        required_error: 'Challenge token is required',
+        invalid_type_error: 'Challenge token must be a string'
+    })
+        .trim()
+        .min(1, 'Challenge token must be a non-empty string')
+        .max(2000, 'Invalid or expired token'),
+
+    code: twoFactorCodeSchema
+});
+
+/**
+ * Disable Two-Factor Schema
+ * Turning 2FA off requires both the password and a current code
+ */
+const disableTwoFactorSchema = z.object({
+    password: z.string({
+        required_error: 'Password is required',
+        invalid_type_error: 'Password must be a string'
+    })
+        .min(1, 'Password must be a non-empty string')
+        .max(1000, 'Invalid credentials'),
+
+    code: twoFactorCodeSchema
+});
+
+/**
+ * Delete Account Schema
+ * The password is asked again before the account is scheduled for deletion
+ */
+const deleteAccountSchema = z.object({
+    password: disableTwoFactorSchema.shape.password
+});
+
+// Scopes a personal access token can be granted
+const ACCESS_TOKEN_SCOPES = ['applications:read', 'applications:write', 'analytics:read'];
+
+/**
+ * Create Access Token Schema
+ * Without expiresInDays the token never expires
+ */
+const createAccessTokenSchema = z.object({
+    name: z.preprocess(
+        (val) => typeof val === 'string' ? val.trim() : val,
+        z.string({
+            required_error: 'Name is required',
+            invalid_type_error: 'Name must be a string'
+        })
+            .min(1, 'Name must be a non-empty string')
+            .max(100, 'Name must be at most 100 characters long')
+    ),
+
+    scopes: z.array(
+        z.enum(ACCESS_TOKEN_SCOPES, {
+            message: 'Scope must be one of applications:read, applications:write or analytics:read'
+        }),
+        { message: 'Scopes must be an array of scopes' }
+    )
+        .min(1, 'At least one scope must be provided')
+        .transform((scopes) => [...new Set(scopes)]),
+
+    expiresInDays: z.number({
+        message: 'expiresInDays must be a number'
+    })
+        .int('expiresInDays must be an integer')
+        .min(1, 'expiresInDays must be at least 1')
+        .max(365, 'expiresInDays must not exceed 365')
+        .optional()
+});
+
+/**
+ * Access Token Id Schema
+ */
+const accessTokenIdSchema = z.preprocess(
+    (val) => Number(val),
+    z.number({
+        message: 'Token id must be a number'
+    })
+        .int('Token id must be an integer')
+        .positive('Token id must be positive')
+);
+
+/**
+ * OIDC Callback Schema
+ * Code and state the provider appended to the redirect URI
+ */
+const oidcCallbackSchema = z.object({
+    code: z.preprocess(
+        (val) => val ?? '',
+        z.string({
+            message: 'Code must be a string'
+        })
+            .trim()
+            .min(1, 'Code must be provided')
+            .max(2048, 'Code must be at most 2048 characters long')
+    ),
+
+    state: z.preprocess(
+        (val) => val ?? '',
+        z.string({
+            message: 'State must be a string'
+        })
+            .trim()
+            .min(1, 'State must be provided')
+            .max(200, 'Invalid or expired sign-in request')
+    )
+});
+
+/**
+ * Identity Id Schema
+ */
+const identityIdSchema = z.preprocess(
+    (val) => Number(val),
+    z.number({
+        message: 'Identity id must be a number'
+    })
+        .int('Identity id must be an integer')
+        .positive('Identity id must be positive')
+);
+
 /**
  * Helper function to parse and validate data with custom error handling
  * Converts Zod errors to simple Error objects for consistency
@@ -146,6 +411,23 @@ module.exports = {
     registerSchema,
     loginSchema,
     tokenSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    unlockAccountSchema,
+    magicLinkSchema,
+    verifyEmailSchema,
+    updateProfileSchema,
+    changePasswordSchema,
+    sessionIdSchema,
+    confirmTwoFactorSchema,
+    twoFactorLoginSchema,
+    disableTwoFactorSchema,
+    deleteAccountSchema,
+    ACCESS_TOKEN_SCOPES,
+    createAccessTokenSchema,
+    accessTokenIdSchema,
+    oidcCallbackSchema,
+    identityIdSchema,
     parseWithErrorHandling,
 };
 
@@ -0,0 +1,303 @@
+const { expect } = require('chai');
+const supertest = require('supertest');
+const config = require('../../../config');
+const prisma = require('../../../utils/prisma');
+const tokenBlacklist = require('../../auth/tokenBlacklist');
+const { app } = require('../../../server');
+
+describe('Files Controller (HTTP Layer)', () => {
+    const testUser = {
+        email: 'uploader@example.com',
+        password: 'Testpass123!',
+        name: 'Uploader',
+    };
+
+    const otherUser = {
+        email: 'other-uploader@example.com',
+        password: 'Testpass123!',
+        name: 'Other',
+    };
+
+    const pdf = Buffer.from('%PDF-1.4\n% test document\n');
+
+    const buildAuthToken = async (user = testUser) => {
+        await supertest(app).post('/auth/register').send(user);
+        const login = await supertest(app)
+            .post('/auth/login')
+            .send({ email: user.email, password: user.password });
+        return login.body.token;
+    };
+
+    const createApplication = async (token, position = 'Engineer') => {
+        const response = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ position, company: 'Acme', url: 'https://acme.example/job' });
+        return response.body;
+    };
+
+    const uploadCv = (token, fields = {}) => {
+        const request = supertest(app)
+            .post('/files')
+            .set('Authorization', `Bearer ${token}`)
+            .field('type', 'CV');
+        Object.entries(fields).forEach(([name, value]) => request.field(name, value));
+        return request.attach('file', pdf, { filename: 'resume.pdf', contentType: 'application/pdf' });
+    };
+
+    beforeEach(async () => {
+        await prisma.file.deleteMany();
+        await prisma.jobApplication.deleteMany();
+        await prisma.user.deleteMany();
+        await tokenBlacklist.clearBlacklist();
+    });
+
+    after(async () => {
+        await prisma.file.deleteMany();
+        await prisma.jobApplication.deleteMany();
+        await prisma.user.deleteMany();
+        await prisma.$disconnect();
+    });
+
+    it('uploads a CV linked to an application and downloads it', async () => {
+        const token = await buildAuthToken();
+        const application = await createApplication(token);
+
+        const upload = await uploadCv(token, { applicationIds: String(application.id) });
+
+        expect(upload.status).to.equal(201);
+        expect(upload.body).to.include({
+            type: 'CV',
+            filename: 'resume.pdf',
+            mimeType: 'application/pdf',
+            size: pdf.length,
+        });
+        expect(upload.body).to.not.have.property('storageKey');
+        expect(upload.body.applications.map((a) => a.id)).to.deep.equal([application.id]);
+
+        const download = await supertest(app)
+            .get(`/files/${upload.body.id}/download`)
+            .set('Authorization', `Bearer ${token}`)
+            .buffer(true)
+            .parse((res, callback) => {
+                const chunks = [];
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('end', () => callback(null, Buffer.concat(chunks)));
+            });
+
+        expect(download.status).to.equal(200);
+        expect(download.headers['content-type']).to.equal('application/pdf');
+        expect(download.headers['content-disposition']).to.include('attachment; filename="resume.pdf"');
+        expect(Buffer.compare(download.body, pdf)).to.equal(0);
+    });
+
+    it('rejects files whose content does not match the declared type', async () => {
+        const token = await buildAuthToken();
+
+        const response = await supertest(app)
+            .post('/files')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('file', Buffer.from('MZ not a pdf'), {
+                filename: 'resume.pdf',
+                contentType: 'application/pdf',
+            });
+
+        expect(response.status).to.equal(415);
+    });
+
+    it('rejects MIME types outside the whitelist', async () => {
+        const token = await buildAuthToken();
+
+        const response = await supertest(app)
+            .post('/files')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('file', Buffer.from('<html></html>'), {
+                filename: 'page.html',
+                contentType: 'text/html',
+            });
+
+        expect(response.status).to.equal(415);
+        expect(response.body.error).to.equal('Unsupported file type');
+    });
+
+    it('rejects more than 20 linked applications with 400', async () => {
+        const token = await buildAuthToken();
+        const applicationIds = Array.from({ length: 21 }, (_, index) => index + 1).join(',');
+
+        const response = await uploadCv(token, { applicationIds });
+
+        expect(response.status).to.equal(400);
+        expect(response.body.error).to.equal('applicationIds must be at most 20 applications');
+    });
+
+    it('links and unlinks a file and filters the list by application', async () => {
+        const token = await buildAuthToken();
+        const first = await createApplication(token, 'Engineer');
+        const second = await createApplication(token, 'Designer');
+        const upload = await uploadCv(token);
+
+        const linked = await supertest(app)
+            .put(`/files/${upload.body.id}/applications/${second.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(linked.status).to.equal(200);
+        expect(linked.body.applications.map((a) => a.id)).to.deep.equal([second.id]);
+
+        const forFirst = await supertest(app)
+            .get(`/files?applicationId=${first.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        const forSecond = await supertest(app)
+            .get(`/files?applicationId=${second.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(forFirst.body.items).to.have.lengthOf(0);
+        expect(forSecond.body.items).to.have.lengthOf(1);
+
+        const unlinked = await supertest(app)
+            .delete(`/files/${upload.body.id}/applications/${second.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(unlinked.status).to.equal(204);
+
+        const again = await supertest(app)
+            .delete(`/files/${upload.body.id}/applications/${second.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(again.status).to.equal(404);
+    });
+
+    it('keeps files and applications scoped to their owner', async () => {
+        const token = await buildAuthToken();
+        const otherToken = await buildAuthToken(otherUser);
+        const foreignApplication = await createApplication(otherToken);
+        const upload = await uploadCv(token);
+
+        const foreignLink = await supertest(app)
+            .put(`/files/${upload.body.id}/applications/${foreignApplication.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(foreignLink.status).to.equal(404);
+
+        const foreignDownload = await supertest(app)
+            .get(`/files/${upload.body.id}/download`)
+            .set('Authorization', `Bearer ${otherToken}`);
+        expect(foreignDownload.status).to.equal(404);
+
+        const foreignDelete = await supertest(app)
+            .delete(`/files/${upload.body.id}`)
+            .set('Authorization', `Bearer ${otherToken}`);
+        expect(foreignDelete.status).to.equal(404);
+    });
+
+    it('keeps serving the pinned revision after a new version is uploaded', async () => {
+        const token = await buildAuthToken();
+        const application = await createApplication(token);
+        const first = await uploadCv(token, { applicationIds: String(application.id) });
+
+        const second = await supertest(app)
+            .post(`/files/${first.body.id}/versions`)
+            .set('Authorization', `Bearer ${token}`)
+            .attach('file', Buffer.from('%PDF-1.4\n% tailored\n'), {
+                filename: 'resume-v2.pdf',
+                contentType: 'application/pdf',
+            });
+
+        expect(second.status).to.equal(201);
+        expect(second.body).to.include({
+            documentId: first.body.documentId,
+            version: 2,
+            type: 'CV',
+        });
+        expect(second.body.applications).to.have.lengthOf(0);
+
+        const history = await supertest(app)
+            .get(`/files/${second.body.id}/versions`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(history.status).to.equal(200);
+        expect(history.body.items.map((file) => file.version)).to.deep.equal([2, 1]);
+
+        const latest = await supertest(app)
+            .get('/files')
+            .set('Authorization', `Bearer ${token}`);
+        expect(latest.body.items.map((file) => file.id)).to.deep.equal([second.body.id]);
+
+        const pinned = await supertest(app)
+            .get(`/applications/${application.id}/files`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(pinned.body.items.map((file) => file.version)).to.deep.equal([1]);
+
+        const download = await supertest(app)
+            .get(`/applications/${application.id}/files/${first.body.id}/download`)
+            .set('Authorization', `Bearer ${token}`)
+            .buffer(true)
+            .parse((res, callback) => {
+                const chunks = [];
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('end', () => callback(null, Buffer.concat(chunks)));
+            });
+        expect(download.status).to.equal(200);
+        expect(Buffer.compare(download.body, pdf)).to.equal(0);
+
+        const notSent = await supertest(app)
+            .get(`/applications/${application.id}/files/${second.body.id}/download`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(notSent.status).to.equal(404);
+    });
+
+    it('replaces the pinned revision when another version is linked', async () => {
+        const token = await buildAuthToken();
+        const application = await createApplication(token);
+        const first = await uploadCv(token, { applicationIds: String(application.id) });
+        const second = await supertest(app)
+            .post(`/files/${first.body.id}/versions`)
+            .set('Authorization', `Bearer ${token}`)
+            .attach('file', pdf, { filename: 'resume-v2.pdf', contentType: 'application/pdf' });
+
+        await supertest(app)
+            .put(`/files/${second.body.id}/applications/${application.id}`)
+            .set('Authorization', `Bearer ${token}`);
+
+        const pinned = await supertest(app)
+            .get(`/applications/${application.id}/files`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(pinned.body.items.map((file) => file.id)).to.deep.equal([second.body.id]);
+
+        const locked = await supertest(app)
+            .delete(`/files/${second.body.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(locked.status).to.equal(409);
+
+        const freed = await supertest(app)
+            .delete(`/files/${first.body.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(freed.status).to.equal(204);
+    });
+
+    it('deletes a file', async () => {
+        const token = await buildAuthToken();
+        const upload = await uploadCv(token);
+
+        const response = await supertest(app)
+            .delete(`/files/${upload.body.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(response.status).to.equal(204);
+
+        const fetch = await supertest(app)
+            .get(`/files/${upload.body.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(fetch.status).to.equal(404);
+    });
+
+    it('blocks unverified users when EMAIL_VERIFICATION_MODE is block', async () => {
+        const token = await buildAuthToken();
+        const application = await createApplication(token);
+
+        config.emailVerificationMode = 'block';
+        try {
+            const files = await supertest(app).get('/files').set('Authorization', `Bearer ${token}`);
+            const applicationFiles = await supertest(app)
+                .get(`/applications/${application.id}/files`)
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(files.status).to.equal(403);
+            expect(applicationFiles.status).to.equal(403);
+        } finally {
+            config.emailVerificationMode = 'flag';
+        }
+    });
+});
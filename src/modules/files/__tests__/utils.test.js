@@ -0,0 +1,44 @@
+const { expect } = require('chai');
+const {
+    isAllowedFile,
+    matchesSignature,
+    sanitizeFilename,
+    contentDisposition,
+} = require('../utils');
+
+describe('Files utils', () => {
+    it('accepts only whitelisted MIME types', () => {
+        //Assertion
+        expect(isAllowedFile({ mimetype: 'application/pdf' })).to.equal(true);
+        expect(isAllowedFile({ mimetype: 'text/html' })).to.equal(false);
+        expect(isAllowedFile({ mimetype: 'application/x-msdownload' })).to.equal(false);
+    });
+
+    it('checks the content against the declared type', () => {
+        //Definition
+        const pdf = Buffer.from('%PDF-1.7\n...');
+        const executable = Buffer.from('MZ\x90\x00');
+        //Assertion
+        expect(matchesSignature(pdf, 'application/pdf')).to.equal(true);
+        expect(matchesSignature(executable, 'application/pdf')).to.equal(false);
+        expect(matchesSignature(Buffer.from('plain text'), 'text/plain')).to.equal(true);
+        expect(matchesSignature(Buffer.from([0x41, 0x00, 0x42]), 'text/plain')).to.equal(false);
+        expect(matchesSignature(Buffer.alloc(0), 'text/plain')).to.equal(false);
+    });
+
+    it('keeps only the base name of uploaded filenames', () => {
+        //Assertion
+        expect(sanitizeFilename('../../etc/passwd')).to.equal('passwd');
+        expect(sanitizeFilename('C:\\Users\\me\\cv "final".pdf')).to.equal('cv final.pdf');
+        expect(sanitizeFilename('')).to.equal('file');
+    });
+
+    it('builds a download header with an ASCII fallback and the UTF-8 name', () => {
+        //Execution
+        const header = contentDisposition('Lebenslauf Müller.pdf');
+        //Assertion
+        expect(header).to.equal(
+            "attachment; filename=\"Lebenslauf M_ller.pdf\"; filename*=UTF-8''Lebenslauf%20M%C3%BCller.pdf"
+        );
+    });
+});
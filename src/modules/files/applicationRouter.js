@@ -0,0 +1,35 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const config = require('../../config');
+const authMiddleware = require('../../utils/authMiddleware');
+const { requireVerifiedEmail } = authMiddleware;
+const { listApplicationFiles, downloadApplicationFile } = require('./controller');
+
+// Mounted at /applications/:applicationId/files
+const router = express.Router({ mergeParams: true });
+
+const createLimiter = (options) => {
+    if (config.isTest) {
+        return (req, res, next) => next();
+    }
+    return rateLimit(options);
+};
+
+const readLimiter = createLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitMaxApplicationsRead,
+    message: 'Too many requests, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// All routes require authentication (and a verified email when EMAIL_VERIFICATION_MODE=block);
+// they only read, so personal access tokens need applications:read like the rest of /applications
+router.use(authMiddleware.withScope('applications:read'));
+router.use(requireVerifiedEmail);
+
+router.get('/', readLimiter, listApplicationFiles);
+// Always serves the revision pinned to the application, never the latest one
+router.get('/:fileId/download', readLimiter, downloadApplicationFile);
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const { pipeline } = require('stream');
+const config = require('../../config');
+const service = require('./service');
+const { contentDisposition } = require('./utils');
+
+const isValidationError = (message = '') =>
+    message.toLowerCase().includes('required') ||
+    message.toLowerCase().includes('must be') ||
+    message.toLowerCase().includes('invalid') ||
+    message.toLowerCase().includes('non-empty') ||
+    message.toLowerCase().includes('at least');
+
+const errorResponse = (res, error) => {
+    const message = error.message || 'Internal server error';
+    let status = error.status || 500;
+
+    if (!error.status && isValidationError(message)) {
+        status = 400;
+    }
+
+    const responseMessage =
+        config.isProduction && status >= 500 ? 'Internal server error' : message;
+
+    return res.status(status).json({ error: responseMessage });
+};
+
+const uploadFile = async (req, res) => {
+    try {
+        const file = await service.uploadFile(req.user.id, req.file, req.body);
+        return res.status(201).json(file);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const listFiles = async (req, res) => {
+    try {
+        const result = await service.listFiles(req.user.id, req.query);
+        return res.status(200).json(result);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const getFile = async (req, res) => {
+    try {
+        const file = await service.getFile(req.user.id, req.params.id);
+        return res.status(200).json(file);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const sendDownload = (res, download) => {
+    res.status(200);
+    res.setHeader('Content-Type', download.mimeType);
+    res.setHeader('Content-Length', download.size);
+    res.setHeader('Content-Disposition', contentDisposition(download.filename));
+
+    // pipeline destroys both ends when either fails, so a client abort also closes the stored file;
+    // headers are already out by then, so a storage error can only be logged
+    pipeline(download.stream, res, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error('File download failed:', error.message);
+        }
+    });
+};
+
+const downloadFile = async (req, res) => {
+    try {
+        const download = await service.openFile(req.user.id, req.params.id);
+        return sendDownload(res, download);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const uploadVersion = async (req, res) => {
+    try {
+        const file = await service.uploadVersion(req.user.id, req.params.id, req.file);
+        return res.status(201).json(file);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const listVersions = async (req, res) => {
+    try {
+        const result = await service.listVersions(req.user.id, req.params.id);
+        return res.status(200).json(result);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const deleteFile = async (req, res) => {
+    try {
+        await service.deleteFile(req.user.id, req.params.id);
+        return res.status(204).send();
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const linkApplication = async (req, res) => {
+    try {
+        const file = await service.linkApplication(
+            req.user.id,
+            req.params.id,
+            req.params.applicationId
+        );
+        return res.status(200).json(file);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const unlinkApplication = async (req, res) => {
+    try {
+        await service.unlinkApplication(req.user.id, req.params.id, req.params.applicationId);
+        return res.status(204).send();
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const listApplicationFiles = async (req, res) => {
+    try {
+        const result = await service.listApplicationFiles(req.user.id, req.params.applicationId);
+        return res.status(200).json(result);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const downloadApplicationFile = async (req, res) => {
+    try {
+        const download = await service.openApplicationFile(
+            req.user.id,
+            req.params.applicationId,
+            req.params.fileId
+        );
+        return sendDownload(res, download);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+module.exports = {
+    uploadFile,
+    listFiles,
+    getFile,
+    downloadFile,
+    uploadVersion,
+    listVersions,
+    deleteFile,
+    linkApplication,
+    unlinkApplication,
+    listApplicationFiles,
+    downloadApplicationFile,
+};
@@ -0,0 +1,194 @@
+const prisma = require('../../utils/prisma');
+
+const baseSelect = {
+    id: true,
+    type: true,
+    filename: true,
+    mimeType: true,
+    size: true,
+    uploadedAt: true,
+    documentId: true,
+    version: true,
+    applications: {
+        select: {
+            linkedAt: true,
+            jobApplication: {
+                select: { id: true, position: true, company: true },
+            },
+        },
+        orderBy: { linkedAt: 'asc' },
+    },
+};
+
+// The storage key is internal and only read when the content is needed
+const withStorageKey = {
+    ...baseSelect,
+    storageKey: true,
+};
+
+// Without documentId a new document is started; with it, a revision is added
+const createFile = async ({
+    type,
+    filename,
+    storageKey,
+    mimeType,
+    size,
+    userId,
+    documentId,
+    version,
+    applicationIds = [],
+}) => {
+    return prisma.file.create({
+        data: {
+            type,
+            filename,
+            storageKey,
+            mimeType,
+            size,
+            userId,
+            ...(documentId ? { documentId, version } : {}),
+            ...(applicationIds.length > 0
+                ? {
+                      applications: {
+                          create: applicationIds.map((jobApplicationId) => ({ jobApplicationId })),
+                      },
+                  }
+                : {}),
+        },
+        select: baseSelect,
+    });
+};
+
+// Files linked to an application: exactly the revisions that were pinned
+const listFilesForApplication = async ({ userId, type, applicationId }) => {
+    return prisma.file.findMany({
+        where: {
+            userId,
+            ...(type ? { type } : {}),
+            applications: { some: { jobApplicationId: applicationId } },
+        },
+        orderBy: [{ uploadedAt: 'desc' }, { id: 'desc' }],
+        select: baseSelect,
+    });
+};
+
+// One entry per document: its latest revision
+const listLatestFiles = async ({ userId, type }) => {
+    return prisma.file.findMany({
+        where: {
+            userId,
+            ...(type ? { type } : {}),
+        },
+        distinct: ['documentId'],
+        orderBy: [{ documentId: 'asc' }, { version: 'desc' }],
+        select: baseSelect,
+    });
+};
+
+const listVersions = async (documentId, userId) => {
+    return prisma.file.findMany({
+        where: {
+            documentId,
+            userId,
+        },
+        orderBy: { version: 'desc' },
+        select: baseSelect,
+    });
+};
+
+const findLatestVersionNumber = async (documentId) => {
+    const result = await prisma.file.aggregate({
+        where: { documentId },
+        _max: { version: true },
+    });
+    return result._max.version || 0;
+};
+
+const findFileByIdForUser = async (id, userId) => {
+    return prisma.file.findFirst({
+        where: {
+            id,
+            userId,
+        },
+        select: withStorageKey,
+    });
+};
+
+const deleteFile = async (id) => {
+    return prisma.file.delete({
+        where: { id },
+        select: { id: true },
+    });
+};
+
+const countApplicationsForUser = async (ids, userId) => {
+    return prisma.jobApplication.count({
+        where: {
+            id: { in: ids },
+            userId,
+        },
+    });
+};
+
+// An application holds one revision per document: pinning replaces any other revision
+const pinApplication = async ({ id, documentId }, jobApplicationId) => {
+    return prisma.$transaction([
+        prisma.applicationFile.deleteMany({
+            where: {
+                jobApplicationId,
+                fileId: { not: id },
+                file: { documentId },
+            },
+        }),
+        prisma.applicationFile.upsert({
+            where: { fileId_jobApplicationId: { fileId: id, jobApplicationId } },
+            create: { fileId: id, jobApplicationId },
+            update: {},
+        }),
+    ]);
+};
+
+const findApplicationForUser = async (id, userId) => {
+    return prisma.jobApplication.findFirst({
+        where: {
+            id,
+            userId,
+        },
+        select: { id: true },
+    });
+};
+
+const findFileForApplication = async (id, jobApplicationId, userId) => {
+    return prisma.file.findFirst({
+        where: {
+            id,
+            userId,
+            applications: { some: { jobApplicationId } },
+        },
+        select: withStorageKey,
+    });
+};
+
+const unlinkApplication = async (fileId, jobApplicationId) => {
+    return prisma.applicationFile.deleteMany({
+        where: {
+            fileId,
+            jobApplicationId,
+        },
+    });
+};
+
+module.exports = {
+    createFile,
+    listFilesForApplication,
+    listLatestFiles,
+    listVersions,
+    findLatestVersionNumber,
+    findFileByIdForUser,
+    deleteFile,
+    countApplicationsForUser,
+    findApplicationForUser,
+    findFileForApplication,
+    pinApplication,
+    unlinkApplication,
+};
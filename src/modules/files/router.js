@@ -0,0 +1,70 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const config = require('../../config');
+const authMiddleware = require('../../utils/authMiddleware');
+const { requireVerifiedEmail } = authMiddleware;
+const { singleFileUpload } = require('../../utils/upload');
+const { isAllowedFile } = require('./utils');
+const {
+    uploadFile,
+    listFiles,
+    getFile,
+    downloadFile,
+    uploadVersion,
+    listVersions,
+    deleteFile,
+    linkApplication,
+    unlinkApplication,
+} = require('./controller');
+
+const router = express.Router();
+
+const createLimiter = (options) => {
+    if (config.isTest) {
+        return (req, res, next) => next();
+    }
+    return rateLimit(options);
+};
+
+// Files share the applications budgets: they are part of the same screens
+const writeLimiter = createLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitMaxApplicationsWrite,
+    message: 'Too many requests, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const readLimiter = createLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitMaxApplicationsRead,
+    message: 'Too many requests, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const documentUpload = singleFileUpload({
+    field: 'file',
+    maxFileSize: config.fileMaxSizeBytes,
+    accept: isAllowedFile,
+});
+
+// Files are part of the applications data: personal access tokens need the applications scopes
+const applicationsScope = (req) => (req.method === 'GET' ? 'applications:read' : 'applications:write');
+
+// All routes require authentication (and a verified email when EMAIL_VERIFICATION_MODE=block)
+router.use(authMiddleware.withScope(applicationsScope));
+router.use(requireVerifiedEmail);
+
+router.post('/', writeLimiter, documentUpload, uploadFile);
+router.get('/', readLimiter, listFiles);
+router.get('/:id', readLimiter, getFile);
+router.get('/:id/download', readLimiter, downloadFile);
+router.get('/:id/versions', readLimiter, listVersions);
+router.post('/:id/versions', writeLimiter, documentUpload, uploadVersion);
+router.delete('/:id', writeLimiter, deleteFile);
+// Pins this exact revision to the application (replacing other revisions of the document)
+router.put('/:id/applications/:applicationId', writeLimiter, linkApplication);
+router.delete('/:id/applications/:applicationId', writeLimiter, unlinkApplication);
+
+module.exports = router;
@@ -0,0 +1,266 @@
+const { randomUUID } = require('crypto');
+const model = require('./model');
+const { getStorage } = require('../../utils/storage');
+const { matchesSignature, sanitizeFilename } = require('./utils');
+const {
+    uploadFileSchema,
+    listFilesSchema,
+    idSchema,
+    applicationIdSchema,
+    parseWithErrorHandling,
+} = require('./validations');
+
+const conflict = (message) => {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+};
+
+const notFound = (message) => {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
+};
+
+// Public shape: linked applications are flattened and the storage key stays internal
+const toFileResponse = ({ storageKey, applications, ...file }) => ({
+    ...file,
+    applications: applications.map(({ linkedAt, jobApplication }) => ({
+        ...jobApplication,
+        linkedAt,
+    })),
+});
+
+const findFileOrThrow = async (userId, id) => {
+    const fileId = parseWithErrorHandling(idSchema, id);
+    const file = await model.findFileByIdForUser(fileId, userId);
+    if (!file) {
+        throw notFound('File not found');
+    }
+    return file;
+};
+
+// Files can only be linked to the owner's applications
+const ensureApplicationsBelongToUser = async (applicationIds, userId) => {
+    if (!applicationIds || applicationIds.length === 0) return;
+
+    const owned = await model.countApplicationsForUser(applicationIds, userId);
+    if (owned !== applicationIds.length) {
+        throw notFound('Application not found');
+    }
+};
+
+const requireUpload = (file) => {
+    if (!file || !file.buffer) {
+        const error = new Error('File is required');
+        error.status = 400;
+        throw error;
+    }
+    if (!matchesSignature(file.buffer, file.mimetype)) {
+        const error = new Error('File content does not match its type');
+        error.status = 415;
+        throw error;
+    }
+};
+
+// The content is written first; if the database insert fails it is removed again
+const storeFile = async (userId, file, data) => {
+    const storage = getStorage();
+    const storageKey = `${userId}/${randomUUID()}`;
+    await storage.save(storageKey, file.buffer);
+
+    try {
+        const created = await model.createFile({
+            ...data,
+            filename: sanitizeFilename(file.originalname),
+            storageKey,
+            mimeType: file.mimetype,
+            size: file.size,
+            userId,
+        });
+        return toFileResponse(created);
+    } catch (error) {
+        await storage.remove(storageKey).catch(() => {});
+        // (documentId, version) is unique: another revision was uploaded at the same time
+        if (error.code === 'P2002') {
+            throw conflict('Another version of this document was uploaded at the same time');
+        }
+        throw error;
+    }
+};
+
+/**
+ * Store an uploaded document (version 1) and optionally link it to applications
+ */
+const uploadFile = async (userId, file, payload) => {
+    if (!userId) throw new Error('User context is required');
+    requireUpload(file);
+    const validated = parseWithErrorHandling(uploadFileSchema, payload || {});
+
+    await ensureApplicationsBelongToUser(validated.applicationIds, userId);
+
+    return storeFile(userId, file, {
+        type: validated.type,
+        applicationIds: validated.applicationIds,
+    });
+};
+
+/**
+ * Upload a new revision of an existing document
+ * Applications keep the revision they were linked to until they are pinned again.
+ */
+const uploadVersion = async (userId, id, file) => {
+    if (!userId) throw new Error('User context is required');
+    const current = await findFileOrThrow(userId, id);
+    requireUpload(file);
+
+    const latest = await model.findLatestVersionNumber(current.documentId);
+    return storeFile(userId, file, {
+        type: current.type,
+        documentId: current.documentId,
+        version: latest + 1,
+    });
+};
+
+const listVersions = async (userId, id) => {
+    if (!userId) throw new Error('User context is required');
+    const file = await findFileOrThrow(userId, id);
+
+    const versions = await model.listVersions(file.documentId, userId);
+    return {
+        documentId: file.documentId,
+        items: versions.map(toFileResponse),
+    };
+};
+
+const listFiles = async (userId, query) => {
+    if (!userId) throw new Error('User context is required');
+    const filters = parseWithErrorHandling(listFilesSchema, query || {});
+
+    if (filters.applicationId) {
+        const linked = await model.listFilesForApplication({ userId, ...filters });
+        return { items: linked.map(toFileResponse) };
+    }
+
+    // Latest revision of each document, most recently uploaded first
+    const latest = await model.listLatestFiles({ userId, type: filters.type });
+    latest.sort((a, b) => b.uploadedAt - a.uploadedAt || b.id - a.id);
+    return { items: latest.map(toFileResponse) };
+};
+
+const getFile = async (userId, id) => {
+    if (!userId) throw new Error('User context is required');
+    const file = await findFileOrThrow(userId, id);
+    return toFileResponse(file);
+};
+
+const openStoredFile = async (file) => {
+    let stream;
+    try {
+        stream = await getStorage().read(file.storageKey);
+    } catch (error) {
+        // Row exists but the stored content is gone
+        if (error.code === 'ENOENT') {
+            throw notFound('File content not found');
+        }
+        throw error;
+    }
+
+    return {
+        filename: file.filename,
+        mimeType: file.mimeType,
+        size: file.size,
+        stream,
+    };
+};
+
+/**
+ * Open the content of a file for download
+ * @returns {Promise<object>} - { filename, mimeType, size, stream }
+ */
+const openFile = async (userId, id) => {
+    if (!userId) throw new Error('User context is required');
+    const file = await findFileOrThrow(userId, id);
+    return openStoredFile(file);
+};
+
+const deleteFile = async (userId, id) => {
+    if (!userId) throw new Error('User context is required');
+    const file = await findFileOrThrow(userId, id);
+
+    // A revision that was sent with an application is part of its record
+    if (file.applications.length > 0) {
+        throw conflict('File is linked to applications; unlink it first');
+    }
+
+    await model.deleteFile(file.id);
+    // The row is gone either way; a leftover blob is only wasted space
+    await getStorage()
+        .remove(file.storageKey)
+        .catch((error) => console.error(`Failed to remove stored file ${file.storageKey}:`, error.message));
+
+    return { message: 'File deleted' };
+};
+
+const linkApplication = async (userId, id, applicationId) => {
+    if (!userId) throw new Error('User context is required');
+    const file = await findFileOrThrow(userId, id);
+    const jobApplicationId = parseWithErrorHandling(applicationIdSchema, applicationId);
+    await ensureApplicationsBelongToUser([jobApplicationId], userId);
+
+    await model.pinApplication(file, jobApplicationId);
+    return getFile(userId, file.id);
+};
+
+const unlinkApplication = async (userId, id, applicationId) => {
+    if (!userId) throw new Error('User context is required');
+    const file = await findFileOrThrow(userId, id);
+    const jobApplicationId = parseWithErrorHandling(applicationIdSchema, applicationId);
+
+    const { count } = await model.unlinkApplication(file.id, jobApplicationId);
+    if (count === 0) {
+        throw notFound('File is not linked to this application');
+    }
+    return { message: 'File unlinked' };
+};
+
+// Application-scoped access: only the revisions linked to the application
+const requireApplication = async (userId, applicationId) => {
+    if (!userId) throw new Error('User context is required');
+    const jobApplicationId = parseWithErrorHandling(applicationIdSchema, applicationId);
+    const application = await model.findApplicationForUser(jobApplicationId, userId);
+    if (!application) {
+        throw notFound('Application not found');
+    }
+    return application;
+};
+
+const listApplicationFiles = async (userId, applicationId) => {
+    const application = await requireApplication(userId, applicationId);
+    return listFiles(userId, { applicationId: application.id });
+};
+
+const openApplicationFile = async (userId, applicationId, id) => {
+    const application = await requireApplication(userId, applicationId);
+    const fileId = parseWithErrorHandling(idSchema, id);
+
+    const file = await model.findFileForApplication(fileId, application.id, userId);
+    if (!file) {
+        throw notFound('File not found');
+    }
+    return openStoredFile(file);
+};
+
+module.exports = {
+    uploadFile,
+    uploadVersion,
+    listVersions,
+    listFiles,
+    getFile,
+    openFile,
+    deleteFile,
+    linkApplication,
+    unlinkApplication,
+    listApplicationFiles,
+    openApplicationFile,
+};
@@ -0,0 +1,78 @@
+//Upload rules for documents: accepted MIME types, content sniffing and download headers
+
+const startsWith = (buffer, bytes) =>
+    buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+
+const ZIP = [0x50, 0x4b, 0x03, 0x04]; // docx and odt are zip containers
+const OLE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]; // legacy .doc
+
+// Accepted MIME types and the leading bytes their content must start with
+// (the MIME type declared by the client alone is not trusted)
+const SIGNATURES = {
+    'application/pdf': (buffer) => startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d]), // %PDF-
+    'application/msword': (buffer) => startsWith(buffer, OLE),
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': (buffer) =>
+        startsWith(buffer, ZIP),
+    'application/vnd.oasis.opendocument.text': (buffer) => startsWith(buffer, ZIP),
+    'application/rtf': (buffer) => buffer.subarray(0, 5).toString('latin1') === '{\\rtf',
+    'text/plain': (buffer) => !buffer.includes(0),
+    'image/png': (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    'image/jpeg': (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+};
+
+const ALLOWED_MIME_TYPES = Object.keys(SIGNATURES);
+
+/**
+ * Check the declared MIME type of an upload against the whitelist
+ * @param {object} file - Multer file ({ mimetype, originalname })
+ * @returns {boolean}
+ */
+const isAllowedFile = (file) => ALLOWED_MIME_TYPES.includes(file.mimetype);
+
+/**
+ * Check that the file content looks like its declared MIME type
+ * @param {Buffer} buffer - File content
+ * @param {string} mimeType - Declared MIME type
+ * @returns {boolean}
+ */
+const matchesSignature = (buffer, mimeType) => {
+    const check = SIGNATURES[mimeType];
+    return Boolean(check) && buffer.length > 0 && check(buffer);
+};
+
+/**
+ * Keep only the base name of a client-supplied filename
+ * @param {string} name - Original filename
+ * @returns {string}
+ */
+const sanitizeFilename = (name) => {
+    const base = String(name || '')
+        .split(/[\\/]/)
+        .pop()
+        .replace(/[\u0000-\u001f\u007f"]/g, '')
+        .trim();
+    return (base || 'file').slice(0, 255);
+};
+
+/**
+ * Build a Content-Disposition header forcing a download
+ * Carries an ASCII fallback plus the UTF-8 name (RFC 6266 / RFC 5987).
+ * @param {string} filename - Stored filename
+ * @returns {string}
+ */
+const contentDisposition = (filename) => {
+    const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/[\\"]/g, '_');
+    const encoded = encodeURIComponent(filename).replace(
+        /['()*]/g,
+        (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+    );
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+module.exports = {
+    ALLOWED_MIME_TYPES,
+    isAllowedFile,
+    matchesSignature,
+    sanitizeFilename,
+    contentDisposition,
+};
@@ -0,0 +1,92 @@
+const { z } = require('zod');
+
+// Allowed document types (aligned with the FileType enum)
+const FILE_TYPES = ['CV', 'COVER_LETTER', 'OTHER'];
+
+const positiveId = (label) =>
+    z.preprocess(
+        (val) => Number(val),
+        z
+            .number({
+                invalid_type_error: `${label} must be a number`,
+            })
+            .int(`${label} must be an integer`)
+            .positive(`${label} must be positive`)
+    );
+
+// Multipart fields are strings: applicationIds arrives as "1,2" or repeated fields
+const applicationIdsField = z.preprocess(
+    (val) => {
+        const raw = Array.isArray(val) ? val.join(',') : val;
+        if (typeof raw !== 'string') return raw;
+        const ids = raw
+            .split(',')
+            .map((id) => id.trim())
+            .filter(Boolean)
+            .map(Number);
+        return ids.length > 0 ? ids : undefined;
+    },
+    z
+        .array(
+            z
+                .number({
+                    invalid_type_error: 'Application id must be a number',
+                })
+                .int('Application id must be an integer')
+                .positive('Application id must be positive'),
+            {
+                invalid_type_error: 'applicationIds must be a comma-separated list of ids',
+            }
+        )
+        .max(20, 'applicationIds must be at most 20 applications')
+        .transform((ids) => [...new Set(ids)])
+        .optional()
+);
+
+const uploadFileSchema = z.object({
+    type: z
+        .enum(FILE_TYPES, {
+            message: 'type must be one of CV, COVER_LETTER or OTHER',
+        })
+        .optional()
+        .default('OTHER'),
+    applicationIds: applicationIdsField,
+});
+
+const listFilesSchema = z.object({
+    type: z
+        .enum(FILE_TYPES, {
+            message: 'type must be one of CV, COVER_LETTER or OTHER',
+        })
+        .optional(),
+    applicationId: positiveId('Application id').optional(),
+});
+
+const idSchema = positiveId('File id');
+
+const applicationIdSchema = positiveId('Application id');
+
+const parseWithErrorHandling = (schema, data) => {
+    try {
+        return schema.parse(data);
+    } catch (error) {
+        if (error instanceof z.ZodError) {
+            const issues = error.issues || error.errors || [];
+            if (issues.length > 0) {
+                const first = issues[0];
+                const message = first.message || 'Validation failed';
+                throw new Error(message);
+            }
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    FILE_TYPES,
+    uploadFileSchema,
+    listFilesSchema,
+    idSchema,
+    applicationIdSchema,
+    parseWithErrorHandling,
+};
@@ -0,0 +1,153 @@
+const { expect } = require('chai');
+const supertest = require('supertest');
+const prisma = require('../../../utils/prisma');
+const tokenBlacklist = require('../../auth/tokenBlacklist');
+const { app } = require('../../../server');
+
+describe('Tags Controller (HTTP Layer)', () => {
+    const testUser = {
+        email: 'tagger@example.com',
+        password: 'Testpass123!',
+        name: 'Tagger',
+    };
+
+    const buildAuthToken = async (user = testUser) => {
+        await supertest(app).post('/auth/register').send(user);
+        const login = await supertest(app)
+            .post('/auth/login')
+            .send({ email: user.email, password: user.password });
+        return login.body.token;
+    };
+
+    beforeEach(async () => {
+        await prisma.tag.deleteMany();
+        await prisma.jobApplication.deleteMany();
+        await prisma.user.deleteMany();
+        await tokenBlacklist.clearBlacklist();
+    });
+
+    after(async () => {
+        await prisma.tag.deleteMany();
+        await prisma.jobApplication.deleteMany();
+        await prisma.user.deleteMany();
+        await prisma.$disconnect();
+    });
+
+    it('creates a tag with a default color', async () => {
+        const token = await buildAuthToken();
+
+        const response = await supertest(app)
+            .post('/tags')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: '  Remote ' });
+
+        expect(response.status).to.equal(201);
+        expect(response.body).to.include({ name: 'Remote', color: '#64748b' });
+    });
+
+    it('rejects duplicate names regardless of case', async () => {
+        const token = await buildAuthToken();
+
+        await supertest(app)
+            .post('/tags')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Fintech' });
+
+        const response = await supertest(app)
+            .post('/tags')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'fintech' });
+
+        expect(response.status).to.equal(409);
+    });
+
+    it('renames and recolors a tag', async () => {
+        const token = await buildAuthToken();
+
+        const created = await supertest(app)
+            .post('/tags')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Onsite' });
+
+        const response = await supertest(app)
+            .patch(`/tags/${created.body.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Hybrid', color: '#22C55E' });
+
+        expect(response.status).to.equal(200);
+        expect(response.body).to.include({ name: 'Hybrid', color: '#22c55e' });
+    });
+
+    it('rejects invalid colors and names with commas', async () => {
+        const token = await buildAuthToken();
+
+        const badColor = await supertest(app)
+            .post('/tags')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Colorful', color: 'red' });
+        expect(badColor.status).to.equal(400);
+
+        const badName = await supertest(app)
+            .post('/tags')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'remote,fintech' });
+        expect(badName.status).to.equal(400);
+    });
+
+    it('lists tags with usage counts and deletes them without deleting applications', async () => {
+        const token = await buildAuthToken();
+
+        const tag = await supertest(app)
+            .post('/tags')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Startup' });
+
+        const application = await supertest(app)
+            .post('/applications')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                position: 'Tagged Role',
+                company: 'Tau',
+                url: 'https://tau.example/job',
+                tagIds: [tag.body.id],
+            });
+
+        const list = await supertest(app)
+            .get('/tags')
+            .set('Authorization', `Bearer ${token}`);
+        expect(list.status).to.equal(200);
+        expect(list.body.items[0]).to.include({ name: 'Startup', applicationCount: 1 });
+
+        const removed = await supertest(app)
+            .delete(`/tags/${tag.body.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(removed.status).to.equal(204);
+
+        const fetched = await supertest(app)
+            .get(`/applications/${application.body.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        expect(fetched.status).to.equal(200);
+        expect(fetched.body.tags).to.deep.equal([]);
+    });
+
+    it('does not expose tags of other users', async () => {
+        const ownerToken = await buildAuthToken();
+        const otherToken = await buildAuthToken({
+            email: 'other-tagger@example.com',
+            password: 'Testpass123!',
+            name: 'Other',
+        });
+
+        const tag = await supertest(app)
+            .post('/tags')
+            .set('Authorization', `Bearer ${ownerToken}`)
+            .send({ name: 'Private' });
+
+        const response = await supertest(app)
+            .patch(`/tags/${tag.body.id}`)
+            .set('Authorization', `Bearer ${otherToken}`)
+            .send({ name: 'Stolen' });
+
+        expect(response.status).to.equal(404);
+    });
+});
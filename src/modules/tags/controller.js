@@ -0,0 +1,66 @@
+const config = require('../../config');
+const service = require('./service');
+
+const isValidationError = (message = '') =>
+    message.toLowerCase().includes('required') ||
+    message.toLowerCase().includes('must be') ||
+    message.toLowerCase().includes('invalid') ||
+    message.toLowerCase().includes('non-empty') ||
+    message.toLowerCase().includes('at least');
+
+const errorResponse = (res, error) => {
+    const message = error.message || 'Internal server error';
+    let status = error.status || 500;
+
+    if (!error.status && isValidationError(message)) {
+        status = 400;
+    }
+
+    const responseMessage =
+        config.isProduction && status >= 500 ? 'Internal server error' : message;
+
+    return res.status(status).json({ error: responseMessage });
+};
+
+const listTags = async (req, res) => {
+    try {
+        const result = await service.listTags(req.user.id);
+        return res.status(200).json(result);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const createTag = async (req, res) => {
+    try {
+        const tag = await service.createTag(req.user.id, req.body);
+        return res.status(201).json(tag);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const updateTag = async (req, res) => {
+    try {
+        const tag = await service.updateTag(req.user.id, req.params.id, req.body);
+        return res.status(200).json(tag);
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+const deleteTag = async (req, res) => {
+    try {
+        await service.deleteTag(req.user.id, req.params.id);
+        return res.status(204).send();
+    } catch (error) {
+        return errorResponse(res, error);
+    }
+};
+
+module.exports = {
+    listTags,
+    createTag,
+    updateTag,
+    deleteTag,
+};
@@ -0,0 +1,75 @@
+const prisma = require('../../utils/prisma');
+
+const baseSelect = {
+    id: true,
+    name: true,
+    color: true,
+    createdAt: true,
+};
+
+const createTag = async ({ name, color, userId }) => {
+    return prisma.tag.create({
+        data: {
+            name,
+            color,
+            userId,
+        },
+        select: baseSelect,
+    });
+};
+
+const listTags = async (userId) => {
+    return prisma.tag.findMany({
+        where: { userId },
+        orderBy: [{ name: 'asc' }, { id: 'asc' }],
+        select: {
+            ...baseSelect,
+            _count: { select: { applications: true } },
+        },
+    });
+};
+
+const findTagByIdForUser = async (id, userId) => {
+    return prisma.tag.findFirst({
+        where: {
+            id,
+            userId,
+        },
+        select: baseSelect,
+    });
+};
+
+// Tag names are unique per user regardless of case
+const findTagByNameForUser = async (name, userId) => {
+    return prisma.tag.findFirst({
+        where: {
+            userId,
+            name: { equals: name, mode: 'insensitive' },
+        },
+        select: baseSelect,
+    });
+};
+
+const updateTag = async (id, data) => {
+    return prisma.tag.update({
+        where: { id },
+        data,
+        select: baseSelect,
+    });
+};
+
+const deleteTag = async (id) => {
+    return prisma.tag.delete({
+        where: { id },
+        select: { id: true },
+    });
+};
+
+module.exports = {
+    createTag,
+    listTags,
+    findTagByIdForUser,
+    findTagByNameForUser,
+    updateTag,
+    deleteTag,
+};
@@ -0,0 +1,41 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const config = require('../../config');
+const authMiddleware = require('../../utils/authMiddleware');
+const { listTags, createTag, updateTag, deleteTag } = require('./controller');
+
+const router = express.Router();
+
+const createLimiter = (options) => {
+    if (config.isTest) {
+        return (req, res, next) => next();
+    }
+    return rateLimit(options);
+};
+
+// Tags share the applications budgets: they are part of the same screens
+const writeLimiter = createLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitMaxApplicationsWrite,
+    message: 'Too many requests, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const readLimiter = createLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitMaxApplicationsRead,
+    message: 'Too many requests, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// All routes require authentication
+router.use(authMiddleware);
+
+router.get('/', readLimiter, listTags);
+router.post('/', writeLimiter, createTag);
+router.patch('/:id', writeLimiter, updateTag);
+router.delete('/:id', writeLimiter, deleteTag);
+
+module.exports = router;
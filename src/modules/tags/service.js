@@ -0,0 +1,94 @@
+const model = require('./model');
+const {
+    createTagSchema,
+    updateTagSchema,
+    idSchema,
+    parseWithErrorHandling,
+} = require('./validations');
+
+const duplicateTagError = () => {
+    const error = new Error('A tag with this name already exists');
+    error.status = 409;
+    return error;
+};
+
+const ensureNameAvailable = async (name, userId, currentTagId = null) => {
+    const existing = await model.findTagByNameForUser(name, userId);
+    if (existing && existing.id !== currentTagId) {
+        throw duplicateTagError();
+    }
+};
+
+const findTagOrThrow = async (userId, id) => {
+    const tagId = parseWithErrorHandling(idSchema, id);
+    const tag = await model.findTagByIdForUser(tagId, userId);
+    if (!tag) {
+        const error = new Error('Tag not found');
+        error.status = 404;
+        throw error;
+    }
+    return tag;
+};
+
+// Unique constraint (userId, name) still guards concurrent requests
+const rethrowDuplicate = (error) => {
+    if (error.code === 'P2002') {
+        throw duplicateTagError();
+    }
+    throw error;
+};
+
+const listTags = async (userId) => {
+    if (!userId) throw new Error('User context is required');
+
+    const tags = await model.listTags(userId);
+    return {
+        items: tags.map(({ _count, ...tag }) => ({
+            ...tag,
+            applicationCount: _count.applications,
+        })),
+    };
+};
+
+const createTag = async (userId, payload) => {
+    if (!userId) throw new Error('User context is required');
+    const validated = parseWithErrorHandling(createTagSchema, payload || {});
+
+    await ensureNameAvailable(validated.name, userId);
+
+    return model
+        .createTag({
+            name: validated.name,
+            color: validated.color,
+            userId,
+        })
+        .catch(rethrowDuplicate);
+};
+
+const updateTag = async (userId, id, payload) => {
+    if (!userId) throw new Error('User context is required');
+    const validated = parseWithErrorHandling(updateTagSchema, payload || {});
+    const tag = await findTagOrThrow(userId, id);
+
+    if (validated.name !== undefined) {
+        await ensureNameAvailable(validated.name, userId, tag.id);
+    }
+
+    return model.updateTag(tag.id, validated).catch(rethrowDuplicate);
+};
+
+// Deleting a tag only removes it from applications, never the applications themselves
+const deleteTag = async (userId, id) => {
+    if (!userId) throw new Error('User context is required');
+    const tag = await findTagOrThrow(userId, id);
+
+    await model.deleteTag(tag.id);
+    return { message: 'Tag deleted' };
+};
+
+module.exports = {
+    listTags,
+    createTag,
+    updateTag,
+    deleteTag,
+};
@@ -0,0 +1,70 @@
+const { z } = require('zod');
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const tagName = z.preprocess(
+    (val) => (typeof val === 'string' ? val.trim() : val),
+    z
+        .string({
+            invalid_type_error: 'Tag name must be a string',
+        })
+        .min(1, 'Tag name must be a non-empty string')
+        .max(50, 'Tag name must be at most 50 characters long')
+        // Commas separate tags in the ?tags= filter of GET /applications
+        .refine((val) => !val.includes(','), 'Tag name must be written without commas')
+);
+
+const tagColor = z
+    .string({
+        invalid_type_error: 'Color must be a string',
+    })
+    .regex(COLOR_PATTERN, 'Color must be a hex color like #1a2b3c')
+    .transform((val) => val.toLowerCase());
+
+const createTagSchema = z.object({
+    name: tagName,
+    color: tagColor.optional(),
+});
+
+const updateTagSchema = z
+    .object({
+        name: tagName.optional(),
+        color: tagColor.optional(),
+    })
+    .refine(
+        (data) => data.name !== undefined || data.color !== undefined,
+        'At least one field (name or color) must be provided'
+    );
+
+const idSchema = z.preprocess(
+    (val) => Number(val),
+    z
+        .number({
+            invalid_type_error: 'Tag id must be a number',
+        })
+        .int('Tag id must be an integer')
+        .positive('Tag id must be positive')
+);
+
+const parseWithErrorHandling = (schema, data) => {
+    try {
+        return schema.parse(data);
+    } catch (error) {
+        if (error instanceof z.ZodError) {
+            const issues = error.issues || error.errors || [];
+            if (issues.length > 0) {
+                const first = issues[0];
+                const message = first.message || 'Validation failed';
+                throw new Error(message);
+            }
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    createTagSchema,
+    updateTagSchema,
+    idSchema,
+    parseWithErrorHandling,
+};
@@ -7,6 +7,11 @@ const prisma = require('./utils/prisma');
 const { testConnection } = require('./db');
 const authRouter = require('./modules/auth/router');
 const applicationsRouter = require('./modules/applications/router');
+const tagsRouter = require('./modules/tags/router');
+const filesRouter = require('./modules/files/router');
+const applicationFilesRouter = require('./modules/files/applicationRouter');
+const analyticsRouter = require('./modules/analytics/router');
+const { purgeDeletedAccounts } = require('./modules/auth/service');
 const app = express();
 
 // Trust proxy for Render deployment (needed for rate limiting behind proxy)
@@ -120,7 +125,11 @@ app.use(generalLimiter);
 
 // Routes
 app.use('/auth', authRouter);
+app.use('/applications/:applicationId/files', applicationFilesRouter);
 app.use('/applications', applicationsRouter);
+app.use('/tags', tagsRouter);
+app.use('/files', filesRouter);
+app.use('/analytics', analyticsRouter);
 
 app.get('/health', (req, res) => {
     res.json({
@@ -172,6 +181,12 @@ const start = async () => {
     console.log(`Server running in ${config.env} mode on port ${config.port}`);
   });
 
+  // Accounts past their deletion grace period are erased in the background
+  const purgeAccounts = () =>
+    purgeDeletedAccounts().catch((error) => console.error('Account purge failed:', error.message));
+  purgeAccounts();
+  setInterval(purgeAccounts, config.accountPurgeIntervalMinutes * 60 * 1000).unref();
+
   return server;
 };
 
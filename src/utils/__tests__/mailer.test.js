@@ -0,0 +1,34 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileMailer } = require('../mailer/file');
+
+describe('Mailer Utils', () => {
+    const dir = path.join(os.tmpdir(), `jtracker-mailer-test-${process.pid}`);
+
+    afterEach(async () => {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    describe('createFileMailer', () => {
+        it('writes each message as a JSON file in the outbox', async () => {
+            //Definition
+            const mailer = createFileMailer({ dir, from: 'JTracker <no-reply@jtracker.local>' });
+            //Execution
+            await mailer.send({ to: 'first@jtracker.com', subject: 'First', text: 'Hello' });
+            await mailer.send({ to: 'second@jtracker.com', subject: 'Second', text: 'Again' });
+            //Assertion
+            const names = (await fs.promises.readdir(dir)).sort();
+            expect(names).to.have.lengthOf(2);
+            const message = JSON.parse(await fs.promises.readFile(path.join(dir, names[0]), 'utf8'));
+            expect(message).to.include({
+                from: 'JTracker <no-reply@jtracker.local>',
+                to: 'first@jtracker.com',
+                subject: 'First',
+                text: 'Hello',
+            });
+            expect(message.sentAt).to.be.a('string');
+        });
+    });
+});
@@ -292,16 +292,22 @@ describe('Prisma PostgreSQL Connection Tests', () => {
         data: {
           type: 'CV',
           filename: 'resume.pdf',
-          url: 'https://example.com/files/resume.pdf',
+          storageKey: `${testUserId}/resume-${Date.now()}`,
+          mimeType: 'application/pdf',
+          size: 1024,
           userId: testUserId,
-          jobApplicationId: testApplicationId,
+          applications: {
+            create: { jobApplicationId: testApplicationId },
+          },
         },
+        include: { applications: true },
       });
 
       expect(file).to.have.property('id');
       expect(file.type).to.equal('CV');
       expect(file.userId).to.equal(testUserId);
-      expect(file.jobApplicationId).to.equal(testApplicationId);
+      expect(file.applications).to.have.lengthOf(1);
+      expect(file.applications[0].jobApplicationId).to.equal(testApplicationId);
       testFileId = file.id;
     });
 
@@ -310,12 +316,15 @@ describe('Prisma PostgreSQL Connection Tests', () => {
         data: {
           type: 'COVER_LETTER',
           filename: 'cover.pdf',
-          url: 'https://example.com/files/cover.pdf',
+          storageKey: `${testUserId}/cover-${Date.now()}`,
+          mimeType: 'application/pdf',
+          size: 2048,
           userId: testUserId,
         },
+        include: { applications: true },
       });
 
-      expect(file.jobApplicationId).to.be.null;
+      expect(file.applications).to.have.lengthOf(0);
       testFileId = file.id;
     });
   });
@@ -459,7 +468,9 @@ describe('Prisma PostgreSQL Connection Tests', () => {
           data: {
             type: fileType,
             filename: 'test.pdf',
-            url: 'https://example.com/test.pdf',
+            storageKey: `${testUserId}/test-${fileType}-${Date.now()}`,
+            mimeType: 'application/pdf',
+            size: 1,
             userId: testUserId,
           },
         });
@@ -0,0 +1,79 @@
+const { expect } = require('chai');
+const { sanitizeMarkdown } = require('../sanitize');
+
+describe('Sanitize Utils', () => {
+    describe('sanitizeMarkdown', () => {
+        it('keeps regular Markdown intact', () => {
+            //Definition
+            const markdown = '# Interview\n\n- **Round 1** with [Jane](https://acme.example/team)\n\n```js\nconst a = 1;\n```';
+            //Execution
+            const result = sanitizeMarkdown(markdown);
+            //Assertion
+            expect(result).to.equal(markdown);
+        });
+
+        it('strips raw HTML tags and script blocks', () => {
+            //Definition
+            const markdown = 'Hello <b>bold</b><script>alert(1)</script><img src=x onerror=alert(1)>';
+            //Execution
+            const result = sanitizeMarkdown(markdown);
+            //Assertion
+            expect(result).to.equal('Hello bold');
+        });
+
+        it('strips tags whose attributes are separated by slashes', () => {
+            //Definition
+            const markdown = 'A <svg/onload=alert(1)> B <img/src=x/onerror=alert(1)> C<br/>';
+            //Execution
+            const result = sanitizeMarkdown(markdown);
+            //Assertion
+            expect(result).to.equal('A  B  C');
+        });
+
+        it('does not rebuild tags from nested or split pieces', () => {
+            //Definition
+            const nested = '<scr<x>ipt>alert(1)</scr<x>ipt>';
+            const split = 'Hi <im<b>g src=x onerror=alert(1)>';
+            const comment = '<!<!-- -->-- x --><b>ok</b>';
+            //Execution
+            const results = [nested, split, comment].map((markdown) => sanitizeMarkdown(markdown));
+            //Assertion
+            expect(results[0]).to.equal('');
+            expect(results[1]).to.equal('Hi');
+            expect(results.join('')).to.not.match(/<[a-z!\/]/i);
+        });
+
+        it('neutralizes dangerous link targets, including encoded ones', () => {
+            //Definition
+            const markdown = '[a](javascript:alert(1)) [b](java&#115;cript:x) ![c](data:text/html;base64,xx)';
+            //Execution
+            const result = sanitizeMarkdown(markdown);
+            //Assertion
+            expect(result).to.equal('[a](#) [b](#) ![c](#)');
+        });
+
+        it('neutralizes reference definitions and autolinks', () => {
+            //Definition
+            const markdown = '<javascript:alert(1)> <https://ok.example>\n[ref]: vbscript:msgbox';
+            //Execution
+            const result = sanitizeMarkdown(markdown);
+            //Assertion
+            expect(result).to.equal('<https://ok.example>\n[ref]: #');
+        });
+
+        it('removes control characters and normalizes newlines', () => {
+            //Definition
+            const markdown = 'line one\r\nline\u0000 two\u0007';
+            //Execution
+            const result = sanitizeMarkdown(markdown);
+            //Assertion
+            expect(result).to.equal('line one\nline two');
+        });
+
+        it('returns non-string input unchanged', () => {
+            //Execution + Assertion
+            expect(sanitizeMarkdown(null)).to.be.null;
+            expect(sanitizeMarkdown(42)).to.equal(42);
+        });
+    });
+});
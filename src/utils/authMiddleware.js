@@ -1,14 +1,54 @@
-const { verifyToken } = require('../modules/auth/utils');
+const { verifyToken, isPersonalAccessToken, hashToken } = require('../modules/auth/utils');
 const tokenBlacklist = require('../modules/auth/tokenBlacklist');
 const prisma = require('./prisma');
+const config = require('../config');
+
+const userSelect = {
+    id: true,
+    email: true,
+    name: true,
+    emailVerifiedAt: true,
+    createdAt: true,
+    updatedAt: true,
+};
+
+// lastUsedAt is refreshed at most once a minute, not written on every request
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+const findPersonalAccessToken = async (token) => {
+    const record = await prisma.personalAccessToken.findUnique({
+        where: { tokenHash: hashToken(token) },
+        select: {
+            id: true,
+            scopes: true,
+            expiresAt: true,
+            lastUsedAt: true,
+            user: { select: userSelect },
+        },
+    });
+    if (!record || (record.expiresAt && record.expiresAt <= new Date())) {
+        return null;
+    }
+
+    if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > LAST_USED_PRECISION_MS) {
+        await prisma.personalAccessToken.update({
+            where: { id: record.id },
+            data: { lastUsedAt: new Date() },
+        });
+    }
+    return record;
+};
 
 /**
- * Authentication middleware
- * - Validates Bearer token
+ * Build an authentication middleware
+ * - Validates Bearer token: a JWT from /auth/login, or a personal access token (jtr_pat_…)
  * - Checks blacklist
- * - Loads user and attaches to req.user
+ * - Loads user and attaches to req.user (and the session id to req.sessionId)
+ * Personal access tokens are refused unless the route names a scope the token was granted.
+ * @param {string|Function|null} scope - Scope required from access tokens, or (req) => scope
+ * @returns {Function} - Express middleware
  */
-const authMiddleware = async (req, res, next) => {
+const createAuthMiddleware = (scope = null) => async (req, res, next) => {
     const authHeader = req.headers.authorization || req.headers.Authorization;
 
     if (!authHeader) {
@@ -26,6 +66,24 @@ const authMiddleware = async (req, res, next) => {
     }
 
     try {
+        if (isPersonalAccessToken(token)) {
+            const record = await findPersonalAccessToken(token);
+            if (!record) {
+                return res.status(401).json({ error: 'Invalid or expired token' });
+            }
+
+            const requiredScope = typeof scope === 'function' ? scope(req) : scope;
+            if (!requiredScope || !record.scopes.includes(requiredScope)) {
+                return res.status(403).json({ error: 'Token does not have the required scope' });
+            }
+
+            req.user = record.user;
+            req.token = token;
+            req.sessionId = null;
+            req.accessToken = { id: record.id, scopes: record.scopes };
+            return next();
+        }
+
         if (await tokenBlacklist.isBlacklisted(token)) {
             return res.status(401).json({ error: 'Invalid or expired token' });
         }
@@ -37,26 +95,59 @@ const authMiddleware = async (req, res, next) => {
 
         const user = await prisma.user.findUnique({
             where: { id: decoded.userId },
-            select: {
-                id: true,
-                email: true,
-                name: true,
-                createdAt: true,
-                updatedAt: true,
-            },
+            select: userSelect,
         });
 
         if (!user) {
             return res.status(401).json({ error: 'Invalid or expired token' });
         }
 
+        // Tokens tied to a session stop working once that session is signed out
+        if (decoded.sid) {
+            const activeSessions = await prisma.refreshToken.count({
+                where: {
+                    userId: user.id,
+                    sessionId: decoded.sid,
+                    revoked: false,
+                    expiresAt: { gt: new Date() },
+                },
+            });
+            if (activeSessions === 0) {
+                return res.status(401).json({ error: 'Invalid or expired token' });
+            }
+        }
+
         req.user = user;
         req.token = token;
+        req.sessionId = decoded.sid || null;
+        req.accessToken = null;
         return next();
     } catch (error) {
         return res.status(401).json({ error: 'Invalid or expired token' });
     }
 };
 
+// Default middleware: any signed-in user; personal access tokens are refused
+const authMiddleware = createAuthMiddleware();
+
+/**
+ * Email verification gate (mount after authMiddleware)
+ * - block mode: unverified users get 403
+ * - flag mode: request goes through, response carries X-Email-Verified: false
+ */
+const requireVerifiedEmail = (req, res, next) => {
+    if (req.user && req.user.emailVerifiedAt) {
+        return next();
+    }
+    if (config.emailVerificationMode === 'block') {
+        return res.status(403).json({ error: 'Email address is not verified' });
+    }
+    res.setHeader('X-Email-Verified', 'false');
+    return next();
+};
+
 module.exports = authMiddleware;
+module.exports.requireVerifiedEmail = requireVerifiedEmail;
+// authMiddleware.withScope('analytics:read') also accepts access tokens granted that scope
+module.exports.withScope = createAuthMiddleware;
 
@@ -32,9 +32,34 @@ const clearRefreshCookie = (res) => {
     });
 };
 
+// OIDC sign-in in progress (state, nonce and PKCE verifier), read back by /auth/oidc/callback
+const OIDC_FLOW_COOKIE_NAME = 'oidc_flow';
+
+const setOidcFlowCookie = (res, token) => {
+    res.cookie(OIDC_FLOW_COOKIE_NAME, token, {
+        httpOnly: true,
+        secure: config.isProduction,
+        sameSite: 'lax',
+        maxAge: config.oidcFlowMinutes * 60 * 1000,
+        path: '/auth/oidc',
+    });
+};
+
+const clearOidcFlowCookie = (res) => {
+    res.clearCookie(OIDC_FLOW_COOKIE_NAME, {
+        httpOnly: true,
+        secure: config.isProduction,
+        sameSite: 'lax',
+        path: '/auth/oidc',
+    });
+};
+
 module.exports = {
     parseCookies,
     setRefreshCookie,
     clearRefreshCookie,
+    OIDC_FLOW_COOKIE_NAME,
+    setOidcFlowCookie,
+    clearOidcFlowCookie,
 };
 
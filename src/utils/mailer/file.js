@@ -0,0 +1,50 @@
+//Development and test mail drivers: nothing leaves the machine
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create a driver writing every message as a JSON file into an outbox directory
+ * @param {object} options - Driver options
+ * @param {string} options.dir - Absolute outbox directory
+ * @param {string} options.from - Sender address
+ * @returns {object} - Mail driver (send)
+ */
+const createFileMailer = ({ dir, from }) => {
+    const send = async ({ to, subject, text }) => {
+        const sentAt = new Date();
+        // Timestamp first so a directory listing sorts oldest to newest
+        const name = `${sentAt.getTime()}-${crypto.randomUUID()}.json`;
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(
+            path.join(dir, name),
+            JSON.stringify({ from, to, subject, text, sentAt: sentAt.toISOString() }, null, 2)
+        );
+    };
+
+    return {
+        send,
+    };
+};
+
+/**
+ * Create a driver printing every message to the console
+ * @param {object} options - Driver options
+ * @param {string} options.from - Sender address
+ * @returns {object} - Mail driver (send)
+ */
+const createConsoleMailer = ({ from }) => {
+    const send = async ({ to, subject, text }) => {
+        console.log(`[MAIL] From: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}`);
+    };
+
+    return {
+        send,
+    };
+};
+
+module.exports = {
+    createFileMailer,
+    createConsoleMailer,
+};
@@ -0,0 +1,41 @@
+//Pluggable outgoing email
+//A driver exposes send({ to, subject, text }) -> Promise<void>.
+
+const config = require('../../config');
+const { createSmtpMailer } = require('./smtp');
+const { createFileMailer, createConsoleMailer } = require('./file');
+
+const drivers = {
+    smtp: () =>
+        createSmtpMailer({
+            host: config.smtpHost,
+            port: config.smtpPort,
+            secure: config.smtpSecure,
+            user: config.smtpUser,
+            pass: config.smtpPass,
+            from: config.mailFrom,
+        }),
+    file: () => createFileMailer({ dir: config.mailOutboxDir, from: config.mailFrom }),
+    console: () => createConsoleMailer({ from: config.mailFrom }),
+};
+
+let mailer = null;
+
+/**
+ * Get the mailer selected by MAIL_DRIVER
+ * @returns {object} - Mail driver
+ */
+const getMailer = () => {
+    if (!mailer) {
+        const createDriver = drivers[config.mailDriver];
+        if (!createDriver) {
+            throw new Error(`Unknown mail driver: ${config.mailDriver}`);
+        }
+        mailer = createDriver();
+    }
+    return mailer;
+};
+
+module.exports = {
+    getMailer,
+};
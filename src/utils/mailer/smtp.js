@@ -0,0 +1,35 @@
+//SMTP mail driver
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create a driver delivering messages through an SMTP server
+ * @param {object} options - Driver options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Use TLS from the start (port 465) instead of STARTTLS
+ * @param {string} [options.user] - Username, when the server requires authentication
+ * @param {string} [options.pass] - Password
+ * @param {string} options.from - Sender address
+ * @returns {object} - Mail driver (send)
+ */
+const createSmtpMailer = ({ host, port, secure, user, pass, from }) => {
+    const transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user ? { auth: { user, pass } } : {}),
+    });
+
+    const send = async ({ to, subject, text }) => {
+        await transport.sendMail({ from, to, subject, text });
+    };
+
+    return {
+        send,
+    };
+};
+
+module.exports = {
+    createSmtpMailer,
+};
@@ -49,6 +49,87 @@ const sanitizeString = (input, options = {}) => {
     return sanitized;
 };
 
+// Link targets that can execute code or embed content when a renderer follows them
+const DANGEROUS_PROTOCOL = /^(javascript|vbscript|data|file):/;
+
+const NAMED_ENTITIES = { colon: ':', tab: '\t', newline: '\n' };
+
+const decodeCodePoint = (value, radix) => {
+    const codePoint = parseInt(value, radix);
+    return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+};
+
+const neutralizeLinkTarget = (target) => {
+    // Renderers decode entities and ignore whitespace/control chars in link targets
+    const normalized = target
+        .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => decodeCodePoint(hex, 16))
+        .replace(/&#(\d+);?/g, (m, dec) => decodeCodePoint(dec, 10))
+        .replace(/&([a-z]+);/gi, (m, name) => NAMED_ENTITIES[name.toLowerCase()] ?? m)
+        .replace(/[\s\u0000-\u001f]/g, '')
+        .toLowerCase();
+    return DANGEROUS_PROTOCOL.test(normalized) ? '#' : target;
+};
+
+/**
+ * Sanitize Markdown input for rendering
+ * Stricter than sanitizeString: strips every raw HTML tag (not only scripts),
+ * HTML comments, control characters and dangerous link protocols.
+ * Markdown syntax itself (including <https://...> autolinks) is preserved.
+ * @param {string} input - Markdown text to sanitize
+ * @param {object} options - Sanitization options
+ * @returns {string} - Sanitized Markdown
+ */
+const sanitizeMarkdown = (input, options = {}) => {
+    if (typeof input !== 'string') {
+        return input;
+    }
+
+    const { maxLength = null, trim = true } = options;
+
+    let sanitized = input
+        .replace(/\r\n?/g, '\n')
+        // Control characters except tab and newline
+        .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '');
+
+    // Drop blocks whose content should never be shown, then any remaining tag.
+    // Repeated until nothing changes: removing one tag can join the pieces of another
+    // (<scr<x>ipt> becomes <script>)
+    let previous;
+    do {
+        previous = sanitized;
+        sanitized = sanitized
+            .replace(/<(script|style|iframe|object|embed)\b[\s\S]*?<\/\1\s*>/gi, '')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<\/?[a-z][a-z0-9-]*([\s/][^>]*)?>/gi, '');
+    } while (sanitized !== previous);
+
+    // Inline links/images: [text](target "title")
+    sanitized = sanitized.replace(
+        /(\]\(\s*)((?:[^()\s]|\([^()\s]*\))+)/g,
+        (match, prefix, target) => `${prefix}${neutralizeLinkTarget(target)}`
+    );
+    // Reference definitions: [id]: target
+    sanitized = sanitized.replace(
+        /^(\s{0,3}\[[^\]]+\]:\s*)(\S+)/gm,
+        (match, prefix, target) => `${prefix}${neutralizeLinkTarget(target)}`
+    );
+    // Autolinks: <scheme:target>
+    sanitized = sanitized.replace(
+        /<([a-z][a-z0-9+.-]*:[^>\s]*)>/gi,
+        (match, target) => (neutralizeLinkTarget(target) === '#' ? '' : match)
+    );
+
+    if (trim) {
+        sanitized = sanitized.trim();
+    }
+
+    if (maxLength && sanitized.length > maxLength) {
+        sanitized = sanitized.substring(0, maxLength);
+    }
+
+    return sanitized;
+};
+
 /**
  * Sanitize email
  * Validates and sanitizes email address
@@ -98,6 +179,7 @@ const sanitizeObject = (obj, options = {}) => {
 
 module.exports = {
     sanitizeString,
+    sanitizeMarkdown,
     sanitizeEmail,
     sanitizeObject,
 };
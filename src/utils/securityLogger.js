@@ -46,6 +46,33 @@ const logSuccessfulLogin = (userId, email, ip) => {
     }, ip);
 };
 
+//Log an account locked after repeated failed logins
+const logAccountLocked = (userId, ip, { failedAttempts, lockedUntil }) => {
+    logSecurityEvent('account_locked', {
+        severity: 'high',
+        userId,
+        failedAttempts,
+        lockedUntil,
+    }, ip);
+};
+
+//Log an account unlocked (reason: lock_expired, email_link or password_reset)
+const logAccountUnlocked = (userId, ip, reason) => {
+    logSecurityEvent('account_unlocked', {
+        userId,
+        reason,
+    }, ip);
+};
+
+//Log an account email that could not be sent (kind: password_reset, email_verification, ...)
+const logEmailDeliveryFailure = (userId, kind, error) => {
+    logSecurityEvent('email_delivery_failed', {
+        userId,
+        kind,
+        reason: error.message,
+    });
+};
+
 //Log registration attempt
 const logRegistrationAttempt = (email, ip, success = false, reason = null) => {
     logSecurityEvent('registration_attempt', {
@@ -82,6 +109,9 @@ module.exports = {
     logSecurityEvent,
     logFailedLogin,
     logSuccessfulLogin,
+    logAccountLocked,
+    logAccountUnlocked,
+    logEmailDeliveryFailure,
     logRegistrationAttempt,
     logTokenValidationFailure,
     logRateLimitExceeded,
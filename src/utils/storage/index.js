@@ -0,0 +1,30 @@
+//Pluggable storage for uploaded files
+//A driver exposes save(key, buffer), read(key) -> Promise<Readable> and remove(key).
+
+const config = require('../../config');
+const { createLocalStorage } = require('./local');
+
+const drivers = {
+    local: () => createLocalStorage({ root: config.fileStorageDir }),
+};
+
+let storage = null;
+
+/**
+ * Get the storage driver selected by FILE_STORAGE_DRIVER
+ * @returns {object} - Storage driver
+ */
+const getStorage = () => {
+    if (!storage) {
+        const createDriver = drivers[config.fileStorageDriver];
+        if (!createDriver) {
+            throw new Error(`Unknown file storage driver: ${config.fileStorageDriver}`);
+        }
+        storage = createDriver();
+    }
+    return storage;
+};
+
+module.exports = {
+    getStorage,
+};
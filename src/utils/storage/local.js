@@ -0,0 +1,54 @@
+//Local filesystem storage driver
+
+const fs = require('fs');
+const path = require('path');
+
+// Keys are generated by the server (userId/uuid); anything else is refused
+const KEY_PATTERN = /^[a-zA-Z0-9_-]+(\/[a-zA-Z0-9_-]+)*$/;
+
+/**
+ * Create a driver storing objects as files below a root directory
+ * @param {object} options - Driver options
+ * @param {string} options.root - Absolute directory holding the files
+ * @returns {object} - Storage driver (save, read, remove)
+ */
+const createLocalStorage = ({ root }) => {
+    const resolveKey = (key) => {
+        if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+            throw new Error('Invalid storage key');
+        }
+        const target = path.resolve(root, key);
+        if (!target.startsWith(`${root}${path.sep}`)) {
+            throw new Error('Invalid storage key');
+        }
+        return target;
+    };
+
+    const save = async (key, buffer) => {
+        const target = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        // 'wx' never overwrites an existing object
+        await fs.promises.writeFile(target, buffer, { flag: 'wx' });
+    };
+
+    // Resolves once the file is open, so a missing object rejects before anything is sent
+    const read = async (key) => {
+        const handle = await fs.promises.open(resolveKey(key), 'r');
+        return handle.createReadStream();
+    };
+
+    // Removing a missing object is not an error
+    const remove = async (key) => {
+        await fs.promises.rm(resolveKey(key), { force: true });
+    };
+
+    return {
+        save,
+        read,
+        remove,
+    };
+};
+
+module.exports = {
+    createLocalStorage,
+};
@@ -0,0 +1,54 @@
+//Multipart upload handling (multer, files kept in memory)
+
+const multer = require('multer');
+
+/**
+ * Create a middleware accepting a single file field
+ * The file is exposed as req.file (with a buffer); other form fields land in req.body.
+ * @param {object} options - Upload options
+ * @param {string} options.field - Form field holding the file
+ * @param {number} options.maxFileSize - Maximum file size in bytes
+ * @param {function} [options.accept] - (file) => boolean, rejects the upload with 415 when false
+ * @returns {function} - Express middleware
+ */
+const singleFileUpload = ({ field, maxFileSize, accept = null }) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: maxFileSize,
+            files: 1,
+            fields: 20,
+        },
+        fileFilter: (req, file, callback) => {
+            if (accept && !accept(file)) {
+                const error = new Error('Unsupported file type');
+                error.status = 415;
+                return callback(error);
+            }
+            return callback(null, true);
+        },
+    }).single(field);
+
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (!error) {
+                return next();
+            }
+
+            if (error instanceof multer.MulterError) {
+                if (error.code === 'LIMIT_FILE_SIZE') {
+                    return res
+                        .status(413)
+                        .json({ error: `File must be at most ${maxFileSize} bytes` });
+                }
+                return res.status(400).json({ error: error.message });
+            }
+
+            return res.status(error.status || 400).json({ error: error.message || 'Upload failed' });
+        });
+    };
+};
+
+module.exports = {
+    singleFileUpload,
+};